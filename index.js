@@ -1,9 +1,4 @@
-import { replicateAll } from './src/replicate.js';
-import config from './src/config.js';
-import chalk from 'chalk';
+import { main } from './src/cli.js';
 
-(async () => {
-    await replicateAll();
-    console.log(chalk.green('All schemas replicated successfully!'));
-    process.exit(0);
-})();
+// See `node index.js --help` for the commands and exit codes
+main(process.argv.slice(2)).then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,145 @@
+// src/adapters.js
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import * as db2 from './db2.js';
+import * as capture from './capture.js';
+import * as postgres from './postgres.js';
+
+/*
+ * Replication reads through a source adapter and writes through a target adapter.
+ * Adapters are plain objects of functions that take the connection they work on as
+ * their first argument; the default ones are DB2 and PostgreSQL, and memorysource.js
+ * provides an in-memory source for running the replication logic without DB2.
+ *
+ * Source adapter, with tables given by schema and name in upper case:
+ * - connect(settings)                 a connection, closed with `close(callback)`
+ * - listTables(connection, schema)    names of the tables of a schema
+ * - getColumns(connection, schema, table)
+ *                                     `[{ name, type, db2Type, length, scale, nullable, codepage, default }]`
+ * - getPrimaryKeys, getIndexes, getForeignKeys, getOrderingKey (connection, schema, table)
+ * - fetchChunk(connection, schema, table, columns, chunkSize, key, after, filter,
+ *              { maxBytes, lobColumns, lobInlineSize })
+ *                                     keeping to the byte budget and streaming long LOB
+ *                                     values, see streaming.js
+ * - fetchKeys(connection, schema, table, primaryKeys, limit, after, filter)
+ * - openCursor(connection, schema, table, columns, filter)
+ *                                     `{ next(count, maxBytes), close() }`
+ * - getRowCount(connection, schema, table, filter), getMaxValue(connection, schema, table, column)
+ * - getMinMax(connection, schema, table, column, filter)  `{ min, max }`
+ * - getDataPartitions(connection, schema, table)          `[{ seqno, name }]`, for key ranges
+ * - getViewDefinition, getViewDependencies (connection, schema, view)
+ * - getAggregates, getKeyBoundaries, sampleRows, for verification
+ * - ensureChangeLog, installCaptureTriggers, listCapturedTables, dropCaptureTriggers,
+ *   dropChangeLog, readChangeLog, fetchChangedRows, purgeChangeLog, for change capture;
+ *   optional, a source without them cannot be synced
+ *
+ * Target adapter, PostgreSQL's functions as documented in postgres.js, plus
+ * `createPool(settings, size)` returning a pool of up to `size` clients with `connect()` and `end()`.
+ * Filters are `{ where, params }` with DB2-style ? markers; key predicates built by
+ * buildKeyPredicate also carry their `keys`, for sources that do not speak SQL.
+ */
+
+export const db2Source = {
+    connect: db2.connectDB2,
+    listTables: db2.listDb2Tables,
+    getColumns: db2.getColumnMetadata,
+    getPrimaryKeys: db2.getPrimaryKeys,
+    getIndexes: db2.getIndexes,
+    getForeignKeys: db2.getForeignKeys,
+    getOrderingKey: db2.getOrderingKey,
+    fetchChunk: db2.fetchChunk,
+    fetchKeys: db2.fetchDb2Keys,
+    openCursor: db2.openCursor,
+    getRowCount: db2.getDb2RowCount,
+    getMaxValue: db2.getDb2MaxValue,
+    getMinMax: db2.getDb2MinMax,
+    getDataPartitions: db2.getDataPartitions,
+    getViewDefinition: db2.getViewDefinition,
+    getViewDependencies: db2.getViewDependencies,
+    getAggregates: db2.getDb2Aggregates,
+    getKeyBoundaries: db2.getDb2KeyBoundaries,
+    sampleRows: db2.sampleDb2Rows,
+    ensureChangeLog: capture.ensureChangeLog,
+    installCaptureTriggers: capture.installCaptureTriggers,
+    listCapturedTables: capture.listCapturedTables,
+    dropCaptureTriggers: capture.dropCaptureTriggers,
+    dropChangeLog: capture.dropChangeLog,
+    readChangeLog: capture.readChangeLog,
+    fetchChangedRows: capture.fetchChangedRows,
+    purgeChangeLog: capture.purgeChangeLog,
+};
+
+export const postgresTarget = {
+    createPool: postgres.createPgPool,
+    createDryRunClient: postgres.createDryRunClient,
+    dropSchema: postgres.dropSchema,
+    ensureSchemaExists: postgres.ensureSchemaExists,
+    ensureTableExists: postgres.ensureTableExists,
+    getColumns: postgres.getPostgresColumns,
+    addColumn: postgres.addColumn,
+    alterColumnType: postgres.alterColumnType,
+    dropColumn: postgres.dropColumn,
+    ensureIndexes: postgres.ensureIndexes,
+    dropForeignKeys: postgres.dropForeignKeys,
+    addForeignKey: postgres.addForeignKey,
+    getLastPrimaryKey: postgres.getLastPrimaryKey,
+    ensureStateTables: postgres.ensureStateTables,
+    getWatermark: postgres.getWatermark,
+    saveWatermark: postgres.saveWatermark,
+    clearWatermarks: postgres.clearWatermarks,
+    getCheckpoint: postgres.getCheckpoint,
+    getRangeCheckpoints: postgres.getRangeCheckpoints,
+    saveRangeCheckpoints: postgres.saveRangeCheckpoints,
+    finishRangeCheckpoint: postgres.finishRangeCheckpoint,
+    loadChunkWithCheckpoint: postgres.loadChunkWithCheckpoint,
+    clearCheckpoints: postgres.clearCheckpoints,
+    startRunHistory: postgres.startRunHistory,
+    finishRunHistory: postgres.finishRunHistory,
+    getLastRefreshes: postgres.getLastRefreshes,
+    saveDeadLetters: postgres.saveDeadLetters,
+    loadChunkAtomically: postgres.loadChunkAtomically,
+    upsertRows: postgres.upsertIntoPostgres,
+    deleteRows: postgres.deleteFromPostgres,
+    softDeleteRows: postgres.softDeleteFromPostgres,
+    ensureSoftDeleteColumn: postgres.ensureSoftDeleteColumn,
+    fetchKeys: postgres.fetchPostgresKeys,
+    createView: postgres.createView,
+    createMaterializedView: postgres.createMaterializedView,
+    getRelationKind: postgres.getRelationKind,
+    dropRelation: postgres.dropRelation,
+    getRowCount: postgres.getPostgresRowCount,
+    createShadowTable: postgres.createShadowTable,
+    swapShadowTable: postgres.swapShadowTable,
+    dropTable: postgres.dropTable,
+    truncateTable: postgres.truncateTable,
+    getAggregates: postgres.getPostgresAggregates,
+    getRowsByKey: postgres.getPostgresRowsByKey,
+};
+
+// Adapters of embedded replicators, each visible to its own runs only
+const scoped = new AsyncLocalStorage();
+const defaults = { source: db2Source, target: postgresTarget };
+
+// Every module reads and writes through these objects: the adapters of the replicator
+// whose run is executing, or the default ones
+export const source = new Proxy({}, {
+    get: (adapter, key) => (scoped.getStore() || defaults).source[key],
+});
+export const target = new Proxy({}, {
+    get: (adapter, key) => (scoped.getStore() || defaults).target[key],
+});
+
+/**
+ * Run `fn` with the given adapters, falling back to the default ones, for the whole
+ * asynchronous run, like withConfig does for the configuration.
+ */
+export function withAdapters({ source = db2Source, target = postgresTarget } = {}, fn) {
+    return scoped.run({ source, target }, fn);
+}
+
+/**
+ * Whether the source adapter of the run supports change capture.
+ */
+export function supportsCapture() {
+    return typeof source.installCaptureTriggers === 'function';
+}
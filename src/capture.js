@@ -0,0 +1,267 @@
+// src/capture.js
+
+/*
+ * Trigger-based change capture on DB2. Capture triggers on a replicated table log the
+ * primary key of every inserted, updated and deleted row to a change log table in the
+ * capture schema. The log holds keys only: applying an entry re-reads the row from the
+ * source table, which makes applying it idempotent and picks up its latest state.
+ *
+ * Entries are numbered by an identity column. Changes of the same row are serialized
+ * by DB2's row locks, so their numbers follow commit order. Entries of a transaction
+ * still running are not visible yet; since applied entries are purged one by one
+ * instead of up to a high-water mark, they are picked up once committed.
+ */
+
+export const CHANGE_LOG_TABLE = 'CHANGE_LOG';
+
+// Key columns the change log has room for; tables with longer keys cannot be captured
+export const MAX_CAPTURED_KEY_COLUMNS = 8;
+
+// Entries purged by one DELETE statement
+const PURGE_BATCH_SIZE = 500;
+
+const keySlots = Array.from({ length: MAX_CAPTURED_KEY_COLUMNS }, (_, i) => `CDC_KEY_${i + 1}`);
+
+const runQuery = (db2, sql, params = []) => new Promise((resolve, reject) => {
+    db2.query(sql, params, (err, res) => (err ? reject(err) : resolve(res)));
+});
+
+// Names of the capture triggers of a table, unique within the capture schema
+function triggerNames(schema, table) {
+    return {
+        insert: `${schema}_${table}_CDC_I`,
+        update: `${schema}_${table}_CDC_U`,
+        delete: `${schema}_${table}_CDC_D`,
+    };
+}
+
+/**
+ * DB2 type of a column as written in a CAST, from its column metadata.
+ */
+function castType(column) {
+    switch (column.db2Type) {
+        case 'CHARACTER':
+        case 'CHAR':
+        case 'VARCHAR':
+        case 'GRAPHIC':
+        case 'VARGRAPHIC':
+        case 'BINARY':
+        case 'VARBINARY':
+            return `${column.db2Type}(${column.length})`;
+        case 'DECIMAL':
+        case 'NUMERIC':
+            return `DECIMAL(${column.length}, ${column.scale})`;
+        case 'DECFLOAT':
+            return column.length === 8 ? 'DECFLOAT(16)' : 'DECFLOAT(34)';
+        case 'TIMESTAMP':
+            return `TIMESTAMP(${column.scale})`;
+        default:
+            return column.db2Type;
+    }
+}
+
+/**
+ * Create the capture schema's change log table unless it exists.
+ */
+export async function ensureChangeLog(db2, captureSchema) {
+    try {
+        const existing = await runQuery(db2,
+            `SELECT 1 FROM SYSCAT.TABLES WHERE TABSCHEMA = ? AND TABNAME = ?`,
+            [captureSchema, CHANGE_LOG_TABLE]);
+        if (existing.length > 0) return;
+
+        await runQuery(db2, `CREATE TABLE "${captureSchema}"."${CHANGE_LOG_TABLE}" (
+            CDC_SEQ BIGINT NOT NULL GENERATED ALWAYS AS IDENTITY (START WITH 1 INCREMENT BY 1 CACHE 100 ORDER),
+            CDC_SCHEMA VARCHAR(128) NOT NULL,
+            CDC_TABLE VARCHAR(128) NOT NULL,
+            CDC_OPERATION CHAR(1) NOT NULL,
+            ${keySlots.map(slot => `${slot} VARCHAR(2000)`).join(',\n            ')},
+            CDC_CHANGED_AT TIMESTAMP NOT NULL DEFAULT CURRENT TIMESTAMP,
+            PRIMARY KEY (CDC_SEQ)
+        )`);
+        console.log(`✅ Created change log ${captureSchema}.${CHANGE_LOG_TABLE}`);
+    } catch (error) {
+        console.error(`❌ Failed to create change log in ${captureSchema}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Install, or replace, the insert, update and delete triggers logging the changes of
+ * a table by its key columns (`keyColumns`, column metadata). An update changing the
+ * key logs the old key too, so the row under it gets deleted.
+ */
+export async function installCaptureTriggers(db2, captureSchema, schema, table, keyColumns) {
+    const names = triggerNames(schema, table);
+    const slots = keySlots.slice(0, keyColumns.length).join(', ');
+    const logEntry = (operation, row) => `INSERT INTO "${captureSchema}"."${CHANGE_LOG_TABLE}"
+            (CDC_SCHEMA, CDC_TABLE, CDC_OPERATION, ${slots})
+            VALUES ('${schema}', '${table}', '${operation}', ${keyColumns.map(col => `VARCHAR(${row}."${col.name}")`).join(', ')})`;
+    const keyChanged = keyColumns.map(col => `O."${col.name}" <> N."${col.name}"`).join(' OR ');
+
+    const triggers = [
+        `CREATE OR REPLACE TRIGGER "${captureSchema}"."${names.insert}"
+         AFTER INSERT ON "${schema}"."${table}" REFERENCING NEW AS N FOR EACH ROW
+         ${logEntry('I', 'N')}`,
+        `CREATE OR REPLACE TRIGGER "${captureSchema}"."${names.update}"
+         AFTER UPDATE ON "${schema}"."${table}" REFERENCING OLD AS O NEW AS N FOR EACH ROW
+         BEGIN ATOMIC
+            IF ${keyChanged} THEN
+                ${logEntry('D', 'O')};
+            END IF;
+            ${logEntry('U', 'N')};
+         END`,
+        `CREATE OR REPLACE TRIGGER "${captureSchema}"."${names.delete}"
+         AFTER DELETE ON "${schema}"."${table}" REFERENCING OLD AS O FOR EACH ROW
+         ${logEntry('D', 'O')}`,
+    ];
+    try {
+        for (const trigger of triggers) {
+            await runQuery(db2, trigger);
+        }
+        console.log(`✅ Capture triggers installed on ${schema}.${table}`);
+    } catch (error) {
+        console.error(`❌ Failed to install capture triggers on ${schema}.${table}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * List the tables with capture triggers in the capture schema, as `{ schema, table }`.
+ */
+export async function listCapturedTables(db2, captureSchema) {
+    try {
+        const result = await runQuery(db2,
+            `SELECT DISTINCT TABSCHEMA, TABNAME FROM SYSCAT.TRIGGERS
+             WHERE TRIGSCHEMA = ? AND TRIGNAME LIKE '%\\_CDC\\__' ESCAPE '\\'
+             ORDER BY TABSCHEMA, TABNAME`,
+            [captureSchema]);
+        return result.map(row => ({ schema: row.TABSCHEMA.trim(), table: row.TABNAME.trim() }));
+    } catch (error) {
+        console.error(`⚠️ Error listing captured tables in ${captureSchema}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Drop the capture triggers of a table and discard its pending change log entries.
+ */
+export async function dropCaptureTriggers(db2, captureSchema, schema, table) {
+    try {
+        const existing = await runQuery(db2,
+            `SELECT TRIGNAME FROM SYSCAT.TRIGGERS WHERE TRIGSCHEMA = ? AND TABSCHEMA = ? AND TABNAME = ?`,
+            [captureSchema, schema, table]);
+        const names = Object.values(triggerNames(schema, table));
+        for (const { TRIGNAME } of existing) {
+            if (names.includes(TRIGNAME.trim())) {
+                await runQuery(db2, `DROP TRIGGER "${captureSchema}"."${TRIGNAME.trim()}"`);
+            }
+        }
+        await runQuery(db2,
+            `DELETE FROM "${captureSchema}"."${CHANGE_LOG_TABLE}" WHERE CDC_SCHEMA = ? AND CDC_TABLE = ?`,
+            [schema, table]);
+        console.log(`🔥 Capture triggers dropped from ${schema}.${table}`);
+    } catch (error) {
+        console.error(`❌ Failed to drop capture triggers from ${schema}.${table}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Drop the change log table of the capture schema, if it exists.
+ */
+export async function dropChangeLog(db2, captureSchema) {
+    try {
+        const existing = await runQuery(db2,
+            `SELECT 1 FROM SYSCAT.TABLES WHERE TABSCHEMA = ? AND TABNAME = ?`,
+            [captureSchema, CHANGE_LOG_TABLE]);
+        if (existing.length === 0) return;
+        await runQuery(db2, `DROP TABLE "${captureSchema}"."${CHANGE_LOG_TABLE}"`);
+        console.log(`🔥 Change log ${captureSchema}.${CHANGE_LOG_TABLE} dropped`);
+    } catch (error) {
+        console.error(`❌ Failed to drop change log in ${captureSchema}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Read up to `limit` pending entries of the given tables (`{ schema, table }`) in
+ * log order, as `{ seq, schema, table, operation, key }` with the key values as text.
+ */
+export async function readChangeLog(db2, captureSchema, tables, limit) {
+    if (tables.length === 0) return [];
+    const tableFilter = tables.map(() => '(CDC_SCHEMA = ? AND CDC_TABLE = ?)').join(' OR ');
+    const query = `SELECT CDC_SEQ, CDC_SCHEMA, CDC_TABLE, CDC_OPERATION, ${keySlots.join(', ')}
+        FROM "${captureSchema}"."${CHANGE_LOG_TABLE}"
+        WHERE ${tableFilter}
+        ORDER BY CDC_SEQ FETCH FIRST ${limit} ROWS ONLY`;
+    try {
+        const result = await runQuery(db2, query, tables.flatMap(({ schema, table }) => [schema, table]));
+        return result.map(row => ({
+            seq: Number(row.CDC_SEQ),
+            schema: row.CDC_SCHEMA.trim(),
+            table: row.CDC_TABLE.trim(),
+            operation: row.CDC_OPERATION,
+            key: keySlots.map(slot => row[slot]).filter(value => value !== null && value !== undefined),
+        }));
+    } catch (error) {
+        console.error(`⚠️ Error reading change log ${captureSchema}.${CHANGE_LOG_TABLE}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Fetch the current state of the rows logged for a table between the log entries
+ * `fromSeq` and `toSeq`. Every entry yields `{ seq, key, row }`: `key` holds the
+ * logged key values converted back to the types of the key columns, `row` the
+ * replicated columns of the row, or null when the row no longer exists or no longer
+ * matches `filter`.
+ */
+export async function fetchChangedRows(db2, captureSchema, schema, table, columns, keyColumns, fromSeq, toSeq, filter = null) {
+    const loggedKeys = keyColumns.map((col, i) => `CAST(L.${keySlots[i]} AS ${castType(col)})`);
+    const joinConditions = [
+        ...keyColumns.map((col, i) => `T."${col.name}" = ${loggedKeys[i]}`),
+        ...(filter && filter.where ? [filter.where] : []),
+    ];
+    const selectList = columns.map(col => (col.expression ? `${col.expression} AS "${col.name}"` : `T."${col.name}"`)).join(', ');
+    const query = `SELECT L.CDC_SEQ AS "__CDC_SEQ", T."${keyColumns[0].name}" AS "__CDC_FOUND",
+            ${loggedKeys.map((key, i) => `${key} AS "__CDC_KEY_${i + 1}"`).join(', ')}, ${selectList}
+        FROM "${captureSchema}"."${CHANGE_LOG_TABLE}" L
+        LEFT JOIN "${schema}"."${table}" T ON ${joinConditions.join(' AND ')}
+        WHERE L.CDC_SCHEMA = ? AND L.CDC_TABLE = ? AND L.CDC_SEQ BETWEEN ? AND ?`;
+    const params = [...((filter && filter.params) || []), schema, table, fromSeq, toSeq];
+    try {
+        const result = await runQuery(db2, query, params);
+        return result.map(raw => {
+            const row = {};
+            for (const col of columns) row[col.name] = raw[col.name];
+            const found = raw.__CDC_FOUND !== null && raw.__CDC_FOUND !== undefined;
+            return {
+                seq: Number(raw.__CDC_SEQ),
+                key: keyColumns.map((col, i) => raw[`__CDC_KEY_${i + 1}`]),
+                row: found ? row : null,
+            };
+        });
+    } catch (error) {
+        console.error(`⚠️ Error fetching changed rows of ${schema}.${table}: ${error.message}`);
+        console.error(`❌ Query: ${query}`);
+        throw error;
+    }
+}
+
+/**
+ * Acknowledge applied entries by deleting them from the change log.
+ */
+export async function purgeChangeLog(db2, captureSchema, seqs) {
+    try {
+        for (let i = 0; i < seqs.length; i += PURGE_BATCH_SIZE) {
+            const batch = seqs.slice(i, i + PURGE_BATCH_SIZE);
+            await runQuery(db2,
+                `DELETE FROM "${captureSchema}"."${CHANGE_LOG_TABLE}" WHERE CDC_SEQ IN (${batch.map(() => '?').join(', ')})`,
+                batch);
+        }
+    } catch (error) {
+        console.error(`❌ Failed to purge change log ${captureSchema}.${CHANGE_LOG_TABLE}: ${error.message}`);
+        throw error;
+    }
+}
@@ -0,0 +1,173 @@
+// src/cli.js
+
+import { parseArgs } from 'node:util';
+import chalk from 'chalk';
+import { loadConfig, ConfigError } from './config.js';
+import { replicateAll, resetSchemas } from './replicate.js';
+import { verifyAll } from './verify.js';
+import { syncAll, teardownCapture } from './sync.js';
+import { closePgPool } from './postgres.js';
+import { setLogFormat } from './log.js';
+
+// Exit codes: everything replicated or verified, some table or view failed, unusable invocation
+export const EXIT_OK = 0;
+export const EXIT_FAILED = 1;
+export const EXIT_USAGE = 2;
+
+const USAGE = `Usage: node index.js [command] [selectors...] [options]
+
+Commands:
+  run [selectors...]     replicate the configured tables and views (default)
+  plan [selectors...]    print the DDL and loads a run would perform, without writing anything
+  verify [selectors...]  compare the replicated tables with their DB2 source
+  reset [schemas...]     drop the target schemas and their watermarks (all configured ones by default)
+  sync [selectors...]    capture changes on DB2 with triggers and apply them until stopped
+  teardown [selectors...] remove the capture triggers, and the change log unless tables are selected
+
+Selectors are "<schema>.<table>" names or patterns like "SALES.*", matched against the
+DB2 source and the PostgreSQL target of the configured tables and views.
+
+Options:
+  -c, --config <file>    YAML or JSON configuration file (default: CONFIG_FILE)
+      --dry-run          report what run or reset would do without changing anything
+      --once             with sync, apply the pending changes and exit
+      --log-format <fmt>  "text" (default) or "json", one JSON object per line
+  -h, --help             show this help
+
+Exit codes: ${EXIT_OK} success, ${EXIT_FAILED} a table, view or verification failed, ${EXIT_USAGE} invalid usage or configuration`;
+
+const COMMANDS = ['run', 'plan', 'verify', 'reset', 'sync', 'teardown'];
+
+// Raised for command lines that cannot be run, answered with the usage
+class UsageError extends Error {}
+
+/**
+ * Parse the command line into `{ command, targets, options }`. Throws a UsageError
+ * for unknown options or invalid option values.
+ */
+export function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                config: { type: 'string', short: 'c' },
+                'dry-run': { type: 'boolean', default: false },
+                once: { type: 'boolean', default: false },
+                'log-format': { type: 'string', default: 'text' },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const [first, ...rest] = parsed.positionals;
+    const command = COMMANDS.includes(first) ? first : 'run';
+    const targets = COMMANDS.includes(first) ? rest : parsed.positionals;
+    const options = {
+        config: parsed.values.config,
+        dryRun: parsed.values['dry-run'] || command === 'plan',
+        once: parsed.values.once,
+        logFormat: parsed.values['log-format'],
+        help: parsed.values.help || first === 'help',
+    };
+
+    if (!['text', 'json'].includes(options.logFormat)) {
+        throw new UsageError(`--log-format must be text or json, got ${JSON.stringify(options.logFormat)}`);
+    }
+    if (['verify', 'sync', 'teardown'].includes(command) && parsed.values['dry-run']) {
+        throw new UsageError(`--dry-run does not apply to ${command}`);
+    }
+    if (command !== 'sync' && options.once) {
+        throw new UsageError('--once only applies to sync');
+    }
+    return { command, targets, options };
+}
+
+// Whether every table, view and verification of a run succeeded
+function runSucceeded(results) {
+    return [...results.tables, ...results.views].every(result => result.status !== 'failed') &&
+        results.verification.every(result => result.passed);
+}
+
+/**
+ * Run the command line and return the process exit code. Nothing connects to a
+ * database before the command has been parsed and the configuration loaded.
+ */
+export async function main(argv) {
+    let command;
+    let targets;
+    let options;
+    try {
+        ({ command, targets, options } = parseCommandLine(argv));
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        console.error(chalk.red(`❌ ${error.message}`));
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    setLogFormat(options.logFormat);
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+    try {
+        loadConfig(options.config || process.env.CONFIG_FILE);
+    } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+        console.error(chalk.red(`❌ ${error.message}`));
+        return EXIT_USAGE;
+    }
+
+    try {
+        switch (command) {
+            case 'verify': {
+                const results = await verifyAll({ selectors: targets });
+                return results.every(result => result.passed) ? EXIT_OK : EXIT_FAILED;
+            }
+            case 'sync': {
+                // Ctrl-C and SIGTERM stop the sync after the batch being applied
+                const controller = new AbortController();
+                const stop = () => controller.abort();
+                process.once('SIGINT', stop);
+                process.once('SIGTERM', stop);
+                try {
+                    await syncAll({ selectors: targets, once: options.once, signal: controller.signal });
+                } finally {
+                    process.off('SIGINT', stop);
+                    process.off('SIGTERM', stop);
+                }
+                return EXIT_OK;
+            }
+            case 'teardown': {
+                const tables = await teardownCapture({ selectors: targets });
+                console.log(chalk.green(`✅ Removed change capture from ${tables.length} table(s)`));
+                return EXIT_OK;
+            }
+            case 'reset': {
+                const schemas = await resetSchemas({ schemas: targets, dryRun: options.dryRun });
+                console.log(chalk.green(`✅ ${options.dryRun ? 'Would reset' : 'Reset'} ${schemas.length} schema(s): ${schemas.join(', ')}`));
+                return EXIT_OK;
+            }
+            default: {
+                const results = await replicateAll({ selectors: targets, dryRun: options.dryRun });
+                if (!runSucceeded(results)) {
+                    console.error(chalk.red('❌ Replication finished with failures'));
+                    return EXIT_FAILED;
+                }
+                if (!options.dryRun) {
+                    console.log(chalk.green('All schemas replicated successfully!'));
+                }
+                return EXIT_OK;
+            }
+        }
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        return error instanceof ConfigError ? EXIT_USAGE : EXIT_FAILED;
+    } finally {
+        await closePgPool();
+    }
+}
@@ -1,47 +1,404 @@
-import 'dotenv/config';
+import dotenv from 'dotenv';
+import fs from 'node:fs';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import path from 'node:path';
+import YAML from 'yaml';
+import { configSchema, validate } from './configschema.js';
+import { addSecrets } from './log.js';
 
+/**
+ * Raised when the configuration file or the environment holds invalid settings.
+ * `errors` lists every problem found, not just the first one.
+ */
+export class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(error => `   • ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// Parses a comma-separated list of "<schema>.<table>" entries into table or view entries
 const parseEnvList = (envVar) =>
+    process.env[envVar]
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.length > 0)
+        .map(source => ({ source }));
+
+// Parses "<schema>.<table>:<value>" entries into a lookup keyed by "<SCHEMA>.<TABLE>",
+// e.g. the change column of a table. Values outside `allowed`, when given, are rejected
+const parseEnvTableMap = (envVar, errors, { normalize = value => value.toUpperCase(), allowed = null } = {}) =>
     (process.env[envVar] || '')
         .split(',')
         .map(entry => entry.trim())
         .filter(entry => entry.length > 0)
-        .map(entry => {
-            const [schema, table] = entry.split('.');
-            if (!schema || !table) {
-                console.error(`Invalid format for ${envVar}: ${entry}`);
-                return null;
+        .reduce((map, entry) => {
+            const [qualifiedName, rawValue] = entry.split(':').map(part => part && part.trim());
+            const [schema, table] = (qualifiedName || '').split('.');
+            const value = rawValue && normalize(rawValue);
+            if (!schema || !table || !value || (allowed && !allowed.includes(value))) {
+                errors.push(`${envVar}: invalid entry ${JSON.stringify(entry)}`);
+                return map;
+            }
+            map[`${schema.toUpperCase()}.${table.toUpperCase()}`] = value;
+            return map;
+        }, {});
+
+// Parses "<schema>.<table>.<column>=<postgres type>" entries separated by semicolons,
+// since type definitions such as NUMERIC(20,4) contain commas
+const parseEnvTypeOverrides = (envVar, errors) =>
+    (process.env[envVar] || '')
+        .split(';')
+        .map(entry => entry.trim())
+        .filter(entry => entry.length > 0)
+        .reduce((map, entry) => {
+            const separator = entry.indexOf('=');
+            const [schema, table, column] = (separator > 0 ? entry.slice(0, separator) : '').split('.').map(part => part.trim());
+            const type = separator > 0 ? entry.slice(separator + 1).trim() : '';
+            if (!schema || !table || !column || !type) {
+                errors.push(`${envVar}: invalid entry ${JSON.stringify(entry)}`);
+                return map;
             }
-            return { schema, table };
-        })
-        .filter(entry => entry !== null);
+            const key = `${schema.toUpperCase()}.${table.toUpperCase()}`;
+            map[key] = { ...map[key], [column.toUpperCase()]: type };
+            return map;
+        }, {});
+
+// Values of environment variables are converted to the type of the setting they
+// override; values that do not convert are left as strings and fail validation
+const asString = value => value;
+const asInteger = value => (/^\d+$/.test(value.trim()) ? parseInt(value, 10) : value);
+const asBoolean = value => ({ true: true, false: false }[value.trim().toLowerCase()] ?? value);
+const asKeyword = value => value.trim().toLowerCase();
+const asList = value => value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+// "<keyword>=<value>" entries separated by semicolons, as in a connection string
+const asKeywords = value => {
+    const entries = value.split(';').map(entry => entry.trim()).filter(entry => entry.length > 0);
+    if (!entries.every(entry => entry.indexOf('=') > 0)) return value;
+    return Object.fromEntries(entries.map(entry => [
+        entry.slice(0, entry.indexOf('=')).trim(),
+        entry.slice(entry.indexOf('=') + 1).trim(),
+    ]));
+};
+
+// Environment variables overriding settings of the configuration file
+const envOverrides = [
+    ['DB2_HOST', 'db2.host', asString],
+    ['DB2_PORT', 'db2.port', asInteger],
+    ['DB2_DB', 'db2.dbname', asString],
+    ['DB2_USER', 'db2.user', asString],
+    ['DB2_PASSWORD', 'db2.password', asString],
+    ['DB2_PASSWORD_FILE', 'db2.passwordFile', asString],
+    ['DB2_CONNECTION_STRING', 'db2.connectionString', asString],
+    ['DB2_SSL', 'db2.ssl', asBoolean],
+    ['DB2_SSL_SERVER_CERTIFICATE', 'db2.sslServerCertificate', asString],
+    ['DB2_SSL_TRUSTSTORE', 'db2.sslTrustStore', asString],
+    ['DB2_SSL_PASSWORD', 'db2.sslPassword', asString],
+    ['DB2_SSL_PASSWORD_FILE', 'db2.sslPasswordFile', asString],
+    ['DB2_CURRENT_SCHEMA', 'db2.currentSchema', asString],
+    ['DB2_CONNECT_TIMEOUT', 'db2.connectTimeout', asInteger],
+    ['DB2_OPTIONS', 'db2.options', asKeywords],
+    ['POSTGRES_HOST', 'postgres.host', asString],
+    ['POSTGRES_PORT', 'postgres.port', asInteger],
+    ['POSTGRES_USER', 'postgres.user', asString],
+    ['POSTGRES_PASSWORD', 'postgres.password', asString],
+    ['POSTGRES_PASSWORD_FILE', 'postgres.passwordFile', asString],
+    ['POSTGRES_DB', 'postgres.database', asString],
+    ['REPLICATED_TABLES', 'replication.tables', (value, envVar) => parseEnvList(envVar)],
+    ['REPLICATED_VIEWS', 'replication.views', (value, envVar) => parseEnvList(envVar)],
+    ['CHUNK_SIZE', 'replication.chunkSize', asInteger],
+    ['CHUNK_BYTES', 'replication.chunkBytes', asInteger],
+    ['LOB_INLINE_SIZE', 'replication.lobInlineSize', asInteger],
+    ['LOAD_METHOD', 'replication.loadMethod', asKeyword],
+    ['PARALLELISM', 'replication.parallelism', asInteger],
+    ['PIPELINE', 'replication.pipeline', asBoolean],
+    ['RANGES', 'replication.ranges', asInteger],
+    ['RANGE_STRATEGY', 'replication.rangeStrategy', asKeyword],
+    ['RANGE_MIN_ROWS', 'replication.rangeMinRows', asInteger],
+    ['RESET', 'replication.reset', asBoolean],
+    ['REPLICATION_MODE', 'replication.mode', asKeyword],
+    ['REFRESH_STRATEGY', 'replication.refreshStrategy', asKeyword],
+    ['DELETE_PROPAGATION', 'replication.deletes', asKeyword],
+    ['MAX_DELETE_PERCENT', 'replication.maxDeletePercent', asInteger],
+    ['REPLICATE_FOREIGN_KEYS', 'replication.foreignKeys', asBoolean],
+    ['INCLUDE_VIEW_DEPENDENCIES', 'replication.includeViewDependencies', asBoolean],
+    ['STATE_SCHEMA', 'replication.stateSchema', asString],
+    ['NORMALIZE_TRIM_CHAR', 'replication.normalize.trimChar', asBoolean],
+    ['NORMALIZE_TIMESTAMPS', 'replication.normalize.timestamps', asBoolean],
+    ['NORMALIZE_NULL_DATES', 'replication.normalize.nullDates', asList],
+    ['NORMALIZE_ENCODING', 'replication.normalize.encoding', asBoolean],
+    ['NORMALIZE_BINARY', 'replication.normalize.binary', asBoolean],
+    ['DRIFT_ADD_COLUMN', 'replication.drift.add', asKeyword],
+    ['DRIFT_DROP_COLUMN', 'replication.drift.drop', asKeyword],
+    ['DRIFT_WIDEN_COLUMN', 'replication.drift.widen', asKeyword],
+    ['DRIFT_RETYPE_COLUMN', 'replication.drift.retype', asKeyword],
+    ['VERIFY', 'verify.afterLoad', asBoolean],
+    ['VERIFY_SAMPLE_SIZE', 'verify.sampleSize', asInteger],
+    ['VERIFY_BUCKETS', 'verify.buckets', asInteger],
+    ['CDC_SCHEMA', 'cdc.schema', asString],
+    ['CDC_POLL_INTERVAL', 'cdc.pollInterval', asInteger],
+    ['CDC_BATCH_SIZE', 'cdc.batchSize', asInteger],
+    ['DEAD_LETTER', 'deadLetter.target', asKeyword],
+    ['DEAD_LETTER_FILE', 'deadLetter.file', asString],
+    ['DEAD_LETTER_MAX_ROWS', 'deadLetter.maxRows', asInteger],
+    ['RETRY_ATTEMPTS', 'retry.attempts', asInteger],
+    ['RETRY_INITIAL_DELAY', 'retry.initialDelay', asInteger],
+    ['RETRY_MAX_DELAY', 'retry.maxDelay', asInteger],
+    ['METRICS_PORT', 'metrics.port', asInteger],
+    ['METRICS_TEXTFILE', 'metrics.textfile', asString],
+    ['RUN_SUMMARY_FILE', 'metrics.summaryFile', asString],
+    ['FRESHNESS_SLA', 'metrics.freshnessSla', asInteger],
+];
 
-const config = {
+const defaults = {
     db2: {
-        host: process.env.DB2_HOST,
-        port: process.env.DB2_PORT,
-        dbname: process.env.DB2_DB,
-        user: process.env.DB2_USER,
-        password: process.env.DB2_PASSWORD,
-        sslTrustStore: process.env.DB2_SSL_TRUSTSTORE,
-        sslPassword: process.env.DB2_SSL_PASSWORD,
-    },
-    postgres: {
-        host: process.env.POSTGRES_HOST,
-        port: process.env.POSTGRES_PORT,
-        user: process.env.POSTGRES_USER,
-        password: process.env.POSTGRES_PASSWORD,
-        database: process.env.POSTGRES_DB,
+        ssl: true,
     },
+    postgres: {},
     replication: {
-        tables: parseEnvList("REPLICATED_TABLES"),
-        views: parseEnvList("REPLICATED_VIEWS"),
-        chunkSize: parseInt(process.env.CHUNK_SIZE, 10) || 1000,
-        reset: process.env.RESET === 'true'  // <-- parse RESET as boolean
-    }
+        tables: [],
+        views: [],
+        chunkSize: 1000,
+        chunkBytes: 64 * 1024 * 1024,
+        lobInlineSize: 1024 * 1024,
+        loadMethod: 'copy',
+        parallelism: 1,
+        pipeline: false,
+        ranges: 1,
+        rangeStrategy: 'quantiles',
+        rangeMinRows: 1000000,
+        reset: false,
+        mode: 'full',
+        deletes: 'none',
+        maxDeletePercent: 10,
+        refreshStrategy: 'truncate',
+        foreignKeys: true,
+        includeViewDependencies: false,
+        stateSchema: '_replication',
+        drift: { add: 'apply', drop: 'warn', widen: 'apply', retype: 'warn' },
+        normalize: { trimChar: true, timestamps: true, nullDates: [], encoding: true, binary: true },
+    },
+    verify: {
+        afterLoad: false,
+        sampleSize: 100,
+        buckets: 16,
+    },
+    cdc: {
+        schema: 'REPLICATION_CDC',
+        pollInterval: 5,
+        batchSize: 1000,
+    },
+    deadLetter: {
+        target: 'none',
+        file: 'dead-letters.jsonl',
+        maxRows: 100,
+    },
+    retry: {
+        attempts: 5,
+        initialDelay: 1000,
+        maxDelay: 30000,
+    },
+    metrics: {},
 };
 
-console.log("🔍 Loaded replication tables:", JSON.stringify(config.replication.tables, null, 2));
-console.log("🔍 Loaded replication views:", JSON.stringify(config.replication.views, null, 2));
-console.log("🔍 RESET =", config.replication.reset);
+/**
+ * Read a YAML or JSON configuration file, chosen by its extension.
+ */
+function readConfigFile(file, errors) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        errors.push(`${file}: cannot be read (${error.message})`);
+        return {};
+    }
+
+    const extension = path.extname(file).toLowerCase();
+    try {
+        const parsed = extension === '.json' ? JSON.parse(text) : YAML.parse(text);
+        if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            errors.push(`${file}: must contain a mapping of settings`);
+            return {};
+        }
+        return parsed;
+    } catch (error) {
+        errors.push(`${file}: invalid ${extension === '.json' ? 'JSON' : 'YAML'} (${error.message})`);
+        return {};
+    }
+}
+
+function setPath(target, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+        if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+        node = node[key];
+    }
+    node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Deep-merge plain objects, `override` winning. Arrays are replaced, not merged.
+ */
+function merge(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+        merged[key] = isObject && merged[key] && typeof merged[key] === 'object' ? merge(merged[key], value) : value;
+    }
+    return merged;
+}
+
+// Checks the schema cannot express: wildcard entries cannot rename single tables,
+// certificates only apply to SSL connections
+function validateEntries(settings) {
+    const errors = [];
+    const db2 = settings.db2 || {};
+    if (db2.ssl === false) {
+        ['sslServerCertificate', 'sslTrustStore'].filter(setting => db2[setting])
+            .forEach(setting => errors.push(`db2.${setting}: only applies with db2.ssl enabled`));
+    }
+    const replication = settings.replication || {};
+    (Array.isArray(replication.tables) ? replication.tables : []).forEach((entry, index) => {
+        if (!entry || typeof entry.source !== 'string') return;
+        const wildcard = entry.source.includes('*');
+        if (wildcard && entry.target && entry.target.table) {
+            errors.push(`replication.tables[${index}].target.table: cannot rename the tables matched by ${entry.source}`);
+        }
+        if (!wildcard && entry.exclude) {
+            errors.push(`replication.tables[${index}].exclude: only applies to wildcard sources like "<schema>.*"`);
+        }
+        if (entry.columns && entry.columns.include && entry.columns.exclude) {
+            errors.push(`replication.tables[${index}].columns: use either include or exclude, not both`);
+        }
+    });
+    return errors;
+}
+
+// Passwords read from files, e.g. mounted secrets, unless given directly
+const passwordFiles = [
+    ['db2', 'passwordFile', 'password'],
+    ['db2', 'sslPasswordFile', 'sslPassword'],
+    ['postgres', 'passwordFile', 'password'],
+];
+
+// Read the password files of complete settings, and mask the passwords in all output
+function withSecrets(settings) {
+    const errors = [];
+    for (const [section, fileSetting, setting] of passwordFiles) {
+        const file = settings[section][fileSetting];
+        if (!file || settings[section][setting] !== undefined) continue;
+        try {
+            settings[section][setting] = fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+        } catch (error) {
+            errors.push(`${section}.${fileSetting}: cannot be read (${error.message})`);
+        }
+    }
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    addSecrets([settings.db2.password, settings.db2.sslPassword, settings.postgres.password]);
+    return settings;
+}
+
+// The loaded configuration; filled in place by loadConfig so every module shares it
+const loaded = {};
+// Configurations of embedded replicators, each visible to its own runs only
+const scoped = new AsyncLocalStorage();
+
+// Every module reads the configuration through this object: the one of the replicator
+// whose run is executing, or the loaded one
+const config = new Proxy(loaded, {
+    get: (target, key) => (scoped.getStore() || target)[key],
+});
+
+/**
+ * Run `fn` with `settings`, as returned by createConfig, as the configuration seen by
+ * every module, for the whole asynchronous run. Runs of several replicators can
+ * execute at the same time, each seeing its own configuration.
+ */
+export function withConfig(settings, fn) {
+    return scoped.run(settings, fn);
+}
+
+// Fill in the defaults along with the per-table settings given through the environment
+function withDefaults(settings, tableSettings = {}, viewSettings = {}) {
+    const merged = merge(structuredClone(defaults), settings);
+    merged.replication.tableSettings = tableSettings;
+    merged.replication.viewSettings = viewSettings;
+    return merged;
+}
+
+/**
+ * Validate settings given as an object, shaped like the configuration file, fill in
+ * the defaults and read the password files. Unlike loadConfig, the environment is not consulted, so embedding
+ * applications fully control the configuration. Throws a ConfigError listing all
+ * invalid settings.
+ */
+export function createConfig(settings = {}) {
+    const errors = validate(configSchema, settings);
+    if (errors.length === 0) {
+        errors.push(...validateEntries(settings));
+    }
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    return withSecrets(withDefaults(settings));
+}
+
+/**
+ * Load the configuration from a YAML or JSON file (CONFIG_FILE by default), with
+ * environment variables, including those of a .env file, overriding its settings,
+ * and validate it. Passwords may be read from files; every password configured is
+ * masked in the output from then on. Without a file the configuration comes from the environment
+ * alone. Throws a ConfigError listing all invalid settings.
+ */
+export function loadConfig(file = process.env.CONFIG_FILE) {
+    dotenv.config();
+    const errors = [];
+    const settings = file ? readConfigFile(file, errors) : {};
+
+    // Remember which setting came from which variable, for the error messages
+    const sources = new Map();
+    for (const [envVar, dottedPath, convert] of envOverrides) {
+        const value = process.env[envVar];
+        if (value === undefined || value.trim() === '') continue;
+        setPath(settings, dottedPath, convert(value, envVar));
+        sources.set(dottedPath, envVar);
+    }
+
+    errors.push(...validate(configSchema, settings).map(error => {
+        const dottedPath = error.slice(0, error.indexOf(':'));
+        return sources.has(dottedPath) ? error.replace(dottedPath, `${dottedPath} (${sources.get(dottedPath)})`) : error;
+    }));
+    if (errors.length === 0) {
+        errors.push(...validateEntries(settings));
+    }
+
+    // Per-table settings that can only be given through the environment
+    const tableSettings = {};
+    for (const [key, changeColumn] of Object.entries(parseEnvTableMap("CHANGE_COLUMNS", errors))) {
+        tableSettings[key] = { ...tableSettings[key], changeColumn };
+    }
+    for (const [key, columnTypes] of Object.entries(parseEnvTypeOverrides("COLUMN_TYPE_OVERRIDES", errors))) {
+        tableSettings[key] = { ...tableSettings[key], columnTypes };
+    }
+    const viewSettings = {};
+    const viewModes = parseEnvTableMap("VIEW_MODES", errors, {
+        normalize: value => value.toLowerCase(),
+        allowed: ['view', 'materialized', 'table'],
+    });
+    for (const [key, mode] of Object.entries(viewModes)) {
+        viewSettings[key] = { mode };
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    Object.assign(loaded, withSecrets(withDefaults(settings, tableSettings, viewSettings)));
+    return config;
+}
 
 export default config;
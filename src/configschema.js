@@ -0,0 +1,254 @@
+// src/configschema.js
+
+/*
+ * Schema of the configuration file, in a small subset of JSON Schema:
+ * type (one or a list of types), enum, minimum, maximum, minLength, pattern, properties,
+ * required, items and additionalProperties. Settings not listed in the schema are rejected.
+ */
+
+const name = { type: 'string', minLength: 1 };
+const positiveInteger = { type: 'integer', minimum: 1 };
+const count = { type: 'integer', minimum: 0 };
+const percentage = { type: 'integer', minimum: 0, maximum: 100 };
+const deletes = { enum: ['none', 'delete', 'soft'] };
+const rangeStrategy = { enum: ['quantiles', 'minmax', 'partitions'] };
+const names = { type: 'array', items: name };
+const columnMap = { type: 'object', additionalProperties: name };
+
+// "<schema>.<table>", where the table may contain * wildcards
+const tablePattern = { type: 'string', pattern: /^[^.\s]+\.[^.\s]+$/, format: '"<schema>.<table>"' };
+const qualifiedName = { type: 'string', pattern: /^[^.\s*]+\.[^.\s*]+$/, format: '"<schema>.<name>"' };
+
+// "YYYY-MM-DD"
+const date = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, format: '"YYYY-MM-DD"' };
+
+const normalize = {
+    type: 'object',
+    properties: {
+        trimChar: { type: 'boolean' },
+        timestamps: { type: 'boolean' },
+        nullDates: { type: 'array', items: date },
+        encoding: { type: 'boolean' },
+        binary: { type: 'boolean' },
+    },
+};
+// Column transforms: functions when embedded, names of built-in ones or "<file>#<export>" in files
+const transforms = { type: 'object', additionalProperties: { type: ['string', 'function'] } };
+
+const target = {
+    type: 'object',
+    properties: { schema: name, table: name },
+};
+
+const tableEntry = {
+    type: 'object',
+    required: ['source'],
+    properties: {
+        source: tablePattern,
+        exclude: names,
+        target,
+        chunkSize: positiveInteger,
+        chunkBytes: positiveInteger,
+        ranges: positiveInteger,
+        rangeStrategy,
+        mode: { enum: ['full', 'incremental'] },
+        loadMethod: { enum: ['copy', 'insert'] },
+        changeColumn: name,
+        deletes,
+        maxDeletePercent: percentage,
+        maxRejectedRows: count,
+        freshnessSla: positiveInteger,
+        where: name,
+        columns: {
+            type: 'object',
+            properties: { include: names, exclude: names },
+        },
+        masks: columnMap,
+        columnTypes: columnMap,
+        normalize,
+        transforms,
+    },
+};
+
+const viewEntry = {
+    type: 'object',
+    required: ['source'],
+    properties: {
+        source: qualifiedName,
+        target,
+        mode: { enum: ['view', 'materialized', 'table'] },
+    },
+};
+
+const driftPolicy = { enum: ['apply', 'warn', 'fail'] };
+
+export const configSchema = {
+    type: 'object',
+    properties: {
+        db2: {
+            type: 'object',
+            properties: {
+                host: name,
+                port: positiveInteger,
+                dbname: name,
+                user: name,
+                password: { type: 'string' },
+                passwordFile: name,
+                connectionString: name,
+                ssl: { type: 'boolean' },
+                sslServerCertificate: name,
+                sslTrustStore: name,
+                sslPassword: { type: 'string' },
+                sslPasswordFile: name,
+                currentSchema: name,
+                connectTimeout: count,
+                // Further DB2 CLI keywords of the connection string
+                options: { type: 'object', additionalProperties: { type: ['string', 'integer', 'boolean'] } },
+            },
+        },
+        postgres: {
+            type: 'object',
+            properties: {
+                host: name,
+                port: positiveInteger,
+                user: name,
+                password: { type: 'string' },
+                passwordFile: name,
+                database: name,
+            },
+        },
+        replication: {
+            type: 'object',
+            properties: {
+                tables: { type: 'array', items: tableEntry },
+                views: { type: 'array', items: viewEntry },
+                chunkSize: positiveInteger,
+                chunkBytes: positiveInteger,
+                lobInlineSize: positiveInteger,
+                loadMethod: { enum: ['copy', 'insert'] },
+                parallelism: positiveInteger,
+                pipeline: { type: 'boolean' },
+                ranges: positiveInteger,
+                rangeStrategy,
+                rangeMinRows: count,
+                reset: { type: 'boolean' },
+                mode: { enum: ['full', 'incremental'] },
+                deletes,
+                maxDeletePercent: percentage,
+                refreshStrategy: { enum: ['truncate', 'swap'] },
+                foreignKeys: { type: 'boolean' },
+                includeViewDependencies: { type: 'boolean' },
+                stateSchema: name,
+                drift: {
+                    type: 'object',
+                    properties: { add: driftPolicy, drop: driftPolicy, widen: driftPolicy, retype: driftPolicy },
+                },
+                normalize,
+            },
+        },
+        verify: {
+            type: 'object',
+            properties: {
+                afterLoad: { type: 'boolean' },
+                sampleSize: positiveInteger,
+                buckets: positiveInteger,
+            },
+        },
+        cdc: {
+            type: 'object',
+            properties: {
+                schema: name,
+                pollInterval: positiveInteger,
+                batchSize: positiveInteger,
+            },
+        },
+        deadLetter: {
+            type: 'object',
+            properties: {
+                target: { enum: ['none', 'table', 'file'] },
+                file: name,
+                maxRows: count,
+            },
+        },
+        retry: {
+            type: 'object',
+            properties: {
+                attempts: positiveInteger,
+                initialDelay: positiveInteger,
+                maxDelay: positiveInteger,
+            },
+        },
+        metrics: {
+            type: 'object',
+            properties: {
+                port: { type: 'integer', minimum: 1, maximum: 65535 },
+                textfile: name,
+                summaryFile: name,
+                freshnessSla: positiveInteger,
+            },
+        },
+    },
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(expected, value) {
+    const actual = typeOf(value);
+    return [].concat(expected).some(type => actual === type || (type === 'number' && actual === 'integer'));
+}
+
+function describeType(type) {
+    return [].concat(type).map(name => `${['integer', 'array', 'object'].includes(name) ? 'an' : 'a'} ${name}`).join(' or ');
+}
+
+/**
+ * Validate a value against a schema. Returns a list of error messages, each naming
+ * the path of the offending setting, e.g. "replication.tables[2].mode".
+ */
+export function validate(schema, value, path = '') {
+    const at = path || '(root)';
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${at}: must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`];
+    }
+    if (schema.type && !matchesType(schema.type, value)) {
+        return [`${at}: must be ${describeType(schema.type)}, got ${JSON.stringify(value)}`];
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        return [`${at}: must be at least ${schema.minimum}, got ${value}`];
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        return [`${at}: must be at most ${schema.maximum}, got ${value}`];
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return [`${at}: must not be empty`];
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+        return [`${at}: must have the format ${schema.format}, got ${JSON.stringify(value)}`];
+    }
+
+    const errors = [];
+    if (schema.items) {
+        value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+    }
+    if (schema.type === 'object') {
+        for (const required of schema.required || []) {
+            if (value[required] === undefined) errors.push(`${path ? `${path}.` : ''}${required}: is required`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const itemPath = path ? `${path}.${key}` : key;
+            const itemSchema = (schema.properties || {})[key] || schema.additionalProperties;
+            if (!itemSchema) {
+                errors.push(`${itemPath}: unknown setting`);
+            } else if (item !== undefined) {
+                errors.push(...validate(itemSchema, item, itemPath));
+            }
+        }
+    }
+    return errors;
+}
@@ -0,0 +1,93 @@
+// src/connections.js
+
+import chalk from 'chalk';
+import { getPgPool } from './postgres.js';
+import { withRetry, isConnectionError } from './retry.js';
+import { source } from './adapters.js';
+
+/**
+ * Connection factories of the configured databases. Replication, verification and
+ * reset open every connection they use through such factories:
+ *
+ * - `connectDb2()` resolves to a connection of the source adapter, an ibm_db one by
+ *   default, closed with `close()`
+ * - `connectPostgres()` resolves to a pg client, returned with `release()`
+ *
+ * Embedding applications pass their own factories to the Replicator instead.
+ */
+export function configuredConnections() {
+    return {
+        connectDb2: () => source.connect(),
+        connectPostgres: () => getPgPool().connect(),
+    };
+}
+
+/**
+ * Wrap a connection so it can be replaced once lost: the wrapper forwards to the
+ * current connection, and its `reconnect()` discards that one and opens another
+ * through `connect`, retrying transient failures.
+ */
+function reconnectable(connection, { connect, discard, label }) {
+    let current = connection;
+    const reconnect = async () => {
+        try {
+            await discard(current);
+        } catch {
+            // The lost connection may fail to close as well
+        }
+        console.log(chalk.yellow(`🔌 Reconnecting to ${label}`));
+        current = await withRetry(connect, { label: `Connecting to ${label}` });
+    };
+    return new Proxy({}, {
+        get(target, property) {
+            if (property === 'reconnect') return reconnect;
+            const value = current[property];
+            return typeof value === 'function' ? value.bind(current) : value;
+        },
+    });
+}
+
+/**
+ * Open a DB2 connection through the factories, retrying transient failures.
+ * The connection reconnects with `reconnect()`.
+ */
+export async function openDb2(connections) {
+    const connect = () => connections.connectDb2();
+    return reconnectable(await withRetry(connect, { label: 'Connecting to DB2' }), {
+        connect,
+        discard: connection => new Promise(resolve => connection.close(() => resolve())),
+        label: 'DB2',
+    });
+}
+
+/**
+ * Open a PostgreSQL client through the factories, retrying transient failures.
+ * The client reconnects with `reconnect()`, destroying the lost one.
+ */
+export async function openPostgres(connections) {
+    // A connection lost while the client is idle is reported by an 'error' event,
+    // which would end the process when nobody listens
+    const connect = async () => {
+        const client = await connections.connectPostgres();
+        if (typeof client.on === 'function') {
+            client.on('error', error => console.error(chalk.yellow(`⚠️ PostgreSQL connection error: ${error.message}`)));
+        }
+        return client;
+    };
+    return reconnectable(await withRetry(connect, { label: 'Connecting to PostgreSQL' }), {
+        connect,
+        discard: client => client.release(true),
+        label: 'PostgreSQL',
+    });
+}
+
+/**
+ * Recovery for withRetry: reconnect the connection when the error means it is lost.
+ */
+export function reconnectAfter(connection) {
+    return async (error) => {
+        if (isConnectionError(error) && typeof connection.reconnect === 'function') {
+            await connection.reconnect();
+        }
+    };
+}
@@ -1,29 +1,58 @@
 // src/db2.js
 
-import ibmdb from 'ibm_db';
 import config from './config.js';
-import { mapDb2ToPostgresType } from './utils.js';
+import { mapDb2ToPostgresType, buildKeyPredicate, combineFilters } from './utils.js';
+import { StreamedValue, estimateRowBytes } from './streaming.js';
+
+// Values containing separators or surrounding blanks are enclosed in braces
+const keywordValue = (value) => (/[;{}]|^\s|\s$/.test(String(value)) ? `{${value}}` : String(value));
 
 /**
- * Construct the DB2 connection string if not explicitly provided in config.
+ * Construct the DB2 CLI connection string, unless one is configured as is. Without
+ * `ssl: false` the connection is secured by SSL, the server certificate verified
+ * against `sslServerCertificate` or the keystore `sslTrustStore`. `options` adds
+ * further CLI keywords, overriding the ones derived from the settings.
  */
-function getDB2ConnectionString() {
-    if (config.db2.connectionString) {
-        return config.db2.connectionString;
+function getDB2ConnectionString(settings) {
+    if (settings.connectionString) {
+        return settings.connectionString;
+    }
+    const keywords = {
+        DATABASE: settings.dbname,
+        HOSTNAME: settings.host,
+        PORT: settings.port,
+        PROTOCOL: 'TCPIP',
+        UID: settings.user,
+        PWD: settings.password,
+    };
+    if (settings.ssl !== false) {
+        keywords.Security = 'SSL';
+        keywords.SSLServerCertificate = settings.sslServerCertificate;
+        keywords.SSLClientKeystoredb = settings.sslTrustStore;
+        keywords.SSLClientKeystoreDBPassword = settings.sslPassword;
     }
-    return `DATABASE=${config.db2.dbname};HOSTNAME=${config.db2.host};PORT=${config.db2.port};` +
-        `UID=${config.db2.user};PWD=${config.db2.password};SECURITY=SSL;SSLConnection=true;`;
+    keywords.CurrentSchema = settings.currentSchema;
+    keywords.ConnectTimeout = settings.connectTimeout;
+    Object.assign(keywords, settings.options);
+
+    return Object.entries(keywords)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([keyword, value]) => `${keyword}=${keywordValue(value)};`)
+        .join('');
 }
 
 /**
- * Connect to DB2 and return a promise-based connection.
+ * Connect to DB2 and return a promise-based connection, by default to the
+ * configured database. ibm_db and its native bindings are loaded on the first
+ * connection, so that other sources, e.g. the in-memory one, work without them.
  */
-export function connectDB2() {
+export async function connectDB2(settings = config.db2) {
+    if (!settings.connectionString && !settings.host) {
+        throw new Error('DB2 connection is not configured, set DB2_HOST or DB2_CONNECTION_STRING');
+    }
+    const { default: ibmdb } = await import('ibm_db');
     return new Promise((resolve, reject) => {
-        const connectionString = getDB2ConnectionString();
-        if (!connectionString || typeof connectionString !== 'string') {
-            return reject(new Error(`Invalid DB2 connection string: ${connectionString}`));
-        }
+        const connectionString = getDB2ConnectionString(settings);
         console.log(`🔌 Connecting to DB2`);
         ibmdb.open(connectionString, (err, conn) => {
             if (err) {
@@ -38,22 +67,70 @@ export function connectDB2() {
 }
 
 /**
- * Fetch column metadata from DB2 for a given table.
+ * List the tables of a schema in SYSCAT.TABLES, by name.
+ */
+export async function listDb2Tables(db2, schema) {
+    try {
+        const result = await new Promise((resolve, reject) => {
+            db2.query(
+                `SELECT TABNAME FROM SYSCAT.TABLES WHERE TABSCHEMA = ? AND TYPE = 'T' ORDER BY TABNAME`,
+                [schema],
+                (err, res) => (err ? reject(err) : resolve(res))
+            );
+        });
+        return result.map(row => row.TABNAME.trim());
+    } catch (error) {
+        console.error(`⚠️ Error listing tables of schema ${schema}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Build the select list of the replicated columns, selecting masked columns
+ * through their masking expression under the column name.
+ */
+function selectColumns(columns) {
+    return columns.map(col => (col.expression ? `${col.expression} AS "${col.name}"` : `T."${col.name}"`)).join(', ');
+}
+
+/**
+ * Describe a column from its row of SYSCAT.COLUMNS, with TYPENAME being the source
+ * type of distinct types.
+ */
+export function columnFromCatalog(col) {
+    return {
+        name: col.COLNAME.trim(),
+        type: mapDb2ToPostgresType(col.TYPENAME.trim(), col.LENGTH, col.SCALE, col.CODEPAGE),
+        db2Type: col.TYPENAME.trim(),
+        length: col.LENGTH,
+        scale: col.SCALE,
+        nullable: col.NULLS === 'Y',
+        codepage: col.CODEPAGE,
+        default: col.DEFAULT === null || col.DEFAULT === undefined ? null : String(col.DEFAULT).trim(),
+    };
+}
+
+/**
+ * Fetch column metadata from DB2 for a given table, in column order.
+ * Columns of distinct types are described by their source type.
  */
 export async function getColumnMetadata(db2, schema, table) {
     try {
         const result = await new Promise((resolve, reject) => {
             db2.query(
-                `SELECT COLNAME, TYPENAME, LENGTH FROM SYSCAT.COLUMNS WHERE TABSCHEMA = ? AND TABNAME = ?`,
+                `SELECT C.COLNAME, COALESCE(D.SOURCENAME, C.TYPENAME) AS TYPENAME, C.LENGTH, C.SCALE,
+                C.NULLS, C.CODEPAGE, C.DEFAULT
+         FROM SYSCAT.COLUMNS C
+         LEFT JOIN SYSCAT.DATATYPES D
+           ON D.TYPESCHEMA = C.TYPESCHEMA AND D.TYPENAME = C.TYPENAME AND D.METATYPE = 'T'
+         WHERE C.TABSCHEMA = ? AND C.TABNAME = ?
+         ORDER BY C.COLNO`,
                 [schema.toUpperCase(), table.toUpperCase()],
                 (err, res) => (err ? reject(err) : resolve(res))
             );
         });
 
-        return result.map(col => ({
-            name: col.COLNAME.trim(),
-            type: mapDb2ToPostgresType(col.TYPENAME, col.LENGTH),
-        }));
+        return result.map(columnFromCatalog);
     } catch (error) {
         console.error(`⚠️ Failed to fetch column metadata for ${schema}.${table}: ${error.message}`);
         return [];
@@ -67,9 +144,11 @@ export async function getPrimaryKeys(db2, schema, table) {
     try {
         const result = await new Promise((resolve, reject) => {
             db2.query(
-                `SELECT COLNAME FROM SYSCAT.KEYCOLUSE
-         WHERE TABSCHEMA = ? AND TABNAME = ?
-         ORDER BY COLSEQ`,
+                `SELECT K.COLNAME FROM SYSCAT.KEYCOLUSE K
+         JOIN SYSCAT.TABCONST T
+           ON T.CONSTNAME = K.CONSTNAME AND T.TABSCHEMA = K.TABSCHEMA AND T.TABNAME = K.TABNAME
+         WHERE K.TABSCHEMA = ? AND K.TABNAME = ? AND T.TYPE = 'P'
+         ORDER BY K.COLSEQ`,
                 [schema.toUpperCase(), table.toUpperCase()],
                 (err, res) => (err ? reject(err) : resolve(res))
             );
@@ -83,47 +162,408 @@ export async function getPrimaryKeys(db2, schema, table) {
 }
 
 /**
- * Fetch a chunk of data from DB2 for a given table.
+ * Fetch the unique and secondary indexes of a table, excluding the primary key index
+ * and indexes PostgreSQL cannot express (XML, expression-based).
+ */
+export async function getIndexes(db2, schema, table) {
+    try {
+        const result = await new Promise((resolve, reject) => {
+            db2.query(
+                `SELECT I.INDSCHEMA, I.INDNAME, I.UNIQUERULE, U.COLNAME, U.COLORDER
+         FROM SYSCAT.INDEXES I
+         JOIN SYSCAT.INDEXCOLUSE U ON U.INDSCHEMA = I.INDSCHEMA AND U.INDNAME = I.INDNAME
+         WHERE I.TABSCHEMA = ? AND I.TABNAME = ? AND I.UNIQUERULE IN ('D', 'U')
+           AND I.INDEXTYPE IN ('REG', 'CLUS')
+           AND NOT EXISTS (
+             SELECT 1 FROM SYSCAT.INDEXCOLUSE X
+             WHERE X.INDSCHEMA = I.INDSCHEMA AND X.INDNAME = I.INDNAME AND X.TEXT IS NOT NULL
+           )
+         ORDER BY I.INDSCHEMA, I.INDNAME, U.COLSEQ`,
+                [schema.toUpperCase(), table.toUpperCase()],
+                (err, res) => (err ? reject(err) : resolve(res))
+            );
+        });
+
+        const indexes = new Map();
+        for (const row of result) {
+            const key = `${row.INDSCHEMA.trim()}.${row.INDNAME.trim()}`;
+            if (!indexes.has(key)) {
+                indexes.set(key, { name: row.INDNAME.trim(), unique: row.UNIQUERULE === 'U', columns: [], include: [] });
+            }
+            const index = indexes.get(key);
+            if (row.COLORDER === 'I') {
+                index.include.push(row.COLNAME.trim());
+            } else {
+                index.columns.push({ name: row.COLNAME.trim(), descending: row.COLORDER === 'D' });
+            }
+        }
+        return [...indexes.values()];
+    } catch (error) {
+        console.error(`⚠️ Failed to fetch indexes for ${schema}.${table}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Fetch the foreign keys of a table with their column pairs in key order.
  */
-export async function fetchChunk(db2, schema, table, columns, chunkSize, offset) {
-  // Get primary keys
-  const primaryKeys = await getPrimaryKeys(db2, schema.toUpperCase(), table.toUpperCase());
+export async function getForeignKeys(db2, schema, table) {
+    try {
+        const result = await new Promise((resolve, reject) => {
+            db2.query(
+                `SELECT R.CONSTNAME, R.REFTABSCHEMA, R.REFTABNAME, R.DELETERULE, R.UPDATERULE,
+                FK.COLNAME AS FK_COLNAME, PK.COLNAME AS PK_COLNAME
+         FROM SYSCAT.REFERENCES R
+         JOIN SYSCAT.KEYCOLUSE FK
+           ON FK.CONSTNAME = R.CONSTNAME AND FK.TABSCHEMA = R.TABSCHEMA AND FK.TABNAME = R.TABNAME
+         JOIN SYSCAT.KEYCOLUSE PK
+           ON PK.CONSTNAME = R.REFKEYNAME AND PK.TABSCHEMA = R.REFTABSCHEMA AND PK.TABNAME = R.REFTABNAME
+          AND PK.COLSEQ = FK.COLSEQ
+         WHERE R.TABSCHEMA = ? AND R.TABNAME = ?
+         ORDER BY R.CONSTNAME, FK.COLSEQ`,
+                [schema.toUpperCase(), table.toUpperCase()],
+                (err, res) => (err ? reject(err) : resolve(res))
+            );
+        });
 
-  let orderByClause = '';
-  if (primaryKeys && primaryKeys.length > 0) {
-      // Create ORDER BY clause using primary keys
-      const orderByColumns = primaryKeys.map(pk => `"${pk}" ASC`).join(', ');
-      orderByClause = `ORDER BY ${orderByColumns}`;
+        const foreignKeys = new Map();
+        for (const row of result) {
+            const name = row.CONSTNAME.trim();
+            if (!foreignKeys.has(name)) {
+                foreignKeys.set(name, {
+                    name,
+                    refSchema: row.REFTABSCHEMA.trim(),
+                    refTable: row.REFTABNAME.trim(),
+                    deleteRule: row.DELETERULE,
+                    updateRule: row.UPDATERULE,
+                    columns: [],
+                    refColumns: [],
+                });
+            }
+            const foreignKey = foreignKeys.get(name);
+            foreignKey.columns.push(row.FK_COLNAME.trim());
+            foreignKey.refColumns.push(row.PK_COLNAME.trim());
+        }
+        return [...foreignKeys.values()];
+    } catch (error) {
+        console.error(`⚠️ Failed to fetch foreign keys for ${schema}.${table}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Fetch the columns of the shortest unique index whose columns are all NOT NULL.
+ */
+export async function getUniqueKey(db2, schema, table) {
+    try {
+        const result = await new Promise((resolve, reject) => {
+            db2.query(
+                `SELECT I.INDSCHEMA, I.INDNAME, U.COLNAME, C.NULLS
+         FROM SYSCAT.INDEXES I
+         JOIN SYSCAT.INDEXCOLUSE U ON U.INDSCHEMA = I.INDSCHEMA AND U.INDNAME = I.INDNAME
+         JOIN SYSCAT.COLUMNS C ON C.TABSCHEMA = I.TABSCHEMA AND C.TABNAME = I.TABNAME AND C.COLNAME = U.COLNAME
+         WHERE I.TABSCHEMA = ? AND I.TABNAME = ? AND I.UNIQUERULE IN ('U', 'P')
+         ORDER BY I.INDSCHEMA, I.INDNAME, U.COLSEQ`,
+                [schema.toUpperCase(), table.toUpperCase()],
+                (err, res) => (err ? reject(err) : resolve(res))
+            );
+        });
+
+        const indexes = new Map();
+        for (const row of result) {
+            const indexName = `${row.INDSCHEMA.trim()}.${row.INDNAME.trim()}`;
+            if (!indexes.has(indexName)) indexes.set(indexName, { columns: [], nullable: false });
+            const index = indexes.get(indexName);
+            index.columns.push(row.COLNAME.trim());
+            index.nullable = index.nullable || row.NULLS === 'Y';
+        }
+
+        const candidates = [...indexes.values()]
+            .filter(index => !index.nullable)
+            .sort((a, b) => a.columns.length - b.columns.length);
+        return candidates.length > 0 ? candidates[0].columns : [];
+    } catch (error) {
+        console.error(`⚠️ Failed to fetch unique indexes for ${schema}.${table}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Check whether rows of a table can be addressed by RID(), which is not the case
+ * for every table organization.
+ */
+async function supportsRid(db2, schema, table) {
+    try {
+        await new Promise((resolve, reject) => {
+            db2.query(
+                `SELECT RID(T) FROM ${schema}.${table} T FETCH FIRST 1 ROW ONLY`,
+                (err, res) => (err ? reject(err) : resolve(res))
+            );
+        });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Alias under which the row id is selected when paging by RID
+export const RID_COLUMN = '__RID';
+
+/**
+ * Determine the key used to page through a table: the primary key, else a unique
+ * NOT NULL index, else the row id. Tables without any of these are read through a
+ * single cursor (kind "none").
+ */
+export async function getOrderingKey(db2, schema, table) {
+    const db2Schema = schema.toUpperCase();
+    const db2Table = table.toUpperCase();
+
+    const primaryKeys = await getPrimaryKeys(db2, db2Schema, db2Table);
+    if (primaryKeys.length > 0) {
+        return { kind: 'primary', columns: primaryKeys };
+    }
+
+    const uniqueKey = await getUniqueKey(db2, db2Schema, db2Table);
+    if (uniqueKey.length > 0) {
+        return { kind: 'unique', columns: uniqueKey };
+    }
+
+    if (await supportsRid(db2, db2Schema, db2Table)) {
+        return { kind: 'rid', columns: [RID_COLUMN] };
+    }
+
+    return { kind: 'none', columns: [] };
+}
+
+// Length of a LOB value in the units SUBSTRING counts: bytes of BLOBs, characters otherwise
+function lobLength(column) {
+    if (column.db2Type === 'BLOB') return `LENGTH(T."${column.name}")`;
+    return `CHARACTER_LENGTH(${lobText(column)}, CODEUNITS32)`;
+}
+
+// A LOB column as text or bytes SUBSTRING applies to, XML serialized
+function lobText(column) {
+    return column.db2Type === 'XML' ? `XMLSERIALIZE(T."${column.name}" AS CLOB(2G))` : `T."${column.name}"`;
+}
+
+// Alias under which the length of a streamed LOB column is selected
+const lobLengthAlias = (column) => `__LOB_LENGTH_${column.name}`;
+
+/**
+ * Read a LOB value of the row with the given address (`{ where, params }`) in pieces
+ * of `pieceSize` characters, or bytes of BLOBs, one query per piece.
+ */
+function readLob(db2, schema, table, column, length, pieceSize, address) {
+    const piece = column.db2Type === 'BLOB'
+        ? `SUBSTR(T."${column.name}", ?, ?)`
+        : `SUBSTRING(${lobText(column)}, ?, ?, CODEUNITS32)`;
+    const query = `SELECT ${piece} AS PIECE FROM ${schema}.${table} T WHERE ${address.where}`;
+    return async function* () {
+        for (let start = 1; start <= length; start += pieceSize) {
+            const size = Math.min(pieceSize, length - start + 1);
+            const result = await new Promise((resolve, reject) => {
+                db2.query(query, [start, size, ...address.params], (err, res) => (err ? reject(err) : resolve(res)));
+            });
+            if (result.length === 0) {
+                throw new Error(`Row of ${schema}.${table} was deleted while streaming column ${column.name}`);
+            }
+            yield result[0].PIECE;
+        }
+    };
+}
+
+/**
+ * Fetch a chunk of data from DB2 for a given table, seeking past the key values of
+ * the previous chunk (`after`) instead of using OFFSET. `key` comes from getOrderingKey.
+ * An optional filter `{ where, params }` further restricts the rows. Errors are
+ * thrown, since an empty chunk would silently end the table.
+ *
+ * Rows are fetched one at a time from the statement, and the chunk ends early once
+ * its rows take `maxBytes` (see estimateRowBytes). Values of the `lobColumns` longer
+ * than `lobInlineSize` are not fetched but returned as StreamedValues, read in pieces
+ * of that size from the row addressed by its key.
+ */
+export async function fetchChunk(db2, schema, table, columns, chunkSize, key, after = null, filter = null, {
+  maxBytes = Infinity,
+  lobColumns = [],
+  lobInlineSize = Infinity,
+} = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filter && filter.where) {
+      conditions.push(filter.where);
+      params.push(...(filter.params || []));
   }
 
-  const query = `SELECT * FROM ${schema}.${table} ${orderByClause} OFFSET ${offset} ROWS FETCH FIRST ${chunkSize} ROWS ONLY`;
+  let selectList = selectColumns(columns.filter(col => !lobColumns.includes(col)));
+  const lobList = lobColumns.map(col =>
+      `CASE WHEN ${lobLength(col)} <= ${lobInlineSize} THEN T."${col.name}" END AS "${col.name}", ` +
+      `${lobLength(col)} AS "${lobLengthAlias(col)}"`);
+  selectList = [selectList, ...lobList].filter(Boolean).join(', ');
+  let orderByClause;
+  if (key.kind === 'rid') {
+      selectList = `${selectList}, RID(T) AS "${RID_COLUMN}"`;
+      orderByClause = 'ORDER BY RID(T) ASC';
+      if (after) {
+          conditions.push('RID(T) > ?');
+          params.push(after[0]);
+      }
+  } else {
+      orderByClause = `ORDER BY ${key.columns.map(col => `"${col}" ASC`).join(', ')}`;
+      if (after) {
+          const predicate = buildKeyPredicate(key.columns, after);
+          conditions.push(predicate.where);
+          params.push(...predicate.params);
+      }
+  }
 
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const query = `SELECT ${selectList} FROM ${schema}.${table} T ${whereClause} ${orderByClause} FETCH FIRST ${chunkSize} ROWS ONLY`;
+
+  // Streamed values are read from the row by its key; the change column is left out,
+  // since a row may change while being read
+  const addressColumns = key.kind === 'change' ? key.columns.slice(1) : key.columns;
+  const address = (row) => (key.kind === 'rid'
+      ? { where: 'RID(T) = ?', params: [row[RID_COLUMN]] }
+      : { where: addressColumns.map(col => `T."${col}" = ?`).join(' AND '), params: addressColumns.map(col => row[col]) });
+
+  let result;
   try {
-      return await new Promise((resolve, reject) => {
-          db2.query(query, (err, res) => {
-              if (err) {
-                  console.error(`⚠️ Error fetching chunk for ${schema}.${table}: ${err.message}`);
-                  console.error(`❌ Query: ${query}`);
-                  reject(err);
-              } else {
-                  resolve(res);
-              }
+      result = await new Promise((resolve, reject) => {
+          db2.queryResult(query, params, (err, res) => (err ? reject(err) : resolve(res)));
+      });
+      const rows = [];
+      let bytes = 0;
+      while (rows.length < chunkSize && bytes < maxBytes) {
+          const row = await new Promise((resolve, reject) => {
+              result.fetch((err, res) => (err ? reject(err) : resolve(res)));
           });
+          if (!row) break;
+          for (const col of lobColumns) {
+              const length = row[lobLengthAlias(col)] === null ? null : Number(row[lobLengthAlias(col)]);
+              delete row[lobLengthAlias(col)];
+              if (length !== null && length > lobInlineSize) {
+                  row[col.name] = new StreamedValue({
+                      column: col.name,
+                      length,
+                      binary: col.db2Type === 'BLOB',
+                      read: readLob(db2, schema, table, col, length, lobInlineSize, address(row)),
+                  });
+              }
+          }
+          bytes += estimateRowBytes(row);
+          rows.push(row);
+      }
+      return rows;
+  } catch (err) {
+      console.error(`⚠️ Error fetching chunk for ${schema}.${table}: ${err.message}`);
+      console.error(`❌ Query: ${query}`);
+      throw err;
+  } finally {
+      if (result) result.closeSync();
+  }
+}
+
+/**
+ * Fetch the next `limit` primary key values of a table in key order, after the key
+ * values in `after`, as a list of value arrays. Errors are thrown, since a missing
+ * chunk of keys would read as rows deleted in DB2.
+ */
+export async function fetchDb2Keys(db2, schema, table, primaryKeys, limit, after = null, filter = null) {
+    const predicate = after ? buildKeyPredicate(primaryKeys, after) : null;
+    const combined = combineFilters(predicate, filter);
+    const keyList = primaryKeys.map(pk => `"${pk}"`).join(', ');
+    const query = `SELECT ${keyList} FROM ${schema}.${table} T ${combined ? `WHERE ${combined.where}` : ''} ` +
+        `ORDER BY ${keyList} FETCH FIRST ${limit} ROWS ONLY`;
+    try {
+        const result = await new Promise((resolve, reject) => {
+            db2.query(query, combined ? combined.params : [], (err, res) => (err ? reject(err) : resolve(res)));
+        });
+        return result.map(row => primaryKeys.map(pk => row[pk]));
+    } catch (error) {
+        console.error(`⚠️ Error fetching keys of ${schema}.${table}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Open a single streaming cursor over the columns of a table that has no usable ordering key.
+ * `next(n, maxBytes)` returns up to n further rows, fewer once they take `maxBytes`,
+ * and an empty array once the cursor is exhausted.
+ */
+export async function openCursor(db2, schema, table, columns, filter = null) {
+    const whereClause = filter && filter.where ? `WHERE ${filter.where}` : '';
+    const params = (filter && filter.params) || [];
+    const query = `SELECT ${selectColumns(columns)} FROM ${schema}.${table} T ${whereClause}`;
+
+    const result = await new Promise((resolve, reject) => {
+        db2.queryResult(query, params, (err, res) => {
+            if (err) {
+                console.error(`⚠️ Error opening cursor for ${schema}.${table}: ${err.message}`);
+                console.error(`❌ Query: ${query}`);
+                reject(err);
+            } else {
+                resolve(res);
+            }
+        });
+    });
+
+    let exhausted = false;
+    const fetchRow = () => new Promise((resolve, reject) => {
+        result.fetch((err, row) => (err ? reject(err) : resolve(row)));
+    });
+
+    return {
+        async next(count, maxBytes = Infinity) {
+            const rows = [];
+            let bytes = 0;
+            while (!exhausted && rows.length < count && bytes < maxBytes) {
+                const row = await fetchRow();
+                if (!row) {
+                    exhausted = true;
+                    break;
+                }
+                bytes += estimateRowBytes(row);
+                rows.push(row);
+            }
+            return rows;
+        },
+        close() {
+            result.closeSync();
+        },
+    };
+}
+
+/**
+ * Get the current maximum value of a column in DB2, e.g. a change timestamp.
+ */
+export async function getDb2MaxValue(db2, schema, table, column) {
+  try {
+      const result = await new Promise((resolve, reject) => {
+          db2.query(
+              `SELECT MAX("${column}") AS MAXVALUE FROM ${schema.toUpperCase()}.${table.toUpperCase()}`,
+              (err, res) => (err ? reject(err) : resolve(res))
+          );
       });
+      return result.length ? result[0].MAXVALUE : null;
   } catch (error) {
-      console.error(`⚠️ Unexpected error fetching chunk for ${schema}.${table}: ${error.message}`);
-      return [];
+      console.error(`⚠️ Error getting max value of ${column} for ${schema}.${table}: ${error.message}`);
+      return null;
   }
 }
 
 /**
- * Get the exact total row count from DB2 using SELECT COUNT(*).
+ * Get the exact total row count from DB2 using SELECT COUNT(*), optionally
+ * restricted by a filter `{ where, params }`.
  */
-export async function getDb2RowCount(db2, schema, table) {
+export async function getDb2RowCount(db2, schema, table, filter = null) {
+  const whereClause = filter && filter.where ? `WHERE ${filter.where}` : '';
   try {
       const result = await new Promise((resolve, reject) => {
           db2.query(
-              `SELECT COUNT(*) AS COUNT FROM ${schema.toUpperCase()}.${table.toUpperCase()}`,
+              `SELECT COUNT(*) AS COUNT FROM ${schema.toUpperCase()}.${table.toUpperCase()} ${whereClause}`,
+              (filter && filter.params) || [],
               (err, res) => (err ? reject(err) : resolve(res))
           );
       });
@@ -139,34 +579,155 @@ export async function getDb2RowCount(db2, schema, table) {
 
 
 /**
- * Get the view definition from DB2.
+ * Get the view definition from DB2: the full CREATE VIEW text and the qualifier,
+ * the default schema its unqualified table references resolve to.
  */
 export async function getViewDefinition(db2, schema, viewName) {
   try {
-      const query = `SELECT TEXT FROM SYSCAT.VIEWS WHERE VIEWSCHEMA = '${schema}' AND VIEWNAME = '${viewName}'`;
-      console.log(`\nDB2 getViewDefinition Query:\n${query}\n`); // Log the query
-
       const result = await new Promise((resolve, reject) => {
           db2.query(
-              query,
+              `SELECT TEXT, QUALIFIER FROM SYSCAT.VIEWS WHERE VIEWSCHEMA = ? AND VIEWNAME = ?`,
+              [schema, viewName],
               (err, res) => (err ? reject(err) : resolve(res))
           );
       });
       if (result.length && result[0].TEXT) {
-          const viewDefinition = result[0].TEXT;
-          // Extract the part after "AS"
-          const asIndex = viewDefinition.toUpperCase().indexOf('AS');
-          if (asIndex !== -1) {
-              let selectStatement = viewDefinition.substring(asIndex + 2).trim(); // +2 to skip "AS"
-              // Wrap schema and table names in double quotes
-              selectStatement = selectStatement.replace(/EDM_COMP\.LOCN_COMPANY_XREF/g, '"EDM_COMP"."LOCN_COMPANY_XREF"');
-              return selectStatement;
-          }
-          return ''; // Return empty string if "AS" is not found
+          return { text: result[0].TEXT, qualifier: (result[0].QUALIFIER || schema).trim() };
       }
-      return '';
+      return null;
   } catch (error) {
       console.error(`⚠️ Error getting view definition for ${schema}.${viewName}: ${error.message}`);
-      return '';
+      return null;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Get the tables and views a DB2 view reads from, from SYSCAT.VIEWDEP.
+ * Aliases are resolved to the object they point at. Returns a list of
+ * `{ schema, name, kind }` with kind 'table' or 'view'.
+ */
+export async function getViewDependencies(db2, schema, viewName) {
+    try {
+        const result = await new Promise((resolve, reject) => {
+            db2.query(
+                `SELECT DISTINCT B.TABSCHEMA, B.TABNAME, B.TYPE
+         FROM SYSCAT.VIEWDEP D
+         LEFT JOIN SYSCAT.TABLES A
+           ON D.BTYPE = 'A' AND A.TABSCHEMA = D.BSCHEMA AND A.TABNAME = D.BNAME
+         JOIN SYSCAT.TABLES B
+           ON B.TABSCHEMA = COALESCE(A.BASE_TABSCHEMA, D.BSCHEMA)
+          AND B.TABNAME = COALESCE(A.BASE_TABNAME, D.BNAME)
+         WHERE D.VIEWSCHEMA = ? AND D.VIEWNAME = ? AND D.BTYPE IN ('T', 'S', 'V', 'A')`,
+                [schema, viewName],
+                (err, res) => (err ? reject(err) : resolve(res))
+            );
+        });
+        return result
+            .filter(row => ['T', 'S', 'V'].includes(row.TYPE))
+            .map(row => ({
+                schema: row.TABSCHEMA.trim(),
+                name: row.TABNAME.trim(),
+                kind: row.TYPE === 'V' ? 'view' : 'table',
+            }));
+    } catch (error) {
+        console.error(`⚠️ Error getting dependencies of view ${schema}.${viewName}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Compute aggregate expressions over a table, optionally restricted by a filter
+ * `{ where, params }`. `expressions` is a list of `{ alias, sql }`.
+ */
+export async function getDb2Aggregates(db2, schema, table, expressions, filter = null) {
+    const selectList = expressions.map(({ alias, sql }) => `${sql} AS "${alias}"`).join(', ');
+    const whereClause = filter && filter.where ? `WHERE ${filter.where}` : '';
+    const query = `SELECT ${selectList} FROM ${schema}.${table} ${whereClause}`;
+    try {
+        const result = await new Promise((resolve, reject) => {
+            db2.query(query, (filter && filter.params) || [], (err, res) => (err ? reject(err) : resolve(res)));
+        });
+        return result[0];
+    } catch (error) {
+        console.error(`⚠️ Error computing aggregates for ${schema}.${table}: ${error.message}`);
+        console.error(`❌ Query: ${query}`);
+        throw error;
+    }
+}
+
+/**
+ * Split a table into ranges of about `bucketSize` rows by key order, returning the
+ * key values the ranges start with (the first range starts at the lowest key).
+ * An optional filter `{ where, params }` restricts the rows considered.
+ */
+export async function getDb2KeyBoundaries(db2, schema, table, keyColumns, bucketSize, filter = null) {
+    const keyList = keyColumns.map(col => `"${col}"`).join(', ');
+    const whereClause = filter && filter.where ? `WHERE ${filter.where}` : '';
+    const query = `SELECT ${keyList} FROM (
+        SELECT ${keyList}, ROW_NUMBER() OVER (ORDER BY ${keyList}) AS RN FROM ${schema}.${table} ${whereClause}
+    ) WHERE MOD(RN - 1, ${bucketSize}) = 0 ORDER BY ${keyList}`;
+    try {
+        const result = await new Promise((resolve, reject) => {
+            db2.query(query, (filter && filter.params) || [], (err, res) => (err ? reject(err) : resolve(res)));
+        });
+        return result.map(row => keyColumns.map(col => row[col]));
+    } catch (error) {
+        console.error(`⚠️ Error computing key ranges for ${schema}.${table}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Fetch a random sample of rows from a table, optionally restricted by a filter.
+ */
+export async function sampleDb2Rows(db2, schema, table, size, filter = null) {
+    const whereClause = filter && filter.where ? `WHERE ${filter.where}` : '';
+    const query = `SELECT * FROM ${schema}.${table} ${whereClause} ORDER BY RAND() FETCH FIRST ${size} ROWS ONLY`;
+    try {
+        return await new Promise((resolve, reject) => {
+            db2.query(query, (filter && filter.params) || [], (err, res) => (err ? reject(err) : resolve(res)));
+        });
+    } catch (error) {
+        console.error(`⚠️ Error sampling rows of ${schema}.${table}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Get the lowest and highest value of a column, optionally restricted by a filter,
+ * as `{ min, max }`.
+ */
+export async function getDb2MinMax(db2, schema, table, column, filter = null) {
+    const whereClause = filter && filter.where ? `WHERE ${filter.where}` : '';
+    const query = `SELECT MIN("${column}") AS MINVALUE, MAX("${column}") AS MAXVALUE FROM ${schema}.${table} T ${whereClause}`;
+    try {
+        const result = await new Promise((resolve, reject) => {
+            db2.query(query, (filter && filter.params) || [], (err, res) => (err ? reject(err) : resolve(res)));
+        });
+        return { min: result[0].MINVALUE, max: result[0].MAXVALUE };
+    } catch (error) {
+        console.error(`⚠️ Error getting the range of ${column} for ${schema}.${table}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * List the data partitions of a range-partitioned table from SYSCAT.DATAPARTITIONS
+ * as `{ seqno, name }`, in sequence order; empty for tables that are not partitioned.
+ */
+export async function getDataPartitions(db2, schema, table) {
+    try {
+        const result = await new Promise((resolve, reject) => {
+            db2.query(
+                `SELECT SEQNO, DATAPARTITIONNAME FROM SYSCAT.DATAPARTITIONS
+         WHERE TABSCHEMA = ? AND TABNAME = ? ORDER BY SEQNO`,
+                [schema.toUpperCase(), table.toUpperCase()],
+                (err, res) => (err ? reject(err) : resolve(res))
+            );
+        });
+        return result.map(row => ({ seqno: row.SEQNO, name: row.DATAPARTITIONNAME.trim() }));
+    } catch (error) {
+        console.error(`⚠️ Error listing data partitions of ${schema}.${table}: ${error.message}`);
+        return [];
+    }
+}
@@ -0,0 +1,75 @@
+// src/deadletter.js
+
+import fs from 'node:fs/promises';
+import chalk from 'chalk';
+import config from './config.js';
+import { specName } from './tables.js';
+import { target } from './adapters.js';
+
+// JSON text of a value, with binary data in bytea hex notation
+function toJson(value) {
+    return JSON.stringify(value, function (key, item) {
+        const original = this[key];
+        return Buffer.isBuffer(original) ? `\\x${original.toString('hex')}` : item;
+    });
+}
+
+/**
+ * Dead letters of a table: with DEAD_LETTER set to "table" or "file", rows PostgreSQL
+ * rejects are set aside while the other rows of their chunk load, and stored with
+ * their primary key, values and error in the dead-letter table of the state schema
+ * or appended to the JSONL dead-letter file. A table fails once it rejects more
+ * than its maxRejectedRows. Returns null when rejected rows fail their chunk instead.
+ *
+ * `collect()` starts the collector of one chunk, handed to the loaders, and
+ * `record()` stores the rows it collected; `onReject` is told their number. Chunks
+ * written at the same time, e.g. by the workers of key ranges, share the limit: a
+ * collector reserves every row against it before the row is set aside, and
+ * `release()` returns the rows of a write that failed, which were not set aside.
+ */
+export function createDeadLetters(pgClient, spec, { runId, primaryKeys, onReject = () => {} }) {
+    const { target: destination, file } = config.deadLetter;
+    if (destination === 'none') return null;
+    const { schema, table } = spec.target;
+    let rejectedCount = 0;
+    // Rows stored, plus those reserved by chunks being written
+    let reservedCount = 0;
+
+    return {
+        collect: () => ({
+            rows: [],
+            // Checked and counted in one step, so concurrent chunks cannot exceed the limit together
+            reserve: () => {
+                if (reservedCount >= spec.maxRejectedRows) return false;
+                reservedCount++;
+                return true;
+            },
+        }),
+
+        release({ rows }) {
+            reservedCount -= rows.length;
+        },
+
+        async record({ rows }) {
+            if (rows.length === 0) return;
+            const entries = rows.map(({ row, error }) => ({
+                key: primaryKeys.length > 0 ? Object.fromEntries(primaryKeys.map(pk => [pk, row[pk]])) : null,
+                row,
+                error: error.message,
+                sqlstate: error.code || null,
+            }));
+            if (destination === 'table') {
+                await target.saveDeadLetters(pgClient, config.replication.stateSchema, runId, schema, table,
+                    entries.map(entry => ({ ...entry, key: entry.key && toJson(entry.key), row: toJson(entry.row) })));
+            } else {
+                const rejectedAt = new Date().toISOString();
+                const lines = entries.map(entry => `${toJson({ runId, schema, table, ...entry, rejectedAt })}\n`);
+                await fs.appendFile(file, lines.join(''));
+            }
+            rejectedCount += rows.length;
+            console.log(chalk.yellow(`⚠️ ${specName(spec)}: ${rows.length} row(s) rejected, ` +
+                `${rejectedCount} of at most ${spec.maxRejectedRows} set aside in the dead-letter ${destination}`));
+            onReject(rows.length);
+        },
+    };
+}
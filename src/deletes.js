@@ -0,0 +1,90 @@
+// src/deletes.js
+
+import chalk from 'chalk';
+import { SOFT_DELETE_COLUMN } from './postgres.js';
+import { comparisonKind, normalizeValue } from './verify.js';
+import { specFilter, specName } from './tables.js';
+import { buildKeyPredicate, combineFilters, chunkArray } from './utils.js';
+import { source, target } from './adapters.js';
+
+// Keys deleted or marked per statement batch
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * Propagate rows deleted in DB2 to PostgreSQL. The primary keys of both sides are
+ * read in key order, a chunk of DB2 keys at a time, and the PostgreSQL keys in the
+ * range of each chunk that DB2 does not have are orphans. Orphans are deleted, or
+ * with soft deletes marked in SOFT_DELETE_COLUMN.
+ *
+ * As a safety net nothing is deleted when the orphans exceed the table's
+ * maxDeletePercent of its PostgreSQL rows (not yet marked, with soft deletes), as an
+ * empty or misconfigured source would otherwise wipe the target. The rows are counted
+ * up front and the reconciliation stops at the first orphan over the limit, rather
+ * than collecting the keys of a whole table. Returns the rows deleted or marked.
+ */
+export async function propagateDeletes(db2, pgClient, spec, columns, primaryKeys) {
+    const { schema: db2Schema, table: db2Table } = spec.source;
+    const { schema, table } = spec.target;
+    const name = specName(spec);
+    const soft = spec.deletes === 'soft';
+    const chunkSize = spec.chunkSize;
+
+    if (soft) await target.ensureSoftDeleteColumn(pgClient, schema, table);
+
+    // PostgreSQL orders text by its collation, DB2 by code point as the "C" collation does
+    const keyColumns = primaryKeys.map(pk => columns.find(col => col.name === pk));
+    const textualKeys = new Set(keyColumns.filter(col => ['text', 'char'].includes(comparisonKind(col))).map(col => col.name));
+    const reference = (column) => (textualKeys.has(column) ? `"${column}" COLLATE "C"` : `"${column}"`);
+    const normalizeKey = (key) => JSON.stringify(key.map((value, i) => normalizeValue(keyColumns[i], value)));
+    const live = soft ? { where: `"${SOFT_DELETE_COLUMN}" IS NULL`, params: [] } : null;
+
+    const postgresCount = await target.getRowCount(pgClient, schema, table, live);
+    const maxOrphans = postgresCount > 0 ? (postgresCount * spec.maxDeletePercent) / 100 : 0;
+    const refuse = (orphanCount) => {
+        const percent = postgresCount > 0 ? (orphanCount / postgresCount) * 100 : 100;
+        return new Error(`Refusing to delete at least ${orphanCount} of ${postgresCount} rows of ${name} ` +
+            `(${percent.toFixed(1)}%, more than the ${spec.maxDeletePercent}% allowed)`);
+    };
+
+    // Page through the PostgreSQL keys after `lower` up to and including `upper`
+    const findOrphans = async (lower, upper, db2Keys, orphans) => {
+        let after = lower;
+        for (;;) {
+            const range = combineFilters(
+                live,
+                after ? buildKeyPredicate(primaryKeys, after, false, { reference }) : null,
+                upper ? buildKeyPredicate(primaryKeys, upper, true, { before: true, reference }) : null,
+            );
+            const keys = await target.fetchKeys(pgClient, schema, table, primaryKeys, chunkSize, range, reference);
+            orphans.push(...keys.filter(key => !db2Keys.has(normalizeKey(key))));
+            if (orphans.length > maxOrphans) throw refuse(orphans.length);
+            if (keys.length < chunkSize) return;
+            after = keys[keys.length - 1];
+        }
+    };
+
+    console.log(chalk.blue(`🔍 Reconciling keys of ${name} to find deleted rows`));
+    const orphans = [];
+    let lastKey = null;
+    for (;;) {
+        const db2Keys = await source.fetchKeys(db2, db2Schema, db2Table, primaryKeys, chunkSize, lastKey, specFilter(spec));
+        if (db2Keys.length === 0) break;
+        const upper = db2Keys[db2Keys.length - 1];
+        await findOrphans(lastKey, upper, new Set(db2Keys.map(normalizeKey)), orphans);
+        lastKey = upper;
+        if (db2Keys.length < chunkSize) break;
+    }
+    // Every key after the last one in DB2 is gone
+    await findOrphans(lastKey, null, new Set(), orphans);
+
+    if (orphans.length === 0) return 0;
+
+    let deletedCount = 0;
+    for (const batch of chunkArray(orphans, DELETE_BATCH_SIZE)) {
+        deletedCount += soft
+            ? await target.softDeleteRows(pgClient, schema, table, primaryKeys, batch)
+            : await target.deleteRows(pgClient, schema, table, primaryKeys, batch);
+    }
+    console.log(chalk.green(`🗑️ ${name}: ${deletedCount} rows ${soft ? 'marked deleted' : 'deleted'}`));
+    return deletedCount;
+}
@@ -0,0 +1,158 @@
+// src/drift.js
+
+import chalk from 'chalk';
+
+// Kinds of column drift, each handled according to its configured policy
+export const DRIFT_KINDS = ['add', 'drop', 'widen', 'retype'];
+
+const typeAliases = {
+    'INT': 'integer',
+    'INTEGER': 'integer',
+    'INT4': 'integer',
+    'SMALLINT': 'smallint',
+    'INT2': 'smallint',
+    'BIGINT': 'bigint',
+    'INT8': 'bigint',
+    'REAL': 'real',
+    'FLOAT4': 'real',
+    'DOUBLE PRECISION': 'double precision',
+    'FLOAT8': 'double precision',
+    'DECIMAL': 'numeric',
+    'NUMERIC': 'numeric',
+    'VARCHAR': 'character varying',
+    'CHARACTER VARYING': 'character varying',
+    'CHAR': 'character',
+    'CHARACTER': 'character',
+    'BPCHAR': 'character',
+    'TIMESTAMP': 'timestamp without time zone',
+    'TIMESTAMP WITHOUT TIME ZONE': 'timestamp without time zone',
+    'TIME': 'time without time zone',
+    'TIME WITHOUT TIME ZONE': 'time without time zone',
+    'BOOL': 'boolean',
+};
+
+/**
+ * Normalize a PostgreSQL type as written in DDL, e.g. "VARCHAR(10)", into
+ * `{ base, params }` with the base name used by information_schema.
+ */
+export function parsePostgresType(typeString) {
+    const match = String(typeString).trim().match(/^([^(]+?)\s*(?:\(([^)]*)\))?\s*$/);
+    if (!match) return { base: String(typeString).trim().toLowerCase(), params: [] };
+    const name = match[1].trim().toUpperCase().replace(/\s+/g, ' ');
+    const params = match[2] ? match[2].split(',').map(param => parseInt(param.trim(), 10)) : [];
+    return { base: typeAliases[name] || name.toLowerCase(), params };
+}
+
+/**
+ * Build the normalized type of a row from information_schema.columns.
+ */
+export function typeFromInformationSchema(column) {
+    const base = column.data_type === 'USER-DEFINED' ? column.udt_name : column.data_type;
+    switch (base) {
+        case 'character varying':
+        case 'character':
+            return { base, params: column.character_maximum_length !== null ? [column.character_maximum_length] : [] };
+        case 'numeric':
+            return { base, params: column.numeric_precision !== null ? [column.numeric_precision, column.numeric_scale] : [] };
+        case 'timestamp without time zone':
+        case 'time without time zone':
+            return { base, params: column.datetime_precision !== null ? [column.datetime_precision] : [] };
+        default:
+            return { base, params: [] };
+    }
+}
+
+/**
+ * Format a normalized type for display.
+ */
+export function formatType(type) {
+    return type.params.length > 0 ? `${type.base}(${type.params.join(',')})` : type.base;
+}
+
+function sameType(a, b) {
+    return a.base === b.base && a.params.join(',') === b.params.join(',');
+}
+
+// Lossless base type promotions
+const widerBases = {
+    'smallint': ['integer', 'bigint', 'numeric'],
+    'integer': ['bigint', 'numeric'],
+    'bigint': ['numeric'],
+    'real': ['double precision'],
+    'character': ['character varying', 'text'],
+    'character varying': ['text'],
+};
+
+/**
+ * Whether changing a column from type `from` to type `to` cannot lose data.
+ */
+export function isWidening(from, to) {
+    if (from.base !== to.base) {
+        if (!(widerBases[from.base] || []).includes(to.base)) return false;
+        // An unconstrained target, or one at least as long as the source
+        if (to.params.length === 0 || from.params.length === 0) return to.params.length === 0;
+        return to.params[0] >= from.params[0];
+    }
+    if (to.params.length === 0) return true;
+    if (from.params.length === 0) return false;
+    if (from.base === 'numeric') {
+        const [fromPrecision, fromScale = 0] = from.params;
+        const [toPrecision, toScale = 0] = to.params;
+        return toScale >= fromScale && toPrecision - toScale >= fromPrecision - fromScale;
+    }
+    return to.params[0] >= from.params[0];
+}
+
+/**
+ * Compare the columns read from DB2 with the columns of the PostgreSQL table.
+ * Returns a list of changes `{ kind, column, from, to }`.
+ */
+export function diffColumns(sourceColumns, targetColumns) {
+    const changes = [];
+    const targetByName = new Map(targetColumns.map(col => [col.column_name, col]));
+    const sourceNames = new Set(sourceColumns.map(col => col.name));
+
+    for (const column of sourceColumns) {
+        const target = targetByName.get(column.name);
+        if (!target) {
+            changes.push({ kind: 'add', column: column.name, to: column.type, definition: column });
+            continue;
+        }
+        const from = typeFromInformationSchema(target);
+        const to = parsePostgresType(column.type);
+        if (!sameType(from, to)) {
+            changes.push({
+                kind: isWidening(from, to) ? 'widen' : 'retype',
+                column: column.name,
+                from: formatType(from),
+                to: column.type,
+            });
+        }
+    }
+
+    for (const target of targetColumns) {
+        if (!sourceNames.has(target.column_name)) {
+            changes.push({ kind: 'drop', column: target.column_name, from: formatType(typeFromInformationSchema(target)) });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Print the drift report of a table, with the policy each change falls under.
+ */
+export function printDriftReport(schema, table, changes, policies) {
+    console.log(chalk.yellow(`⚠️ Schema drift detected for ${schema}.${table}:`));
+    for (const change of changes) {
+        const policy = policies[change.kind];
+        const description = {
+            add: `column ${change.column} added (${change.to})`,
+            drop: `column ${change.column} dropped (was ${change.from})`,
+            widen: `column ${change.column} widened from ${change.from} to ${change.to}`,
+            retype: `column ${change.column} changed from ${change.from} to ${change.to}`,
+        }[change.kind];
+        const color = policy === 'fail' ? chalk.red : policy === 'warn' ? chalk.yellow : chalk.blue;
+        console.log(color(`   • ${description} → ${policy}`));
+    }
+}
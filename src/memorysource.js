@@ -0,0 +1,354 @@
+// src/memorysource.js
+
+import { columnFromCatalog, RID_COLUMN } from './db2.js';
+import { StreamedValue, estimateRowBytes } from './streaming.js';
+
+/*
+ * In-memory stand-in for DB2 as a source adapter (see adapters.js), to run replication
+ * against PostgreSQL, or a fake target, without a DB2 database. Tables are defined as
+ *
+ *   {
+ *     schema, name,
+ *     columns: [{ name, type, length, scale, nullable, codepage, default }],
+ *     primaryKey: ['ID'], indexes: [{ name, unique, columns: [{ name, descending }], include }],
+ *     foreignKeys: [{ name, refSchema, refTable, columns, refColumns, deleteRule, updateRule }],
+ *     rid: true, rows: [{ ID: 1, ... }],
+ *   }
+ *
+ * with types, lengths and scales as in SYSCAT.COLUMNS and names in upper case. The
+ * columns are reported through their SYSCAT.COLUMNS rows, so they are described exactly
+ * like DB2's. Views are `{ schema, name, text, qualifier, dependencies: [{ schema, name }] }`.
+ *
+ * Definitions stay live: rows inserted, changed or deleted and columns added or altered
+ * show up in the next read, e.g. for incremental runs and schema drift. Key predicates
+ * are evaluated on the rows; any other filter is SQL and fails, as do aggregates,
+ * so tables with a WHERE clause or masked columns, and verification, need DB2.
+ * Change capture is not supported.
+ *
+ * Chunks keep to their byte budget and long LOB values are streamed in pieces, like DB2's.
+ *
+ * `failNext(method, error)` makes the next call of an adapter method fail, by default
+ * with a lost connection (SQL30081N), which also closes the connection it was called on.
+ */
+
+const CHARACTER_TYPES = ['CHARACTER', 'CHAR', 'VARCHAR', 'LONG VARCHAR', 'CLOB'];
+// Code page reported for character columns not FOR BIT DATA
+const DEFAULT_CODEPAGE = 1208;
+
+const qualified = (schema, name) => `${schema.toUpperCase()}.${name.toUpperCase()}`;
+
+function communicationError() {
+    const error = new Error('[IBM][CLI Driver] SQL30081N A communication error has been detected. ' +
+        'Communication protocol being used: "TCP/IP". SQLSTATE=08001');
+    error.state = '08001';
+    return error;
+}
+
+function undefinedNameError(name) {
+    const error = new Error(`[IBM][CLI Driver][DB2/LINUXX8664] SQL0204N "${name}" is an undefined name. SQLSTATE=42704`);
+    error.state = '42704';
+    return error;
+}
+
+// Order of two values of a key column as DB2 sorts them, NULL last
+function compareValues(a, b) {
+    const aNull = a === null || a === undefined;
+    const bNull = b === null || b === undefined;
+    if (aNull || bNull) return aNull === bNull ? 0 : (aNull ? 1 : -1);
+    if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) return Buffer.compare(a, b);
+    if (a instanceof Date || b instanceof Date) return new Date(a).getTime() - new Date(b).getTime();
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'bigint' || typeof b === 'bigint') {
+        const difference = BigInt(a) - BigInt(b);
+        return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+    }
+    if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function compareKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        const order = compareValues(a[i], b[i]);
+        if (order !== 0) return order;
+    }
+    return 0;
+}
+
+// Test of the rows a filter selects; only key predicates (see buildKeyPredicate) have one
+function matcher(filter) {
+    if (!filter || !filter.where) return () => true;
+    if (!filter.keys) {
+        throw new Error(`The in-memory source cannot evaluate the SQL filter ${filter.where}: ` +
+            'tables with a where clause need DB2');
+    }
+    return (row) => filter.keys.every(({ columns, values, inclusive, before }) => {
+        const order = compareKeys(columns.map(column => row[column]), values);
+        return (before ? order < 0 : order > 0) || (inclusive && order === 0);
+    });
+}
+
+/**
+ * Create an in-memory source of the given tables and views. The adapter also offers
+ * `table(schema, name)`, the live definition of a table, and `failNext(method, error)`.
+ */
+export function createMemorySource({ tables = [], views = [] } = {}) {
+    const definitions = new Map();
+    // Row ids, assigned in insertion order and kept while a row exists
+    const rowIds = new WeakMap();
+    let lastRowId = 0;
+    const failures = [];
+
+    for (const table of tables) {
+        definitions.set(qualified(table.schema, table.name), {
+            primaryKey: [], indexes: [], foreignKeys: [], rid: true, rows: [], ...table, kind: 'table',
+        });
+    }
+    for (const view of views) {
+        definitions.set(qualified(view.schema, view.name), { qualifier: view.schema, dependencies: [], ...view, kind: 'view' });
+    }
+
+    const lookup = (schema, name, kind = 'table') => {
+        const definition = definitions.get(qualified(schema, name));
+        return definition && definition.kind === kind ? definition : null;
+    };
+    const rowsOf = (schema, name) => {
+        const definition = lookup(schema, name);
+        if (!definition) throw undefinedNameError(qualified(schema, name));
+        return definition.rows;
+    };
+    const rowId = (row) => {
+        if (!rowIds.has(row)) rowIds.set(row, ++lastRowId);
+        return rowIds.get(row);
+    };
+
+    // The rows of SYSCAT.COLUMNS of a table
+    const catalogColumns = (definition) => definition.columns.map(column => {
+        const type = column.type.toUpperCase();
+        return {
+            COLNAME: column.name,
+            TYPENAME: type,
+            LENGTH: column.length ?? 0,
+            SCALE: column.scale ?? 0,
+            NULLS: column.nullable === false ? 'N' : 'Y',
+            CODEPAGE: column.codepage ?? (CHARACTER_TYPES.includes(type) ? DEFAULT_CODEPAGE : 0),
+            DEFAULT: column.default ?? null,
+        };
+    });
+
+    // Selected values of a row, copied since rows are transformed in place
+    const selectRow = (row, columns) => Object.fromEntries(columns.map(column => {
+        if (column.expression) {
+            throw new Error(`The in-memory source cannot evaluate the expression of column ${column.name}`);
+        }
+        return [column.name, row[column.name] ?? null];
+    }));
+
+    // Rows of a chunk up to the byte budget, with long LOB values streamed in slices
+    const limitChunk = (rows, { maxBytes = Infinity, lobColumns = [], lobInlineSize = Infinity } = {}) => {
+        const chunk = [];
+        let bytes = 0;
+        for (const row of rows) {
+            if (bytes >= maxBytes) break;
+            for (const column of lobColumns) {
+                const value = row[column.name];
+                if (value !== null && value.length > lobInlineSize) {
+                    row[column.name] = new StreamedValue({
+                        column: column.name,
+                        length: value.length,
+                        binary: Buffer.isBuffer(value),
+                        read: async function* () {
+                            for (let start = 0; start < value.length; start += lobInlineSize) {
+                                yield value.slice(start, start + lobInlineSize);
+                            }
+                        },
+                    });
+                }
+            }
+            bytes += estimateRowBytes(row);
+            chunk.push(row);
+        }
+        return chunk;
+    };
+
+    // Every adapter method fails while its connection is closed or a failure is queued
+    const operation = (method, fn) => async (connection, ...args) => {
+        if (connection && connection.closed) throw communicationError();
+        const index = failures.findIndex(failure => failure.method === method);
+        if (index >= 0) {
+            const [{ error }] = failures.splice(index, 1);
+            // Closed through its method, since connections may be wrapped in a proxy
+            if (!error && connection) connection.close();
+            throw error || communicationError();
+        }
+        return fn(connection, ...args);
+    };
+
+    return {
+        async connect() {
+            return {
+                closed: false,
+                close(callback = () => {}) {
+                    this.closed = true;
+                    callback(null);
+                },
+            };
+        },
+
+        listTables: operation('listTables', (connection, schema) => [...definitions.values()]
+            .filter(definition => definition.kind === 'table' && definition.schema.toUpperCase() === schema.toUpperCase())
+            .map(definition => definition.name.toUpperCase())
+            .sort()),
+
+        getColumns: operation('getColumns', (connection, schema, table) => {
+            const definition = lookup(schema, table);
+            return definition ? catalogColumns(definition).map(columnFromCatalog) : [];
+        }),
+
+        getPrimaryKeys: operation('getPrimaryKeys', (connection, schema, table) => {
+            const definition = lookup(schema, table);
+            return definition ? [...definition.primaryKey] : [];
+        }),
+
+        getIndexes: operation('getIndexes', (connection, schema, table) => {
+            const definition = lookup(schema, table);
+            return definition
+                ? definition.indexes.map(index => ({ unique: false, include: [], ...index, columns: index.columns.map(column => ({ descending: false, ...column })) }))
+                : [];
+        }),
+
+        getForeignKeys: operation('getForeignKeys', (connection, schema, table) => {
+            const definition = lookup(schema, table);
+            return definition
+                ? definition.foreignKeys.map(foreignKey => ({ deleteRule: 'A', updateRule: 'A', ...foreignKey, refSchema: foreignKey.refSchema || schema }))
+                : [];
+        }),
+
+        // The primary key, else the shortest unique index on NOT NULL columns, else the row id
+        getOrderingKey: operation('getOrderingKey', (connection, schema, table) => {
+            const definition = lookup(schema, table);
+            if (!definition) return { kind: 'none', columns: [] };
+            if (definition.primaryKey.length > 0) return { kind: 'primary', columns: [...definition.primaryKey] };
+
+            const notNull = new Set(definition.columns.filter(column => column.nullable === false).map(column => column.name));
+            const [uniqueKey] = definition.indexes
+                .filter(index => index.unique && index.columns.every(column => notNull.has(column.name)))
+                .map(index => index.columns.map(column => column.name))
+                .sort((a, b) => a.length - b.length);
+            if (uniqueKey) return { kind: 'unique', columns: uniqueKey };
+
+            return definition.rid ? { kind: 'rid', columns: [RID_COLUMN] } : { kind: 'none', columns: [] };
+        }),
+
+        fetchChunk: operation('fetchChunk', (connection, schema, table, columns, chunkSize, key, after = null, filter = null, options = {}) => {
+            const matches = matcher(filter);
+            if (key.kind === 'rid') {
+                return limitChunk(rowsOf(schema, table)
+                    .map(row => ({ row, id: rowId(row) }))
+                    .filter(({ row, id }) => matches(row) && (!after || id > after[0]))
+                    .sort((a, b) => a.id - b.id)
+                    .slice(0, chunkSize)
+                    .map(({ row, id }) => ({ ...selectRow(row, columns), [RID_COLUMN]: id })), options);
+            }
+            const keyOf = row => key.columns.map(column => row[column]);
+            return limitChunk(rowsOf(schema, table)
+                .filter(row => matches(row) && (!after || compareKeys(keyOf(row), after) > 0))
+                .sort((a, b) => compareKeys(keyOf(a), keyOf(b)))
+                .slice(0, chunkSize)
+                .map(row => selectRow(row, columns)), options);
+        }),
+
+        fetchKeys: operation('fetchKeys', (connection, schema, table, primaryKeys, limit, after = null, filter = null) => {
+            const matches = matcher(filter);
+            return rowsOf(schema, table)
+                .map(row => ({ row, key: primaryKeys.map(pk => row[pk]) }))
+                .filter(({ row, key }) => matches(row) && (!after || compareKeys(key, after) > 0))
+                .sort((a, b) => compareKeys(a.key, b.key))
+                .slice(0, limit)
+                .map(({ key }) => key);
+        }),
+
+        openCursor: operation('openCursor', (connection, schema, table, columns, filter = null) => {
+            const matches = matcher(filter);
+            const rows = rowsOf(schema, table).filter(matches);
+            let position = 0;
+            return {
+                async next(count, maxBytes = Infinity) {
+                    if (connection && connection.closed) throw communicationError();
+                    const chunk = limitChunk(rows.slice(position, position + count).map(row => selectRow(row, columns)), { maxBytes });
+                    position += chunk.length;
+                    return chunk;
+                },
+                close() {},
+            };
+        }),
+
+        getRowCount: operation('getRowCount', (connection, schema, table, filter = null) => {
+            const matches = matcher(filter);
+            return rowsOf(schema, table).filter(matches).length;
+        }),
+
+        getMaxValue: operation('getMaxValue', (connection, schema, table, column) => rowsOf(schema, table)
+            .map(row => row[column])
+            .filter(value => value !== null && value !== undefined)
+            .reduce((max, value) => (max === null || compareValues(value, max) > 0 ? value : max), null)),
+
+        getMinMax: operation('getMinMax', (connection, schema, table, column, filter = null) => {
+            const matches = matcher(filter);
+            const values = rowsOf(schema, table)
+                .filter(matches)
+                .map(row => row[column])
+                .filter(value => value !== null && value !== undefined)
+                .sort(compareValues);
+            return values.length > 0 ? { min: values[0], max: values[values.length - 1] } : { min: null, max: null };
+        }),
+
+        // Tables held in memory are not partitioned
+        getDataPartitions: operation('getDataPartitions', () => []),
+
+        getViewDefinition: operation('getViewDefinition', (connection, schema, viewName) => {
+            const view = lookup(schema, viewName, 'view');
+            return view && view.text ? { text: view.text, qualifier: view.qualifier.toUpperCase() } : null;
+        }),
+
+        getViewDependencies: operation('getViewDependencies', (connection, schema, viewName) => {
+            const view = lookup(schema, viewName, 'view');
+            if (!view) return [];
+            return view.dependencies
+                .map(({ schema: dependencySchema, name }) => definitions.get(qualified(dependencySchema, name)))
+                .filter(Boolean)
+                .map(definition => ({ schema: definition.schema.toUpperCase(), name: definition.name.toUpperCase(), kind: definition.kind }));
+        }),
+
+        getAggregates: operation('getAggregates', (connection, schema, table) => {
+            throw new Error(`The in-memory source cannot compute the SQL aggregates of ${qualified(schema, table)}: ` +
+                'verification needs DB2');
+        }),
+
+        getKeyBoundaries: operation('getKeyBoundaries', (connection, schema, table, keyColumns, bucketSize, filter = null) => {
+            const matches = matcher(filter);
+            return rowsOf(schema, table)
+                .filter(matches)
+                .map(row => keyColumns.map(column => row[column]))
+                .sort(compareKeys)
+                .filter((key, i) => i % bucketSize === 0);
+        }),
+
+        sampleRows: operation('sampleRows', (connection, schema, table, size, filter = null) => {
+            const matches = matcher(filter);
+            return rowsOf(schema, table)
+                .filter(matches)
+                .map(row => ({ row: { ...row }, order: Math.random() }))
+                .sort((a, b) => a.order - b.order)
+                .slice(0, size)
+                .map(({ row }) => row);
+        }),
+
+        table(schema, name) {
+            return lookup(schema, name);
+        },
+
+        failNext(method, error = null) {
+            failures.push({ method, error });
+        },
+    };
+}
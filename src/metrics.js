@@ -0,0 +1,338 @@
+// src/metrics.js
+
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import chalk from 'chalk';
+import config from './config.js';
+import { logEvent } from './log.js';
+import { specName } from './tables.js';
+import { target } from './adapters.js';
+
+/*
+ * Observability of runs and syncs. A collector follows the events of a run (see
+ * replicator.js): with JSON logging it writes a structured event per table and chunk,
+ * it summarizes the run at its end, and it keeps the freshness of every configured
+ * table, the time the table was last replicated successfully, starting from the run
+ * history, and its lag, the time since then. Freshness is exposed in the Prometheus
+ * text format along with the rows and bytes loaded, on an HTTP endpoint while the process runs (METRICS_PORT, suited
+ * to `sync`) and in a textfile for node_exporter's textfile collector, rewritten at
+ * the end of every run (METRICS_TEXTFILE, suited to scheduled runs). Tables with a
+ * freshness SLA report whether it is breached, so alerts need no thresholds of their own.
+ */
+
+const PREFIX = 'db2_replication';
+const PROMETHEUS_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const OPENMETRICS_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+const seconds = (ms) => ms / 1000;
+const rowsPerSecond = (rows, ms) => (ms > 0 ? Math.round(rows / seconds(ms)) : rows);
+
+/**
+ * Format a duration in milliseconds for display, e.g. "1h 5m" or "42s".
+ */
+function formatDuration(ms) {
+    const total = Math.round(seconds(ms));
+    const units = [[Math.floor(total / 86400), 'd'], [Math.floor(total / 3600) % 24, 'h'], [Math.floor(total / 60) % 60, 'm'], [total % 60, 's']];
+    const parts = units
+        .filter(([value]) => value > 0)
+        .map(([value, unit]) => `${value}${unit}`);
+    return parts.slice(0, 2).join(' ') || '0s';
+}
+
+/**
+ * Format a number of bytes for display, e.g. "12.3 MiB".
+ */
+function formatBytes(bytes) {
+    const units = ['bytes', 'KiB', 'MiB', 'GiB', 'TiB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${value} ${units[0]}` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+// Milliseconds a table lags behind DB2, since it was last replicated successfully, if ever
+function lagOf(state, now) {
+    return state.lastSuccessAt === null ? null : now - state.lastSuccessAt;
+}
+
+// Whether a table with an SLA was not replicated successfully within it
+function breachesSla(state, now) {
+    return Boolean(state.sla) && (state.lastSuccessAt === null || lagOf(state, now) > state.sla * 1000);
+}
+
+// Metric families as `[name, type, help, samples]`, every sample `[labels, value]`;
+// samples without a value are left out
+function collect(tables, run, now) {
+    const perTable = (select) => [...tables.values()].flatMap(state => {
+        const value = select(state);
+        return value === null || value === undefined ? [] : [[{ table: state.target }, value]];
+    });
+    const lastRun = (select) => perTable(state => (state.lastRun ? select(state.lastRun) : null));
+    const statuses = run ? Object.entries(run.tables).filter(([status]) => status !== 'total') : [];
+    return [
+        ['table_last_success_timestamp_seconds', 'gauge', 'Time the table was last replicated successfully',
+            perTable(state => state.lastSuccessAt && seconds(state.lastSuccessAt))],
+        ['table_lag_seconds', 'gauge', 'Seconds the table lags behind DB2, since it was last replicated successfully',
+            perTable(state => state.lastSuccessAt && seconds(lagOf(state, now)))],
+        ['table_freshness_sla_seconds', 'gauge', 'Seconds within which the table is to be replicated successfully',
+            perTable(state => state.sla)],
+        ['table_sla_breached', 'gauge', 'Whether the table was not replicated successfully within its SLA',
+            perTable(state => (state.sla ? Number(breachesSla(state, now)) : null))],
+        ['table_last_run_success', 'gauge', 'Whether the last replication of the table by this process succeeded',
+            lastRun(result => Number(result.status !== 'failed'))],
+        ['table_last_run_duration_seconds', 'gauge', 'Duration of the last replication of the table by this process',
+            lastRun(result => seconds(result.durationMs))],
+        ['table_rows', 'counter', 'Rows loaded or applied by this process', perTable(state => state.rows)],
+        ['table_bytes', 'counter', 'Bytes of the rows loaded by this process', perTable(state => state.bytes)],
+        ['run_last_finished_timestamp_seconds', 'gauge', 'Time the last run of this process finished',
+            run ? [[{}, seconds(Date.parse(run.finishedAt))]] : []],
+        ['run_last_duration_seconds', 'gauge', 'Duration of the last run of this process',
+            run ? [[{}, seconds(run.durationMs)]] : []],
+        ['run_last_tables', 'gauge', 'Tables of the last run of this process by status',
+            statuses.map(([status, count]) => [{ status }, count])],
+    ];
+}
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Render metric families in the Prometheus text format, or in OpenMetrics, which
+ * names counter families without the _total suffix of their samples and ends with EOF.
+ */
+function renderMetrics(families, { openMetrics = false } = {}) {
+    const lines = [];
+    for (const [suffix, type, help, samples] of families) {
+        if (samples.length === 0) continue;
+        const name = `${PREFIX}_${suffix}`;
+        const sampleName = type === 'counter' ? `${name}_total` : name;
+        const familyName = openMetrics ? name : sampleName;
+        lines.push(`# HELP ${familyName} ${help}.`, `# TYPE ${familyName} ${type}`);
+        for (const [labels, value] of samples) {
+            const labelText = Object.entries(labels).map(([key, item]) => `${key}="${escapeLabel(item)}"`).join(',');
+            lines.push(`${sampleName}${labelText ? `{${labelText}}` : ''} ${value}`);
+        }
+    }
+    if (openMetrics) lines.push('# EOF');
+    return `${lines.join('\n')}\n`;
+}
+
+// Replace the textfile at once, node_exporter ignoring files not ending in .prom meanwhile
+async function writeTextfile(file, text) {
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, text);
+    await fs.rename(temporary, file);
+}
+
+// Serve the metrics on GET /metrics; a port that cannot be listened on is reported
+async function startServer(port, render) {
+    const server = http.createServer((request, response) => {
+        if (request.method !== 'GET' || request.url.split('?')[0] !== '/metrics') {
+            response.writeHead(404).end();
+            return;
+        }
+        const openMetrics = (request.headers.accept || '').includes('application/openmetrics-text');
+        response.writeHead(200, { 'Content-Type': openMetrics ? OPENMETRICS_TYPE : PROMETHEUS_TYPE });
+        response.end(render({ openMetrics }));
+    });
+    try {
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, resolve);
+        });
+    } catch (error) {
+        console.error(chalk.yellow(`⚠️ Cannot serve metrics on port ${port}: ${error.message}`));
+        return null;
+    }
+    console.log(chalk.blue(`📈 Serving metrics on http://localhost:${port}/metrics`));
+    return server;
+}
+
+/**
+ * Summarize a run, as returned by replicateAll so far, with its totals and the tables
+ * that are beyond their freshness SLA. A run that threw, with `error`, failed.
+ */
+function summarize(results, { startedAt, finishedAt, dryRun, tables, error = null }) {
+    const objects = [...results.tables, ...results.views];
+    const countByStatus = (items) => ({
+        total: items.length,
+        succeeded: items.filter(item => item.status === 'succeeded').length,
+        failed: items.filter(item => item.status === 'failed').length,
+    });
+    const sum = (field) => objects.reduce((total, result) => total + (result[field] || 0), 0);
+    const durationMs = finishedAt - startedAt;
+    return {
+        runId: results.runId,
+        dryRun,
+        status: !error && objects.every(result => result.status !== 'failed') && results.verification.every(result => result.passed)
+            ? 'succeeded'
+            : 'failed',
+        error: error ? error.message : null,
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: new Date(finishedAt).toISOString(),
+        durationMs,
+        tables: countByStatus(results.tables),
+        views: countByStatus(results.views),
+        rows: sum('rows'),
+        bytes: sum('bytes'),
+        deleted: sum('deleted'),
+        rejected: sum('rejected'),
+        rowsPerSecond: rowsPerSecond(sum('rows'), durationMs),
+        slaBreaches: [...tables.values()].filter(state => breachesSla(state, finishedAt)).map(state => ({
+            table: state.target,
+            lastSuccessAt: state.lastSuccessAt && new Date(state.lastSuccessAt).toISOString(),
+            freshnessSla: state.sla,
+        })),
+        results: { tables: results.tables, views: results.views, verification: results.verification },
+    };
+}
+
+// Print a summary to the console, one line per table and view
+function printSummary(summary) {
+    const { tables, views } = summary;
+    const color = summary.status === 'failed' ? chalk.red : chalk.green;
+    console.log(color(`\n📊 Run summary: ${tables.succeeded} of ${tables.total} table(s) and ` +
+        `${views.succeeded} of ${views.total} view(s) succeeded, ${summary.rows} rows (${formatBytes(summary.bytes)}) ` +
+        `in ${formatDuration(summary.durationMs)}, ${summary.rowsPerSecond} rows/s`));
+    if (summary.error) {
+        console.log(chalk.red(`   ❌ The run failed: ${summary.error}`));
+    }
+    for (const result of [...summary.results.tables, ...summary.results.views]) {
+        if (result.status === 'failed') {
+            console.log(chalk.red(`   ❌ ${result.name}: ${result.error}`));
+        } else {
+            console.log(chalk.green(`   ✅ ${result.name}: ${result.action}, ${result.rows} rows in ` +
+                `${formatDuration(result.durationMs)} (${rowsPerSecond(result.rows, result.durationMs)} rows/s)`));
+        }
+    }
+    for (const { table, lastSuccessAt, freshnessSla } of summary.slaBreaches) {
+        const last = lastSuccessAt
+            ? `was last replicated ${formatDuration(Date.parse(summary.finishedAt) - Date.parse(lastSuccessAt))} ago`
+            : 'was never replicated';
+        console.log(chalk.yellow(`⏰ ${table} ${last}, beyond its freshness SLA of ${formatDuration(freshnessSla * 1000)}`));
+    }
+}
+
+/**
+ * Start collecting the metrics of a run or sync from the events on `events`, before
+ * anything is connected to, so that a run failing early is summarized as well.
+ *
+ * `track(pgClient, specs)` adds the tables of `specs`, the configured ones, with their
+ * last successful replication read from the run history through `pgClient`; a dry run
+ * does not count as one. Tables and views replicated besides, e.g. views loaded as
+ * tables, are added as they are reported. `refreshed()` marks every table replicated
+ * successfully now, for syncs, whose polls keep all of them current, and
+ * `finish(results, error)` summarizes a run (see summarize), prints the summary and
+ * writes the summary file; both rewrite the textfile once the tables are tracked,
+ * so that a run failing before does not leave it without them. `stop()` stops
+ * listening and serving.
+ */
+export async function startMetrics(events, { dryRun = false } = {}) {
+    const { port, textfile, summaryFile } = config.metrics;
+    const startedAt = Date.now();
+    const tables = new Map();
+    let tracked = false;
+    const stateOf = (name, targetName = name, sla = config.metrics.freshnessSla || null) => {
+        if (!tables.has(name)) {
+            tables.set(name, { target: targetName, sla, lastSuccessAt: null, lastRun: null, rows: 0, bytes: 0 });
+        }
+        return tables.get(name);
+    };
+
+    let run = null;
+    const render = (options) => renderMetrics(collect(tables, run, Date.now()), options);
+    const exportTextfile = async () => {
+        if (!textfile || dryRun || !tracked) return;
+        try {
+            await writeTextfile(textfile, render());
+        } catch (error) {
+            console.error(chalk.yellow(`⚠️ Failed to write metrics to ${textfile}: ${error.message}`));
+        }
+    };
+
+    const listeners = {
+        tableStarted: ({ name, source, target: targetName }) => {
+            logEvent('table.started', { table: name, source, target: targetName });
+        },
+        chunkLoaded: ({ name, rows, totalRows, expectedRows, bytes = 0, durationMs = null }) => {
+            const state = stateOf(name);
+            state.rows += rows;
+            state.bytes += bytes;
+            logEvent('chunk.loaded', {
+                table: name, rows, bytes, durationMs, rowsPerSecond: durationMs === null ? null : rowsPerSecond(rows, durationMs),
+                lagMs: lagOf(state, Date.now()), totalRows, expectedRows,
+            });
+        },
+        tableFinished: (result) => {
+            const { name, ...fields } = result;
+            const state = stateOf(result.name, result.target);
+            if (!dryRun) {
+                state.lastRun = result;
+                if (result.status !== 'failed') state.lastSuccessAt = Date.now();
+            }
+            logEvent('table.finished', {
+                table: name, ...fields, rowsPerSecond: rowsPerSecond(result.rows, result.durationMs), lagMs: lagOf(state, Date.now()),
+            }, result.status === 'failed' ? 'error' : 'info');
+        },
+        viewCreated: ({ name, ...fields }) => {
+            logEvent('view.finished', { view: name, ...fields });
+        },
+        changesApplied: ({ name, upserted, deleted }) => {
+            stateOf(name).rows += upserted + deleted;
+            logEvent('changes.applied', { table: name, upserted, deleted });
+        },
+    };
+    for (const [event, listener] of Object.entries(listeners)) {
+        events.on(event, listener);
+    }
+    const server = port ? await startServer(port, render) : null;
+
+    return {
+        async track(pgClient, specs) {
+            for (const spec of specs) {
+                stateOf(specName(spec), `${spec.target.schema}.${spec.target.table}`, spec.freshnessSla);
+            }
+            const byTarget = new Map([...tables.values()].map(state => [state.target, state]));
+            for (const { schema, table, lastSuccessAt } of await target.getLastRefreshes(pgClient, config.replication.stateSchema)) {
+                const state = byTarget.get(`${schema}.${table}`);
+                if (state && lastSuccessAt) state.lastSuccessAt = lastSuccessAt.getTime();
+            }
+            tracked = true;
+        },
+
+        async refreshed() {
+            const now = Date.now();
+            for (const state of tables.values()) state.lastSuccessAt = now;
+            await exportTextfile();
+        },
+
+        async finish(results, error = null) {
+            const summary = summarize(results, { startedAt, finishedAt: Date.now(), dryRun, tables, error });
+            run = summary;
+            printSummary(summary);
+            logEvent('run.finished', { ...summary, results: undefined }, summary.status === 'failed' ? 'error' : 'info');
+            if (summaryFile) {
+                try {
+                    await fs.writeFile(summaryFile, `${JSON.stringify(summary, null, 2)}\n`);
+                    console.log(chalk.blue(`📝 Run summary written to ${summaryFile}`));
+                } catch (error) {
+                    console.error(chalk.yellow(`⚠️ Failed to write the run summary to ${summaryFile}: ${error.message}`));
+                }
+            }
+            await exportTextfile();
+            return summary;
+        },
+
+        async stop() {
+            for (const [event, listener] of Object.entries(listeners)) {
+                events.off(event, listener);
+            }
+            if (server) {
+                server.closeAllConnections();
+                await new Promise(resolve => server.close(resolve));
+            }
+        },
+    };
+}
@@ -1,21 +1,110 @@
 // src/postgres.js
 
 import pkg from 'pg';
+import copyStreams from 'pg-copy-streams';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
 import config from './config.js';
 import chalk from 'chalk';
+import { toCopyCsvLine, mapDb2DefaultToPostgres, toPostgresPlaceholders } from './utils.js';
+import { isDataError } from './retry.js';
+import { StreamedValue, toCopyCsvPieces, hasStreamedValues } from './streaming.js';
 
-const { Client } = pkg;
+const { Pool } = pkg;
+const { from: copyFrom } = copyStreams;
 
-export const pgClient = new Client({
-    host: config.postgres.host,
-    port: config.postgres.port,
-    user: config.postgres.user,
-    password: config.postgres.password,
-    database: config.postgres.database,
-});
+let pool = null;
 
-await pgClient.connect();
-console.log(chalk.green('✅ Connected to PostgreSQL'));
+// Wait for a pooled connection, after which a pool too small for the run fails instead of hanging
+const POOL_CONNECT_TIMEOUT_MS = 60000;
+
+// Column marking rows deleted in DB2 when deletes are propagated as soft deletes
+export const SOFT_DELETE_COLUMN = '_deleted_at';
+
+// Statements a dry-run client passes on to PostgreSQL, since they only read
+const READ_STATEMENT = /^\s*(SELECT|SHOW)\b/i;
+// Transaction control a dry-run client silently skips
+const TRANSACTION_STATEMENT = /^\s*(BEGIN|COMMIT|ROLLBACK|SET LOCAL)\b/i;
+
+// Roll back a failed transaction. On a lost connection the rollback fails as well, which must
+// not hide the error that made the transaction fail
+async function rollback(pgClient) {
+    try {
+        await pgClient.query('ROLLBACK');
+    } catch {
+        // The transaction ends with the connection
+    }
+}
+
+/**
+ * Number of PostgreSQL connections a run holds at most: one for the schema-level work
+ * and one per parallel table, each table loaded in key ranges holding one more per
+ * range worker. The ranges of every configured table count, as any may run in a lane.
+ */
+export function pgPoolSize({ parallelism, ranges, tables = [] }) {
+    const largest = Math.max(ranges, ...tables.map(entry => entry.ranges || 0));
+    return 1 + parallelism * (largest > 1 ? largest + 1 : 1);
+}
+
+/**
+ * Create a connection pool to PostgreSQL of `size` connections, see pgPoolSize.
+ * Connections are only opened when they are checked out.
+ */
+export function createPgPool(settings, size) {
+    const pgPool = new Pool({
+        host: settings.host,
+        port: settings.port,
+        user: settings.user,
+        password: settings.password,
+        database: settings.database,
+        max: size,
+        connectionTimeoutMillis: POOL_CONNECT_TIMEOUT_MS,
+    });
+    // Idle connections that are lost would otherwise end the process with an unhandled error
+    pgPool.on('error', error => console.error(chalk.yellow(`⚠️ Idle PostgreSQL connection lost: ${error.message}`)));
+    return pgPool;
+}
+
+/**
+ * Connection pool to the configured PostgreSQL database, created on first use.
+ */
+export function getPgPool() {
+    if (!pool) {
+        pool = createPgPool(config.postgres, pgPoolSize(config.replication));
+    }
+    return pool;
+}
+
+/**
+ * Wrap a client for a dry run: reads still reach PostgreSQL, statements that would
+ * change anything are printed instead of executed.
+ */
+export function createDryRunClient(pgClient) {
+    return {
+        async query(statement, params) {
+            const text = typeof statement === 'string' ? statement : statement && statement.text;
+            if (text && READ_STATEMENT.test(text)) {
+                return pgClient.query(statement, params);
+            }
+            if (text && !TRANSACTION_STATEMENT.test(text)) {
+                const values = params && params.length > 0 ? ` -- ${JSON.stringify(params)}` : '';
+                console.log(chalk.magenta(`📝 ${text.trim()};${values}`));
+            }
+            return { rows: [], rowCount: 0 };
+        },
+        release: () => pgClient.release(),
+    };
+}
+
+/**
+ * Close all connections of the pool.
+ */
+export async function closePgPool() {
+    if (pool) {
+        await pool.end();
+        pool = null;
+    }
+}
 
 /**
  * Drop a schema in PostgreSQL.
@@ -44,28 +133,207 @@ export async function ensureSchemaExists(pgClient, schema) {
 }
 
 /**
- * Ensure a table exists in PostgreSQL.
+ * Build the column definition of a table column, carrying NOT NULL and the default.
+ */
+function columnDefinition(col) {
+    let definition = `"${col.name}" ${col.type}`;
+    const defaultExpression = mapDb2DefaultToPostgres(col.default);
+    if (defaultExpression !== null) {
+        definition += ` DEFAULT ${defaultExpression}`;
+    }
+    if (col.nullable === false) {
+        definition += ' NOT NULL';
+    }
+    return definition;
+}
+
+/**
+ * Ensure a table exists in PostgreSQL, with NOT NULL columns, defaults and the primary key.
+ * A table created before primary keys were replicated gets its primary key added.
+ * Returns true when the table was created.
  */
 export async function ensureTableExists(pgClient, schema, table, columns, primaryKeys) {
-    const columnDefinitions = columns.map(col => `"${col.name}" ${col.type}`).join(', ');
+    const existed = (await getRelationKind(pgClient, schema, table)) !== null;
+    const definitions = columns.map(columnDefinition);
+    if (primaryKeys && primaryKeys.length > 0) {
+        definitions.push(`PRIMARY KEY (${primaryKeys.map(pk => `"${pk}"`).join(', ')})`);
+    }
     try {
-        await pgClient.query(`CREATE TABLE IF NOT EXISTS "${schema}"."${table}" (${columnDefinitions})`);
+        await pgClient.query(`CREATE TABLE IF NOT EXISTS "${schema}"."${table}" (${definitions.join(', ')})`);
         console.log(chalk.green(`✅ Table ensured: ${schema}.${table}`));
     } catch (error) {
         console.error(chalk.red(`❌ Failed to ensure table ${schema}.${table}: ${error.message}`));
         throw error;
     }
+
+    if (existed && primaryKeys && primaryKeys.length > 0) {
+        await ensurePrimaryKey(pgClient, schema, table, primaryKeys);
+    }
+    return !existed;
+}
+
+/**
+ * Add the primary key to an existing table that has none.
+ */
+async function ensurePrimaryKey(pgClient, schema, table, primaryKeys) {
+    const existing = await pgClient.query(
+        `SELECT 1 FROM pg_constraint
+         WHERE conrelid = format('%I.%I', $1::text, $2::text)::regclass AND contype = 'p'`,
+        [schema, table]
+    );
+    if (existing.rows.length > 0) return;
+
+    try {
+        await pgClient.query(`ALTER TABLE "${schema}"."${table}" ADD PRIMARY KEY (${primaryKeys.map(pk => `"${pk}"`).join(', ')})`);
+        console.log(chalk.green(`✅ Primary key added: ${schema}.${table}`));
+    } catch (error) {
+        console.error(chalk.yellow(`⚠️ Could not add primary key to ${schema}.${table}: ${error.message}`));
+    }
+}
+
+/**
+ * Read the columns of a table from information_schema, in column order.
+ */
+export async function getPostgresColumns(pgClient, schema, table) {
+    try {
+        const result = await pgClient.query(
+            `SELECT column_name, data_type, udt_name, character_maximum_length, numeric_precision,
+                    numeric_scale, datetime_precision, is_nullable
+             FROM information_schema.columns
+             WHERE table_schema = $1 AND table_name = $2
+             ORDER BY ordinal_position`,
+            [schema, table]
+        );
+        return result.rows;
+    } catch (error) {
+        console.error(chalk.red(`❌ Failed to read columns of ${schema}.${table}: ${error.message}`));
+        throw error;
+    }
+}
+
+/**
+ * Add a column that appeared in DB2. It is only NOT NULL when it has a default,
+ * since the rows already replicated have no value for it.
+ */
+export async function addColumn(pgClient, schema, table, column) {
+    const hasDefault = mapDb2DefaultToPostgres(column.default) !== null;
+    const query = `ALTER TABLE "${schema}"."${table}" ADD COLUMN ` +
+        columnDefinition({ ...column, nullable: column.nullable || !hasDefault });
+    await runAlter(pgClient, schema, table, query);
+}
+
+/**
+ * Change the type of a column, converting the existing values with a cast.
+ */
+export async function alterColumnType(pgClient, schema, table, columnName, type) {
+    const query = `ALTER TABLE "${schema}"."${table}" ALTER COLUMN "${columnName}" TYPE ${type} USING "${columnName}"::${type}`;
+    await runAlter(pgClient, schema, table, query);
+}
+
+/**
+ * Drop a column that no longer exists in DB2.
+ */
+export async function dropColumn(pgClient, schema, table, columnName) {
+    const query = `ALTER TABLE "${schema}"."${table}" DROP COLUMN "${columnName}"`;
+    await runAlter(pgClient, schema, table, query);
+}
+
+async function runAlter(pgClient, schema, table, query) {
+    try {
+        await pgClient.query(query);
+        console.log(chalk.green(`✅ Table altered: ${query}`));
+    } catch (error) {
+        console.error(chalk.red(`❌ Failed to alter table ${schema}.${table}: ${error.message}`));
+        console.error(chalk.red(`❗ Failing Query:\n${query}`));
+        throw error;
+    }
+}
+
+/**
+ * Ensure the unique and secondary indexes read from DB2 exist on the table.
+ */
+export async function ensureIndexes(pgClient, schema, table, indexes, nameSuffix = '') {
+    for (const index of indexes) {
+        const indexName = `${index.name}${nameSuffix}`;
+        const keyColumns = index.columns.map(col => `"${col.name}"${col.descending ? ' DESC' : ''}`).join(', ');
+        const includeClause = index.include.length > 0 ? ` INCLUDE (${index.include.map(col => `"${col}"`).join(', ')})` : '';
+        const query = `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS "${indexName}" ` +
+            `ON "${schema}"."${table}" (${keyColumns})${includeClause}`;
+        try {
+            await pgClient.query(query);
+            console.log(chalk.green(`✅ Index ensured: ${schema}.${indexName}`));
+        } catch (error) {
+            console.error(chalk.red(`❌ Failed to create index ${schema}.${indexName}: ${error.message}`));
+            console.error(chalk.red(`❗ Failing Query:\n${query}`));
+        }
+    }
+}
+
+/**
+ * Drop all foreign keys of a table, so it can be truncated and loaded independently
+ * of the tables it references or that reference it.
+ */
+export async function dropForeignKeys(pgClient, schema, table) {
+    try {
+        const result = await pgClient.query(
+            `SELECT conname FROM pg_constraint
+             WHERE conrelid = to_regclass(format('%I.%I', $1::text, $2::text)) AND contype = 'f'`,
+            [schema, table]
+        );
+        for (const { conname } of result.rows) {
+            await pgClient.query(`ALTER TABLE "${schema}"."${table}" DROP CONSTRAINT "${conname}"`);
+        }
+        return result.rows.length;
+    } catch (error) {
+        console.error(chalk.red(`❌ Failed to drop foreign keys of ${schema}.${table}: ${error.message}`));
+        throw error;
+    }
+}
+
+// DB2 DELETERULE/UPDATERULE codes
+const referentialActions = { A: 'NO ACTION', C: 'CASCADE', N: 'SET NULL', R: 'RESTRICT' };
+
+/**
+ * Add a foreign key read from DB2. `refSchema`/`refTable` name the referenced table in PostgreSQL.
+ */
+export async function addForeignKey(pgClient, schema, table, foreignKey, refSchema, refTable) {
+    const query = `ALTER TABLE "${schema}"."${table}" ADD CONSTRAINT "${foreignKey.name}" ` +
+        `FOREIGN KEY (${foreignKey.columns.map(col => `"${col}"`).join(', ')}) ` +
+        `REFERENCES "${refSchema}"."${refTable}" (${foreignKey.refColumns.map(col => `"${col}"`).join(', ')}) ` +
+        `ON DELETE ${referentialActions[foreignKey.deleteRule] || 'NO ACTION'} ` +
+        `ON UPDATE ${referentialActions[foreignKey.updateRule] || 'NO ACTION'}`;
+    try {
+        await pgClient.query(query);
+        console.log(chalk.green(`✅ Foreign key added: ${schema}.${table}.${foreignKey.name}`));
+    } catch (error) {
+        console.error(chalk.red(`❌ Failed to add foreign key ${schema}.${table}.${foreignKey.name}: ${error.message}`));
+        console.error(chalk.red(`❗ Failing Query:\n${query}`));
+        throw error;
+    }
 }
 
+// DB2 notation of date and time keys read as text, by DB2 type
+const KEY_TEXT_FORMATS = { TIMESTAMP: 'YYYY-MM-DD-HH24.MI.SS.US', DATE: 'YYYY-MM-DD' };
+
 /**
- * Get the last primary key values from the PostgreSQL table.
+ * Get the last primary key values from the PostgreSQL table. TIMESTAMP and DATE keys
+ * are read as text in DB2 notation: a JavaScript Date would cut timestamps to
+ * milliseconds and give dates a time, which DB2 does not accept for a DATE, so paging
+ * after them neither re-reads nor skips rows.
  */
-export async function getLastPrimaryKey(pgClient, schema, table, primaryKeys, columns) {
+export async function getLastPrimaryKey(pgClient, schema, table, primaryKeys, columns = []) {
     if (primaryKeys.length === 0) return null;
 
+    const textFormat = (pk) => {
+        const column = columns.find(col => col.name === pk);
+        return column ? KEY_TEXT_FORMATS[column.db2Type] : undefined;
+    };
+    const selectList = primaryKeys
+        .map(pk => (textFormat(pk) ? `to_char("${pk}", '${textFormat(pk)}') AS "${pk}"` : `"${pk}"`))
+        .join(', ');
     try {
         const result = await pgClient.query(
-            `SELECT ${primaryKeys.map(pk => `"${pk}"`).join(', ')} FROM "${schema}"."${table}" ORDER BY ${primaryKeys.map(pk => `"${pk}" DESC`).join(', ')} LIMIT 1`
+            `SELECT ${selectList} FROM "${schema}"."${table}" ORDER BY ${primaryKeys.map(pk => `"${pk}" DESC`).join(', ')} LIMIT 1`
         );
 
         if (result.rows.length > 0) {
@@ -78,6 +346,399 @@ export async function getLastPrimaryKey(pgClient, schema, table, primaryKeys, co
     }
 }
 
+/**
+ * Ensure the bookkeeping schema and watermark table used by incremental replication exist.
+ */
+export async function ensureStateTables(pgClient, stateSchema) {
+    try {
+        await pgClient.query(`CREATE SCHEMA IF NOT EXISTS "${stateSchema}"`);
+        await pgClient.query(
+            `CREATE TABLE IF NOT EXISTS "${stateSchema}"."watermarks" (
+                table_schema TEXT NOT NULL,
+                table_name TEXT NOT NULL,
+                watermark JSONB NOT NULL,
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                PRIMARY KEY (table_schema, table_name)
+            )`
+        );
+        await pgClient.query(
+            `CREATE TABLE IF NOT EXISTS "${stateSchema}"."checkpoints" (
+                table_schema TEXT NOT NULL,
+                table_name TEXT NOT NULL,
+                run_id TEXT NOT NULL,
+                load_table TEXT NOT NULL,
+                paging_key JSONB NOT NULL,
+                last_key JSONB NOT NULL,
+                rows_loaded BIGINT NOT NULL,
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                PRIMARY KEY (table_schema, table_name)
+            )`
+        );
+        await pgClient.query(
+            `CREATE TABLE IF NOT EXISTS "${stateSchema}"."range_checkpoints" (
+                table_schema TEXT NOT NULL,
+                table_name TEXT NOT NULL,
+                range_index INTEGER NOT NULL,
+                run_id TEXT NOT NULL,
+                load_table TEXT NOT NULL,
+                paging_key JSONB NOT NULL,
+                range JSONB NOT NULL,
+                last_key JSONB,
+                rows_loaded BIGINT NOT NULL,
+                status TEXT NOT NULL,
+                error TEXT,
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                PRIMARY KEY (table_schema, table_name, range_index)
+            )`
+        );
+        await pgClient.query(
+            `CREATE TABLE IF NOT EXISTS "${stateSchema}"."run_history" (
+                run_id TEXT NOT NULL,
+                table_schema TEXT NOT NULL,
+                table_name TEXT NOT NULL,
+                started_at TIMESTAMPTZ NOT NULL,
+                finished_at TIMESTAMPTZ,
+                status TEXT NOT NULL,
+                action TEXT,
+                rows_loaded BIGINT,
+                rows_deleted BIGINT,
+                error TEXT,
+                PRIMARY KEY (run_id, table_schema, table_name)
+            )`
+        );
+        await pgClient.query(
+            `CREATE TABLE IF NOT EXISTS "${stateSchema}"."dead_letters" (
+                id BIGSERIAL PRIMARY KEY,
+                run_id TEXT NOT NULL,
+                table_schema TEXT NOT NULL,
+                table_name TEXT NOT NULL,
+                primary_key JSON,
+                row_data JSON NOT NULL,
+                error TEXT NOT NULL,
+                sqlstate TEXT,
+                rejected_at TIMESTAMPTZ NOT NULL DEFAULT now()
+            )`
+        );
+    } catch (error) {
+        console.error(chalk.red(`❌ Failed to ensure state tables in ${stateSchema}: ${error.message}`));
+        throw error;
+    }
+}
+
+/**
+ * Read the persisted watermark of a table, an object keyed by column name.
+ */
+export async function getWatermark(pgClient, stateSchema, schema, table) {
+    try {
+        const result = await pgClient.query(
+            `SELECT watermark FROM "${stateSchema}"."watermarks" WHERE table_schema = $1 AND table_name = $2`,
+            [schema, table]
+        );
+        return result.rows.length > 0 ? result.rows[0].watermark : null;
+    } catch (error) {
+        console.error(chalk.red(`⚠️ Failed to read watermark for ${schema}.${table}: ${error.message}`));
+        return null;
+    }
+}
+
+/**
+ * Persist the watermark of a table.
+ */
+export async function saveWatermark(pgClient, stateSchema, schema, table, watermark) {
+    try {
+        await pgClient.query(
+            `INSERT INTO "${stateSchema}"."watermarks" (table_schema, table_name, watermark, updated_at)
+             VALUES ($1, $2, $3, now())
+             ON CONFLICT (table_schema, table_name)
+             DO UPDATE SET watermark = EXCLUDED.watermark, updated_at = EXCLUDED.updated_at`,
+            [schema, table, JSON.stringify(watermark)]
+        );
+    } catch (error) {
+        console.error(chalk.red(`❌ Failed to save watermark for ${schema}.${table}: ${error.message}`));
+        throw error;
+    }
+}
+
+/**
+ * Remove the watermarks of a single table, or of a whole schema when no table is given.
+ */
+export async function clearWatermarks(pgClient, stateSchema, schema, table = null) {
+    try {
+        if (table) {
+            await pgClient.query(
+                `DELETE FROM "${stateSchema}"."watermarks" WHERE table_schema = $1 AND table_name = $2`,
+                [schema, table]
+            );
+        } else {
+            await pgClient.query(`DELETE FROM "${stateSchema}"."watermarks" WHERE table_schema = $1`, [schema]);
+        }
+    } catch (error) {
+        console.error(chalk.red(`❌ Failed to clear watermarks for ${table ? `${schema}.${table}` : schema}: ${error.message}`));
+        throw error;
+    }
+}
+
+/**
+ * Read the checkpoint of a table's interrupted load:
+ * `{ runId, loadTable, pagingKey, lastKey, rowsLoaded }`, or null when there is none.
+ */
+export async function getCheckpoint(pgClient, stateSchema, schema, table) {
+    try {
+        const result = await pgClient.query(
+            `SELECT run_id, load_table, paging_key, last_key, rows_loaded
+             FROM "${stateSchema}"."checkpoints" WHERE table_schema = $1 AND table_name = $2`,
+            [schema, table]
+        );
+        if (result.rows.length === 0) return null;
+        const row = result.rows[0];
+        return {
+            runId: row.run_id,
+            loadTable: row.load_table,
+            pagingKey: row.paging_key,
+            lastKey: row.last_key,
+            rowsLoaded: parseInt(row.rows_loaded, 10),
+        };
+    } catch (error) {
+        console.error(chalk.red(`⚠️ Failed to read checkpoint for ${schema}.${table}: ${error.message}`));
+        return null;
+    }
+}
+
+/**
+ * Read the checkpoints of a table's interrupted load by key ranges, in range order:
+ * `[{ index, runId, loadTable, pagingKey, range, lastKey, rowsLoaded, status, error }]`,
+ * empty when there are none.
+ */
+export async function getRangeCheckpoints(pgClient, stateSchema, schema, table) {
+    try {
+        const result = await pgClient.query(
+            `SELECT range_index, run_id, load_table, paging_key, range, last_key, rows_loaded, status, error
+             FROM "${stateSchema}"."range_checkpoints" WHERE table_schema = $1 AND table_name = $2
+             ORDER BY range_index`,
+            [schema, table]
+        );
+        return result.rows.map(row => ({
+            index: row.range_index,
+            runId: row.run_id,
+            loadTable: row.load_table,
+            pagingKey: row.paging_key,
+            range: row.range,
+            lastKey: row.last_key,
+            rowsLoaded: parseInt(row.rows_loaded, 10),
+            status: row.status,
+            error: row.error,
+        }));
+    } catch (error) {
+        console.error(chalk.red(`⚠️ Failed to read range checkpoints for ${schema}.${table}: ${error.message}`));
+        return [];
+    }
+}
+
+/**
+ * Record the key ranges a load of a table is split into, all pending, replacing the
+ * ranges of an earlier load.
+ */
+export async function saveRangeCheckpoints(pgClient, stateSchema, schema, table, { runId, loadTable, pagingKey, ranges }) {
+    try {
+        await pgClient.query('BEGIN');
+        await pgClient.query(
+            `DELETE FROM "${stateSchema}"."range_checkpoints" WHERE table_schema = $1 AND table_name = $2`,
+            [schema, table]
+        );
+        for (const [index, range] of ranges.entries()) {
+            await pgClient.query(
+                `INSERT INTO "${stateSchema}"."range_checkpoints"
+                    (table_schema, table_name, range_index, run_id, load_table, paging_key, range, rows_loaded, status)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, 0, 'pending')`,
+                [schema, table, index, runId, loadTable, JSON.stringify(pagingKey), JSON.stringify(range)]
+            );
+        }
+        await pgClient.query('COMMIT');
+    } catch (error) {
+        await rollback(pgClient);
+        console.error(chalk.red(`❌ Failed to record the key ranges of ${schema}.${table}: ${error.message}`));
+        throw error;
+    }
+}
+
+/**
+ * Record how the load of a key range ended: status "done", or "failed" with its error.
+ */
+export async function finishRangeCheckpoint(pgClient, stateSchema, schema, table, index, status, error = null) {
+    try {
+        await pgClient.query(
+            `UPDATE "${stateSchema}"."range_checkpoints" SET status = $4, error = $5, updated_at = now()
+             WHERE table_schema = $1 AND table_name = $2 AND range_index = $3`,
+            [schema, table, index, status, error]
+        );
+    } catch (updateError) {
+        console.error(chalk.yellow(`⚠️ Failed to record the status of range ${index} of ${schema}.${table}: ${updateError.message}`));
+    }
+}
+
+// Record the checkpoint of a table, or of one of its key ranges, within the open transaction
+async function saveCheckpoint(pgClient, stateSchema, schema, table, checkpoint) {
+    if (checkpoint.range !== undefined) {
+        await pgClient.query(
+            `UPDATE "${stateSchema}"."range_checkpoints"
+             SET run_id = $4, last_key = $5, rows_loaded = $6, status = 'running', error = NULL, updated_at = now()
+             WHERE table_schema = $1 AND table_name = $2 AND range_index = $3`,
+            [schema, table, checkpoint.range, checkpoint.runId, JSON.stringify(checkpoint.lastKey), checkpoint.rowsLoaded]
+        );
+        return;
+    }
+    await pgClient.query(
+        `INSERT INTO "${stateSchema}"."checkpoints"
+            (table_schema, table_name, run_id, load_table, paging_key, last_key, rows_loaded, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, now())
+         ON CONFLICT (table_schema, table_name)
+         DO UPDATE SET run_id = EXCLUDED.run_id, load_table = EXCLUDED.load_table, paging_key = EXCLUDED.paging_key,
+             last_key = EXCLUDED.last_key, rows_loaded = EXCLUDED.rows_loaded, updated_at = EXCLUDED.updated_at`,
+        [schema, table, checkpoint.runId, checkpoint.loadTable, JSON.stringify(checkpoint.pagingKey),
+            JSON.stringify(checkpoint.lastKey), checkpoint.rowsLoaded]
+    );
+}
+
+/**
+ * Load a chunk into `checkpoint.loadTable` and record the checkpoint of the table in
+ * the same transaction, so the checkpoint always matches the rows committed. With
+ * `checkpoint.range` the checkpoint of that key range is recorded instead. With
+ * `rejects`, rejected rows are set aside, see loadSettingAside. Returns the number
+ * of rows loaded.
+ */
+export async function loadChunkWithCheckpoint(pgClient, stateSchema, schema, table, columns, chunk, method, checkpoint, rejects = null) {
+    try {
+        await pgClient.query('BEGIN');
+        const loadedCount = await loadSettingAside(pgClient, `${schema}.${checkpoint.loadTable}`, chunk, rejects,
+            rows => loadIntoPostgres(pgClient, schema, checkpoint.loadTable, columns, rows, method));
+        await saveCheckpoint(pgClient, stateSchema, schema, table, checkpoint);
+        await pgClient.query('COMMIT');
+        return loadedCount;
+    } catch (error) {
+        await rollback(pgClient);
+        console.error(chalk.red(`❌ Error loading checkpointed chunk into ${schema}.${checkpoint.loadTable}: ${error.message}`));
+        throw error;
+    }
+}
+
+/**
+ * Remove the checkpoints, those of key ranges included, of a single table, or of a
+ * whole schema when no table is given.
+ */
+export async function clearCheckpoints(pgClient, stateSchema, schema, table = null) {
+    try {
+        for (const checkpoints of ['checkpoints', 'range_checkpoints']) {
+            if (table) {
+                await pgClient.query(
+                    `DELETE FROM "${stateSchema}"."${checkpoints}" WHERE table_schema = $1 AND table_name = $2`,
+                    [schema, table]
+                );
+            } else {
+                await pgClient.query(`DELETE FROM "${stateSchema}"."${checkpoints}" WHERE table_schema = $1`, [schema]);
+            }
+        }
+    } catch (error) {
+        console.error(chalk.red(`❌ Failed to clear checkpoints for ${table ? `${schema}.${table}` : schema}: ${error.message}`));
+        throw error;
+    }
+}
+
+/**
+ * Record in the run history that a run started replicating a table.
+ */
+export async function startRunHistory(pgClient, stateSchema, runId, schema, table) {
+    try {
+        await pgClient.query(
+            `INSERT INTO "${stateSchema}"."run_history" (run_id, table_schema, table_name, started_at, status)
+             VALUES ($1, $2, $3, now(), 'running')
+             ON CONFLICT (run_id, table_schema, table_name)
+             DO UPDATE SET started_at = EXCLUDED.started_at, status = EXCLUDED.status`,
+            [runId, schema, table]
+        );
+    } catch (error) {
+        console.error(chalk.yellow(`⚠️ Failed to record run history for ${schema}.${table}: ${error.message}`));
+    }
+}
+
+/**
+ * Record in the run history how a run finished replicating a table.
+ */
+export async function finishRunHistory(pgClient, stateSchema, runId, schema, table, { status, action, rows, deleted, error }) {
+    try {
+        await pgClient.query(
+            `UPDATE "${stateSchema}"."run_history"
+             SET finished_at = now(), status = $4, action = $5, rows_loaded = $6, rows_deleted = $7, error = $8
+             WHERE run_id = $1 AND table_schema = $2 AND table_name = $3`,
+            [runId, schema, table, status, action, rows, deleted, error]
+        );
+    } catch (historyError) {
+        console.error(chalk.yellow(`⚠️ Failed to record run history for ${schema}.${table}: ${historyError.message}`));
+    }
+}
+
+/**
+ * Read from the run history when every table was last replicated successfully, as
+ * `[{ schema, table, lastSuccessAt }]`. Returns no tables when the history cannot be read.
+ */
+export async function getLastRefreshes(pgClient, stateSchema) {
+    try {
+        const result = await pgClient.query(
+            `SELECT table_schema, table_name, max(finished_at) AS last_success_at
+             FROM "${stateSchema}"."run_history" WHERE status = 'succeeded'
+             GROUP BY table_schema, table_name`
+        );
+        return result.rows.map(row => ({
+            schema: row.table_schema,
+            table: row.table_name,
+            lastSuccessAt: row.last_success_at ? new Date(row.last_success_at) : null,
+        }));
+    } catch (error) {
+        console.error(chalk.yellow(`⚠️ Failed to read the run history: ${error.message}`));
+        return [];
+    }
+}
+
+/**
+ * Store rows rejected by a table in the dead-letter table. Every entry carries the
+ * primary key and the values of the row as JSON text, the error and its SQLSTATE.
+ */
+export async function saveDeadLetters(pgClient, stateSchema, runId, schema, table, entries) {
+    try {
+        for (const { key, row, error, sqlstate } of entries) {
+            await pgClient.query(
+                `INSERT INTO "${stateSchema}"."dead_letters" (run_id, table_schema, table_name, primary_key, row_data, error, sqlstate)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                [runId, schema, table, key, row, error, sqlstate]
+            );
+        }
+    } catch (error) {
+        console.error(chalk.red(`❌ Failed to store rejected rows of ${schema}.${table}: ${error.message}`));
+        throw error;
+    }
+}
+
+// Split a chunk into batches of at most `batchSize` rows; rows with streamed values are
+// inserted alone, since their values are read into memory for the statement
+function insertBatches(chunk, batchSize) {
+    const batches = [];
+    let batch = [];
+    for (const row of chunk) {
+        if (hasStreamedValues(row)) {
+            if (batch.length > 0) batches.push(batch);
+            batches.push([row]);
+            batch = [];
+            continue;
+        }
+        batch.push(row);
+        if (batch.length === batchSize) {
+            batches.push(batch);
+            batch = [];
+        }
+    }
+    if (batch.length > 0) batches.push(batch);
+    return batches;
+}
+
 /**
  * Insert a chunk of data into the PostgreSQL table using batch inserts.
  */
@@ -90,14 +751,16 @@ export async function insertIntoPostgres(pgClient, schema, table, columns, chunk
     const batchSize = 1000; // Adjust batch size as needed
     let totalInserted = 0;
 
-    for (let i = 0; i < chunk.length; i += batchSize) {
-        const batch = chunk.slice(i, i + batchSize);
+    for (const batch of insertBatches(chunk, batchSize)) {
 
         const columnNames = columns.map((col) => `"${col.name}"`).join(',');
         const valuePlaceholders = batch
-            .map((row) => `(${columns.map((col, index) => `$${index + 1 + columns.length * batch.indexOf(row)}`).join(',')})`)
+            .map((row, rowIndex) => `(${columns.map((col, index) => `$${index + 1 + columns.length * rowIndex}`).join(',')})`)
             .join(',');
-        const values = batch.flatMap((row) => columns.map((col) => row[col.name]));
+        const values = await Promise.all(batch.flatMap((row) => columns.map((col) => {
+            const value = row[col.name];
+            return value instanceof StreamedValue ? value.materialize() : value;
+        })));
 
         const query = `INSERT INTO "${schema}"."${table}" (${columnNames}) VALUES ${valuePlaceholders}`;
 
@@ -127,19 +790,233 @@ export async function insertIntoPostgres(pgClient, schema, table, columns, chunk
 }
 
 /**
- * Create a view in PostgreSQL.
+ * Bulk load a chunk of data into the PostgreSQL table through COPY FROM STDIN in CSV format.
+ * Streamed values are written piece by piece as COPY takes them.
  */
-export async function createView(pgClient, schema, viewName, viewDefinition) {
+export async function copyIntoPostgres(pgClient, schema, table, columns, chunk) {
+    if (!chunk || chunk.length === 0) {
+        console.warn(chalk.yellow(`⚠️ Skipping empty chunk for ${schema}.${table}`));
+        return 0;
+    }
+
+    const columnNames = columns.map((col) => `"${col.name}"`).join(',');
+    const query = `COPY "${schema}"."${table}" (${columnNames}) FROM STDIN WITH (FORMAT csv)`;
+
     try {
-        // Remove "WITH UR" clause
-        const postgresViewDefinition = viewDefinition.replace(/WITH UR/i, '');
-        const query = `CREATE OR REPLACE VIEW "${schema}"."${viewName}" AS ${postgresViewDefinition}`;
+        const copyStream = pgClient.query(copyFrom(query));
+        const lines = (async function* () {
+            for (const row of chunk) {
+                if (hasStreamedValues(row)) {
+                    yield* toCopyCsvPieces(row, columns);
+                } else {
+                    yield toCopyCsvLine(row, columns);
+                }
+            }
+        })();
+        await pipeline(Readable.from(lines), copyStream);
+        return copyStream.rowCount;
+    } catch (error) {
+        console.error(chalk.red(`❌ Error copying chunk into ${schema}.${table}: ${error.message}`));
+        console.error(chalk.red(`❗ Failing Query:\n${query}`));
+        throw error;
+    }
+}
+
+/**
+ * Load a chunk of data with the given method, "copy" or "insert".
+ */
+export async function loadIntoPostgres(pgClient, schema, table, columns, chunk, method = 'copy') {
+    if (method === 'insert') {
+        return insertIntoPostgres(pgClient, schema, table, columns, chunk);
+    }
+    return copyIntoPostgres(pgClient, schema, table, columns, chunk);
+}
+
+/**
+ * Load `rows` through `load` within the open transaction. With `rejects`, a
+ * `{ rows, reserve }` collector (see deadletter.js), rows PostgreSQL rejects for their
+ * values are set aside: the failing rows are split in halves, each loaded under a
+ * savepoint, down to the single rows rejected, which are added to `rejects.rows` as
+ * `{ row, error }`. Once `rejects.reserve()` refuses a row, the limit of rejected rows
+ * being reached, the error is thrown, as it is without `rejects`. Returns the number
+ * of rows loaded.
+ */
+async function loadSettingAside(pgClient, name, rows, rejects, load) {
+    if (!rejects) return load(rows);
+    await pgClient.query('SAVEPOINT set_aside');
+    try {
+        const loadedCount = await load(rows);
+        await pgClient.query('RELEASE SAVEPOINT set_aside');
+        return loadedCount;
+    } catch (error) {
+        await pgClient.query('ROLLBACK TO SAVEPOINT set_aside');
+        await pgClient.query('RELEASE SAVEPOINT set_aside');
+        if (!isDataError(error)) throw error;
+        if (rows.length === 1) {
+            if (!rejects.reserve()) {
+                throw new Error(`Too many rows rejected by ${name}, the last one with: ${error.message}`);
+            }
+            rejects.rows.push({ row: rows[0], error });
+            return 0;
+        }
+        const middle = Math.ceil(rows.length / 2);
+        return await loadSettingAside(pgClient, name, rows.slice(0, middle), rejects, load) +
+            await loadSettingAside(pgClient, name, rows.slice(middle), rejects, load);
+    }
+}
+
+/**
+ * Load a chunk with the given method in one transaction, so a chunk that fails
+ * leaves no rows behind and can be loaded again. With `rejects`, rejected rows are
+ * set aside, see loadSettingAside.
+ */
+export async function loadChunkAtomically(pgClient, schema, table, columns, chunk, method = 'copy', rejects = null) {
+    try {
+        await pgClient.query('BEGIN');
+        const loadedCount = await loadSettingAside(pgClient, `${schema}.${table}`, chunk, rejects,
+            rows => loadIntoPostgres(pgClient, schema, table, columns, rows, method));
+        await pgClient.query('COMMIT');
+        return loadedCount;
+    } catch (error) {
+        await rollback(pgClient);
+        throw error;
+    }
+}
+
+/**
+ * Delete the rows with the given primary key values, a list of value arrays in
+ * primary key order. Returns the number of rows deleted.
+ */
+async function deleteKeys(pgClient, schema, table, primaryKeys, keys) {
+    const batchSize = 1000;
+    const keyList = primaryKeys.map(pk => `"${pk}"`).join(', ');
+    let deletedCount = 0;
+    for (let i = 0; i < keys.length; i += batchSize) {
+        const batch = keys.slice(i, i + batchSize);
+        const keyTuples = batch
+            .map((key, rowIndex) => `(${primaryKeys.map((pk, keyIndex) => `$${rowIndex * primaryKeys.length + keyIndex + 1}`).join(', ')})`)
+            .join(', ');
+        const result = await pgClient.query(`DELETE FROM "${schema}"."${table}" WHERE (${keyList}) IN (${keyTuples})`, batch.flat());
+        deletedCount += result.rowCount;
+    }
+    return deletedCount;
+}
 
+/**
+ * Delete the rows with the given primary key values from the PostgreSQL table.
+ * Keys that do not exist are ignored, so deleting twice is harmless.
+ */
+export async function deleteFromPostgres(pgClient, schema, table, primaryKeys, keys) {
+    if (keys.length === 0) return 0;
+    try {
+        return await deleteKeys(pgClient, schema, table, primaryKeys, keys);
+    } catch (error) {
+        console.error(chalk.red(`❌ Error deleting rows from ${schema}.${table}: ${error.message}`));
+        throw error;
+    }
+}
+
+/**
+ * Mark the rows with the given primary key values as deleted by setting their
+ * SOFT_DELETE_COLUMN, leaving rows already marked alone. Returns the rows marked.
+ */
+export async function softDeleteFromPostgres(pgClient, schema, table, primaryKeys, keys) {
+    const batchSize = 1000;
+    const keyList = primaryKeys.map(pk => `"${pk}"`).join(', ');
+    let markedCount = 0;
+    try {
+        for (let i = 0; i < keys.length; i += batchSize) {
+            const batch = keys.slice(i, i + batchSize);
+            const keyTuples = batch
+                .map((key, rowIndex) => `(${primaryKeys.map((pk, keyIndex) => `$${rowIndex * primaryKeys.length + keyIndex + 1}`).join(', ')})`)
+                .join(', ');
+            const result = await pgClient.query(
+                `UPDATE "${schema}"."${table}" SET "${SOFT_DELETE_COLUMN}" = now()
+                 WHERE (${keyList}) IN (${keyTuples}) AND "${SOFT_DELETE_COLUMN}" IS NULL`,
+                batch.flat()
+            );
+            markedCount += result.rowCount;
+        }
+        return markedCount;
+    } catch (error) {
+        console.error(chalk.red(`❌ Error marking rows of ${schema}.${table} as deleted: ${error.message}`));
+        throw error;
+    }
+}
+
+/**
+ * Add the SOFT_DELETE_COLUMN to a table unless it has it already.
+ */
+export async function ensureSoftDeleteColumn(pgClient, schema, table) {
+    try {
+        await pgClient.query(`ALTER TABLE "${schema}"."${table}" ADD COLUMN IF NOT EXISTS "${SOFT_DELETE_COLUMN}" TIMESTAMPTZ`);
+    } catch (error) {
+        console.error(chalk.red(`❌ Failed to add column ${SOFT_DELETE_COLUMN} to ${schema}.${table}: ${error.message}`));
+        throw error;
+    }
+}
+
+/**
+ * Fetch the next `limit` primary key values of a table in key order, as a list of
+ * value arrays. `filter` restricts the keys, e.g. to a key range, and `reference`
+ * renders the key columns, e.g. with a COLLATE clause to match DB2's order.
+ */
+export async function fetchPostgresKeys(pgClient, schema, table, primaryKeys, limit, filter = null, reference = (column) => `"${column}"`) {
+    const whereClause = filter && filter.where ? `WHERE ${toPostgresPlaceholders(filter.where)}` : '';
+    const query = `SELECT ${primaryKeys.map(pk => `"${pk}"`).join(', ')} FROM "${schema}"."${table}" ${whereClause}
+        ORDER BY ${primaryKeys.map(reference).join(', ')} LIMIT ${limit}`;
+    try {
+        const result = await pgClient.query(query, (filter && filter.params) || []);
+        return result.rows.map(row => primaryKeys.map(pk => row[pk]));
+    } catch (error) {
+        console.error(chalk.red(`❌ Error fetching keys of ${schema}.${table}: ${error.message}`));
+        throw error;
+    }
+}
+
+/**
+ * Upsert a chunk of data: rows whose primary key already exists are replaced,
+ * new rows are inserted. Runs in one transaction so a chunk is applied atomically.
+ * With `rejects`, rejected rows are set aside, see loadSettingAside; their
+ * previous version is kept.
+ */
+export async function upsertIntoPostgres(pgClient, schema, table, columns, primaryKeys, chunk, method = 'copy', rejects = null) {
+    if (!chunk || chunk.length === 0) {
+        return 0;
+    }
+
+    try {
+        await pgClient.query('BEGIN');
+        const insertedCount = await loadSettingAside(pgClient, `${schema}.${table}`, chunk, rejects, async (rows) => {
+            await deleteKeys(pgClient, schema, table, primaryKeys, rows.map(row => primaryKeys.map(pk => row[pk])));
+            return loadIntoPostgres(pgClient, schema, table, columns, rows, method);
+        });
+        await pgClient.query('COMMIT');
+        return insertedCount;
+    } catch (error) {
+        await rollback(pgClient);
+        console.error(chalk.red(`❌ Error upserting chunk into ${schema}.${table}: ${error.message}`));
+        throw error;
+    }
+}
+
+/**
+ * Create a view in PostgreSQL from a translated SELECT statement. Unqualified table
+ * references are resolved in `defaultSchema`, the way DB2 resolved them.
+ */
+export async function createView(pgClient, schema, viewName, selectStatement, columns = null, defaultSchema = schema) {
+    const columnList = columns ? ` (${columns.map(col => `"${col}"`).join(', ')})` : '';
+    const query = `CREATE OR REPLACE VIEW "${schema}"."${viewName}"${columnList} AS ${selectStatement}`;
+    try {
         console.log(chalk.yellow(`\nComposed Query:\n${query}\n`)); // Log the query
 
+        await pgClient.query('BEGIN');
+        await pgClient.query(`SET LOCAL search_path TO "${defaultSchema}", public`);
         await pgClient.query(query);
+        await pgClient.query('COMMIT');
         console.log(chalk.green(`✅ View created: ${schema}.${viewName}`));
     } catch (error) {
+        await rollback(pgClient);
         console.error(chalk.red(`❌ Failed to create view ${schema}.${viewName}: ${error.message}`));
         console.error(chalk.red(`❗ Failing Query:\n${query}`));
         throw error;
@@ -147,11 +1024,58 @@ export async function createView(pgClient, schema, viewName, viewDefinition) {
 }
 
 /**
- * Get the row count of a table in PostgreSQL.
+ * Create a materialized view filled with the current result of the select
+ * statement, replacing an existing one with the same name.
  */
-export async function getPostgresRowCount(pgClient, schema, table) {
+export async function createMaterializedView(pgClient, schema, viewName, selectStatement, columns = null, defaultSchema = schema) {
+    const columnList = columns ? ` (${columns.map(col => `"${col}"`).join(', ')})` : '';
+    const query = `CREATE MATERIALIZED VIEW "${schema}"."${viewName}"${columnList} AS ${selectStatement} WITH DATA`;
     try {
-        const result = await pgClient.query(`SELECT COUNT(*) FROM "${schema}"."${table}"`);
+        await pgClient.query('BEGIN');
+        await pgClient.query(`SET LOCAL search_path TO "${defaultSchema}", public`);
+        await pgClient.query(`DROP MATERIALIZED VIEW IF EXISTS "${schema}"."${viewName}" CASCADE`);
+        await pgClient.query(query);
+        await pgClient.query('COMMIT');
+        console.log(chalk.green(`✅ Materialized view created: ${schema}.${viewName}`));
+    } catch (error) {
+        await rollback(pgClient);
+        console.error(chalk.red(`❌ Failed to create materialized view ${schema}.${viewName}: ${error.message}`));
+        console.error(chalk.red(`❗ Failing Query:\n${query}`));
+        throw error;
+    }
+}
+
+// Relation kinds by pg_class.relkind, as named by the view modes
+const relationKinds = { r: 'table', p: 'table', v: 'view', m: 'materialized' };
+
+/**
+ * Get the kind of an existing relation: 'table', 'view' or 'materialized', or null if none exists.
+ */
+export async function getRelationKind(pgClient, schema, name) {
+    const result = await pgClient.query(
+        `SELECT c.relkind FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace
+         WHERE n.nspname = $1 AND c.relname = $2`,
+        [schema, name]
+    );
+    return result.rows.length > 0 ? relationKinds[result.rows[0].relkind] || result.rows[0].relkind : null;
+}
+
+/**
+ * Drop a table, view or materialized view, with the objects depending on it.
+ */
+export async function dropRelation(pgClient, schema, name, kind) {
+    const keyword = { table: 'TABLE', view: 'VIEW', materialized: 'MATERIALIZED VIEW' }[kind];
+    await pgClient.query(`DROP ${keyword} IF EXISTS "${schema}"."${name}" CASCADE`);
+    console.log(chalk.yellow(`🔥 ${keyword.charAt(0) + keyword.slice(1).toLowerCase()} dropped: ${schema}.${name}`));
+}
+
+/**
+ * Get the row count of a table in PostgreSQL, of the rows `filter` selects if given.
+ */
+export async function getPostgresRowCount(pgClient, schema, table, filter = null) {
+    const whereClause = filter && filter.where ? ` WHERE ${toPostgresPlaceholders(filter.where)}` : '';
+    try {
+        const result = await pgClient.query(`SELECT COUNT(*) FROM "${schema}"."${table}"${whereClause}`, (filter && filter.params) || []);
         return parseInt(result.rows[0].count, 10);
     } catch (error) {
         console.error(chalk.red(`❌ Failed to get row count for ${schema}.${table}: ${error.message}`));
@@ -159,6 +1083,130 @@ export async function getPostgresRowCount(pgClient, schema, table) {
     }
 }
 
+// Suffix of the shadow table a full refresh is loaded into, and of its indexes
+const SHADOW_SUFFIX = '__shadow';
+
+/**
+ * Create an empty shadow table with the columns, NOT NULL constraints and defaults of
+ * the table, replacing a shadow table left behind by an interrupted run.
+ * Keys and indexes are only built after the load. Returns the shadow table name.
+ */
+export async function createShadowTable(pgClient, schema, table) {
+    const shadow = `${table}${SHADOW_SUFFIX}`;
+    try {
+        await pgClient.query(`DROP TABLE IF EXISTS "${schema}"."${shadow}"`);
+        await pgClient.query(`CREATE TABLE "${schema}"."${shadow}" (LIKE "${schema}"."${table}" INCLUDING DEFAULTS)`);
+        console.log(chalk.green(`✅ Shadow table created: ${schema}.${shadow}`));
+        return shadow;
+    } catch (error) {
+        console.error(chalk.red(`❌ Failed to create shadow table for ${schema}.${table}: ${error.message}`));
+        throw error;
+    }
+}
+
+/**
+ * Read the objects depending on a table, which dropping it would drop along: the views
+ * and materialized views reading it, directly or through other views, in the order
+ * they can be created, with their definitions and the indexes of materialized views,
+ * and the foreign keys referencing it, its own included.
+ */
+async function getTableDependents(pgClient, schema, table) {
+    const views = await pgClient.query(
+        `WITH RECURSIVE dependents (oid, depth) AS (
+             SELECT r.ev_class, 1
+             FROM pg_depend d JOIN pg_rewrite r ON r.oid = d.objid
+             WHERE d.classid = 'pg_rewrite'::regclass AND d.refclassid = 'pg_class'::regclass
+               AND d.refobjid = format('%I.%I', $1::text, $2::text)::regclass
+               AND r.ev_class <> d.refobjid
+             UNION
+             SELECT r.ev_class, dependents.depth + 1
+             FROM dependents
+             JOIN pg_depend d ON d.refobjid = dependents.oid
+                 AND d.classid = 'pg_rewrite'::regclass AND d.refclassid = 'pg_class'::regclass
+             JOIN pg_rewrite r ON r.oid = d.objid
+             WHERE r.ev_class <> dependents.oid
+         )
+         SELECT n.nspname AS schema, c.relname AS name, c.relkind, pg_get_viewdef(c.oid) AS definition,
+                ARRAY(SELECT pg_get_indexdef(i.indexrelid) FROM pg_index i WHERE i.indrelid = c.oid) AS indexes,
+                max(dependents.depth) AS depth
+         FROM dependents JOIN pg_class c ON c.oid = dependents.oid JOIN pg_namespace n ON n.oid = c.relnamespace
+         GROUP BY n.nspname, c.relname, c.relkind, c.oid
+         ORDER BY depth`,
+        [schema, table]
+    );
+    const foreignKeys = await pgClient.query(
+        `SELECT n.nspname AS schema, c.relname AS table, con.conname AS name, pg_get_constraintdef(con.oid) AS definition
+         FROM pg_constraint con JOIN pg_class c ON c.oid = con.conrelid JOIN pg_namespace n ON n.oid = c.relnamespace
+         WHERE con.contype = 'f' AND con.confrelid = format('%I.%I', $1::text, $2::text)::regclass`,
+        [schema, table]
+    );
+    return { views: views.rows, foreignKeys: foreignKeys.rows };
+}
+
+/**
+ * Build the primary key and indexes on the loaded shadow table, then swap it in place
+ * of the table within one transaction, so readers see either the old or the new data.
+ * Objects depending on the old table, views, materialized views and foreign keys, are
+ * dropped with it and recreated on the new one in the same transaction; when one
+ * cannot be, e.g. a foreign key the new rows violate, the swap is rolled back.
+ */
+export async function swapShadowTable(pgClient, schema, table, shadow, primaryKeys, indexes) {
+    if (primaryKeys.length > 0) {
+        await pgClient.query(
+            `ALTER TABLE "${schema}"."${shadow}" ADD CONSTRAINT "${shadow}_pkey" ` +
+            `PRIMARY KEY (${primaryKeys.map(pk => `"${pk}"`).join(', ')})`
+        );
+    }
+    await ensureIndexes(pgClient, schema, shadow, indexes, SHADOW_SUFFIX);
+
+    try {
+        await pgClient.query('BEGIN');
+        const dependents = await getTableDependents(pgClient, schema, table);
+        await pgClient.query(`DROP TABLE "${schema}"."${table}" CASCADE`);
+        await pgClient.query(`ALTER TABLE "${schema}"."${shadow}" RENAME TO "${table}"`);
+        if (primaryKeys.length > 0) {
+            await pgClient.query(`ALTER TABLE "${schema}"."${table}" RENAME CONSTRAINT "${shadow}_pkey" TO "${table}_pkey"`);
+        }
+        for (const index of indexes) {
+            await pgClient.query(`ALTER INDEX IF EXISTS "${schema}"."${index.name}${SHADOW_SUFFIX}" RENAME TO "${index.name}"`);
+        }
+        for (const view of dependents.views) {
+            const kind = view.relkind === 'm' ? 'MATERIALIZED VIEW' : 'VIEW';
+            await pgClient.query(`CREATE ${kind} "${view.schema}"."${view.name}" AS ${view.definition.trim().replace(/;$/, '')}`);
+            for (const indexDefinition of view.indexes) {
+                await pgClient.query(indexDefinition);
+            }
+        }
+        for (const foreignKey of dependents.foreignKeys) {
+            await pgClient.query(`ALTER TABLE "${foreignKey.schema}"."${foreignKey.table}" ` +
+                `ADD CONSTRAINT "${foreignKey.name}" ${foreignKey.definition}`);
+        }
+        await pgClient.query('COMMIT');
+        const recreated = dependents.views.length + dependents.foreignKeys.length;
+        if (recreated > 0) {
+            console.log(chalk.green(`✅ ${recreated} dependent view(s) and foreign key(s) recreated on ${schema}.${table}`));
+        }
+        console.log(chalk.green(`✅ Shadow table swapped in: ${schema}.${table}`));
+    } catch (error) {
+        await rollback(pgClient);
+        console.error(chalk.red(`❌ Failed to swap shadow table into ${schema}.${table}: ${error.message}`));
+        throw error;
+    }
+}
+
+/**
+ * Drop a table in PostgreSQL if it exists.
+ */
+export async function dropTable(pgClient, schema, table) {
+    try {
+        await pgClient.query(`DROP TABLE IF EXISTS "${schema}"."${table}"`);
+        console.log(chalk.yellow(`🔥 Table dropped: ${schema}.${table}`));
+    } catch (error) {
+        console.error(chalk.red(`❌ Failed to drop table ${schema}.${table}: ${error.message}`));
+        throw error;
+    }
+}
+
 /**
  * Truncate a table in PostgreSQL.
  */
@@ -170,4 +1218,42 @@ export async function truncateTable(pgClient, schema, table) {
         console.error(chalk.red(`❌ Failed to truncate table ${schema}.${table}: ${error.message}`));
         throw error;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Compute aggregate expressions over a table, optionally restricted by a filter
+ * `{ where, params }` written with ? parameter markers. `expressions` is a list of `{ alias, sql }`.
+ */
+export async function getPostgresAggregates(pgClient, schema, table, expressions, filter = null) {
+    const selectList = expressions.map(({ alias, sql }) => `${sql} AS "${alias}"`).join(', ');
+    const whereClause = filter && filter.where ? `WHERE ${toPostgresPlaceholders(filter.where)}` : '';
+    const query = `SELECT ${selectList} FROM "${schema}"."${table}" ${whereClause}`;
+    try {
+        const result = await pgClient.query(query, (filter && filter.params) || []);
+        return result.rows[0];
+    } catch (error) {
+        console.error(chalk.red(`❌ Error computing aggregates for ${schema}.${table}: ${error.message}`));
+        console.error(chalk.red(`❗ Failing Query:\n${query}`));
+        throw error;
+    }
+}
+
+/**
+ * Fetch the rows with the given primary key values, every column converted to text.
+ */
+export async function getPostgresRowsByKey(pgClient, schema, table, columns, primaryKeys, keys) {
+    if (keys.length === 0) return [];
+    const selectList = columns.map(col => `"${col.name}"::text AS "${col.name}"`).join(', ');
+    const keyList = primaryKeys.map(pk => `"${pk}"`).join(', ');
+    const keyTuples = keys
+        .map((key, rowIndex) => `(${primaryKeys.map((pk, keyIndex) => `$${rowIndex * primaryKeys.length + keyIndex + 1}`).join(', ')})`)
+        .join(', ');
+    const query = `SELECT ${selectList} FROM "${schema}"."${table}" WHERE (${keyList}) IN (${keyTuples})`;
+    try {
+        const result = await pgClient.query(query, keys.flat());
+        return result.rows;
+    } catch (error) {
+        console.error(chalk.red(`❌ Error fetching rows by key from ${schema}.${table}: ${error.message}`));
+        throw error;
+    }
+}
@@ -0,0 +1,39 @@
+// src/progress.js
+
+import ora from 'ora';
+import chalk from 'chalk';
+import { isJsonLogging, maskSecrets } from './log.js';
+
+// Minimum time between two progress lines of the same table when not using a spinner
+const LOG_INTERVAL_MS = 10000;
+
+/**
+ * Create a progress reporter for one table. With `interactive` an ora spinner is used,
+ * which only works while a single table is replicated at a time. Otherwise progress is
+ * written as throttled log lines, so several tables running at once stay readable.
+ * JSON logging always uses log lines.
+ */
+export function createProgress(text, { interactive = true } = {}) {
+    if (interactive && !isJsonLogging()) {
+        // The spinner writes to the terminal itself, bypassing the masking of the console
+        const spinner = ora(maskSecrets(text)).start();
+        return {
+            update: (message) => { spinner.text = maskSecrets(message); },
+            succeed: (message) => spinner.succeed(maskSecrets(message)),
+            fail: (message) => spinner.fail(maskSecrets(message)),
+        };
+    }
+
+    let lastLoggedAt = Date.now();
+    console.log(text);
+    return {
+        update: (message) => {
+            if (Date.now() - lastLoggedAt >= LOG_INTERVAL_MS) {
+                lastLoggedAt = Date.now();
+                console.log(message);
+            }
+        },
+        succeed: (message) => console.log(chalk.green(message)),
+        fail: (message) => console.error(chalk.red(message)),
+    };
+}
@@ -0,0 +1,94 @@
+// src/ranges.js
+
+import chalk from 'chalk';
+import { specName } from './tables.js';
+import { buildKeyPredicate, combineFilters } from './utils.js';
+import { source } from './adapters.js';
+
+/*
+ * Key ranges split the full load of a large table, paged by a primary or unique key,
+ * so that several workers load it at once. A range is stored with the checkpoints of
+ * the load as JSON, either by its key values, `{ lower, upper }` with the lower bound
+ * included and either bound null when open, or by its DB2 data partition,
+ * `{ partition, name }`. The strategies:
+ *
+ * - quantiles: ranges of about the same number of rows, from the key values at every
+ *   n-th row in key order
+ * - minmax: equally wide ranges between the lowest and highest value of a single
+ *   integer key, cheaper to compute but uneven when the keys are
+ * - partitions: one range per data partition in SYSCAT.DATAPARTITIONS
+ *
+ * Strategies that do not apply to a table fall back to quantiles.
+ */
+
+const INTEGER_TYPES = ['SMALLINT', 'INTEGER', 'INT', 'BIGINT'];
+
+// Key values as JSON keeps them: numbers beyond the safe range as strings
+const toKeyValue = (value) => (Number.isSafeInteger(Number(value)) ? Number(value) : value.toString());
+
+// Ranges between consecutive boundaries, the first and the last open-ended
+function betweenBoundaries(boundaries) {
+    return [null, ...boundaries].map((lower, i) => ({ lower, upper: i < boundaries.length ? boundaries[i] : null }));
+}
+
+async function quantileRanges(db2, spec, keyColumns, count, rowCount, filter) {
+    const bucketSize = Math.max(1, Math.ceil(rowCount / count));
+    const starts = await source.getKeyBoundaries(db2, spec.source.schema, spec.source.table, keyColumns, bucketSize, filter);
+    return betweenBoundaries(starts.slice(1));
+}
+
+async function minMaxRanges(db2, spec, column, count, filter) {
+    const { min, max } = await source.getMinMax(db2, spec.source.schema, spec.source.table, column, filter);
+    if (min === null || min === undefined) return [{ lower: null, upper: null }];
+    const low = BigInt(min);
+    const width = (BigInt(max) - low + 1n) / BigInt(count);
+    if (width === 0n) return [{ lower: null, upper: null }];
+    const boundaries = Array.from({ length: count - 1 }, (_, i) => [toKeyValue(low + width * BigInt(i + 1))]);
+    return betweenBoundaries(boundaries);
+}
+
+/**
+ * Split the load of a table paged by `key` into ranges by the table's range strategy,
+ * aiming at `count` ranges of its `rowCount` rows matching `filter`.
+ */
+export async function planRanges(db2, spec, columns, key, count, rowCount, filter) {
+    const name = specName(spec);
+    if (spec.rangeStrategy === 'partitions') {
+        const partitions = await source.getDataPartitions(db2, spec.source.schema, spec.source.table);
+        if (partitions.length > 1) {
+            return partitions.map(({ seqno, name: partitionName }) => ({ partition: seqno, name: partitionName }));
+        }
+        console.log(chalk.yellow(`⚠️ ${name} is not range-partitioned, splitting it by key quantiles`));
+    }
+    if (spec.rangeStrategy === 'minmax') {
+        const column = columns.find(col => col.name === key.columns[0]);
+        if (key.columns.length === 1 && column && INTEGER_TYPES.includes(column.db2Type)) {
+            return minMaxRanges(db2, spec, column.name, count, filter);
+        }
+        console.log(chalk.yellow(`⚠️ ${name} has no single integer key, splitting it by key quantiles`));
+    }
+    return quantileRanges(db2, spec, key.columns, count, rowCount, filter);
+}
+
+/**
+ * The filter `{ where, params }` selecting the rows of a range, DATAPARTITIONNUM
+ * naming a key column since it takes any column of the table.
+ */
+export function rangeFilter(range, key) {
+    if (range.partition !== undefined) {
+        return { where: `DATAPARTITIONNUM("${key.columns[0]}") = ?`, params: [range.partition] };
+    }
+    return combineFilters(
+        range.lower ? buildKeyPredicate(key.columns, range.lower, true) : null,
+        range.upper ? buildKeyPredicate(key.columns, range.upper, false, { before: true }) : null,
+    );
+}
+
+/**
+ * Describe a range for progress and errors.
+ */
+export function describeRange(range) {
+    if (range.partition !== undefined) return `partition ${range.name}`;
+    const bound = (values) => (values ? JSON.stringify(values) : '');
+    return `keys [${bound(range.lower)}, ${bound(range.upper)})`;
+}
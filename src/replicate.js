@@ -1,160 +1,1056 @@
 // src/replicate.js
 
-import {
-    connectDB2,
-    getColumnMetadata,
-    getPrimaryKeys,
-    fetchChunk,
-    getDb2RowCount,
-    getViewDefinition,
-} from './db2.js';
+import { SOFT_DELETE_COLUMN } from './postgres.js';
 
+import { EventEmitter } from 'node:events';
+import { randomUUID } from 'node:crypto';
+import config, { ConfigError } from './config.js';
+import { configuredConnections, openDb2, openPostgres, reconnectAfter } from './connections.js';
+import { diffColumns, printDriftReport } from './drift.js';
+import { createProgress } from './progress.js';
+import { withRetry } from './retry.js';
+import { propagateDeletes } from './deletes.js';
+import { createDeadLetters } from './deadletter.js';
+import { createRowTransform } from './transform.js';
+import { streamsLob, estimateRowBytes } from './streaming.js';
+import { planRanges, rangeFilter, describeRange } from './ranges.js';
+import { startMetrics } from './metrics.js';
+import { verifyTables } from './verify.js';
+import { translateViewDefinition } from './viewsql.js';
 import {
-    dropSchema,
-    ensureSchemaExists,
-    ensureTableExists,
-    insertIntoPostgres,
-    createView, // Rename from createMaterializedView
-    getPostgresRowCount,
-    truncateTable,
-} from './postgres.js';
-
-import { pgClient } from './postgres.js';
-import config from './config.js';
-import ora from 'ora';
+    resolveTables,
+    resolveViews,
+    tableSpec,
+    sourceKey,
+    specName,
+    getSourceColumns,
+    assertKeyColumnsReplicated,
+    specFilter,
+    selectSpecs,
+    configuredTargetSchemas,
+} from './tables.js';
+import { buildKeyPredicate, combineFilters, topologicalSort, runWithConcurrency } from './utils.js';
 import chalk from 'chalk';
+import { source, target } from './adapters.js';
+
+/**
+ * Connect to PostgreSQL through the connection factory; for a dry run the client only reads.
+ */
+async function connectPostgres(connections, dryRun) {
+    const pgClient = await openPostgres(connections);
+    return dryRun ? target.createDryRunClient(pgClient) : pgClient;
+}
+
+// 'error' events are only emitted when listened to, since an unhandled one would throw
+function emitError(events, name, error) {
+    if (events.listenerCount('error') > 0) {
+        events.emit('error', { name, error });
+    }
+}
+
+/**
+ * Start the result of replicating a table or view:
+ * `{ kind, name, source, target, status, action, rows, bytes, deleted, rejected, durationMs, error }`.
+ * `action` tells what was done: loaded, upserted, skipped or planned for tables,
+ * created for views, `rows` counts the rows loaded and `bytes` their size as read
+ * from DB2 (see estimateRowBytes), `deleted` the rows deleted
+ * because they are gone from DB2 and `rejected` the rows set aside as dead letters.
+ * Views also carry their mode.
+ */
+function startResult(kind, spec) {
+    return {
+        kind,
+        name: specName(spec),
+        source: `${spec.source.schema}.${spec.source.table}`,
+        target: `${spec.target.schema}.${spec.target.table}`,
+        status: 'succeeded',
+        action: null,
+        rows: 0,
+        bytes: 0,
+        deleted: 0,
+        rejected: 0,
+        durationMs: 0,
+        error: null,
+        startedAt: Date.now(),
+    };
+}
+
+// Complete a result, dropping its start time
+function finishResult({ startedAt, ...result }) {
+    return { ...result, durationMs: Date.now() - startedAt };
+}
+
+// Count the rows loaded into a result and report every chunk as a chunkLoaded event,
+// with its size and timings as measured by copyRows
+function chunkReporter(result, events) {
+    return (rows, expectedRows, { bytes = 0, durationMs = null } = {}) => {
+        result.rows += rows;
+        result.bytes += bytes;
+        events.emit('chunkLoaded', {
+            name: result.name, rows, totalRows: result.rows, expectedRows: expectedRows || null, bytes, durationMs,
+        });
+    };
+}
 
 /**
  * Main function to replicate all specified tables and views.
- * Tables first, then views.
+ * Tables first, then views. `selectors` narrow the run to matching tables and views,
+ * and with `dryRun` the statements and loads are reported instead of executed.
+ * Connections are opened through `connections` (see connections.js) and the
+ * progress is reported as events on `events` (see replicator.js).
+ * Returns `{ runId, tables, views, verification }` with the result of every table and
+ * view (see startResult) and of every verified table. Tables are recorded in the run
+ * history under the run id. The run ends with a summary, also when it throws, and its
+ * metrics are exported as configured (see metrics.js).
  */
-export async function replicateAll() {
-    console.log(chalk.blue(`\n🔍 Starting replication process...`));
+export async function replicateAll({
+    selectors = [],
+    dryRun = false,
+    connections = configuredConnections(),
+    events = new EventEmitter(),
+} = {}) {
+    console.log(chalk.blue(`\n🔍 Starting ${dryRun ? 'dry run of the ' : ''}replication process...`));
 
-    const db2 = await connectDB2();
+    const results = { runId: randomUUID(), tables: [], views: [], verification: [] };
+    const metrics = await startMetrics(events, { dryRun });
+    let failure = null;
+    try {
+        await replicateInto(results, { selectors, dryRun, connections, events, metrics });
+    } catch (error) {
+        failure = error;
+        throw error;
+    } finally {
+        await metrics.finish(results, failure);
+        await metrics.stop();
+    }
+    console.log(chalk.green(`🎉 Replication process ${dryRun ? 'dry run ' : ''}complete!`));
+    return results;
+}
+
+// Replicate the tables and views of a run, adding their results to `results` as they finish
+async function replicateInto(results, { selectors, dryRun, connections, events, metrics }) {
+    const { runId } = results;
+    const db2 = await openDb2(connections);
+    const pgClient = await connectPostgres(connections, dryRun);
+    console.log(chalk.green('✅ Connected to PostgreSQL'));
+    try {
+        await target.ensureStateTables(pgClient, config.replication.stateSchema);
+
+        const configuredTables = await resolveTables(db2, config.replication.tables);
+        await metrics.track(pgClient, configuredTables);
+        const selection = selectSpecs(selectors, configuredTables, resolveViews(config.replication.views));
+        const { tables, views } = await resolveViewDependencies(db2, selection.tables, selection.views);
+        console.log(chalk.blue(`🔍 Replicating ${tables.length} table(s): ${tables.map(specName).join(', ') || '(none)'}`));
+        console.log(chalk.blue(`🔍 Replicating ${views.length} view(s): ${views.map(specName).join(', ') || '(none)'}`));
+
+        // Drop schemas if RESET is enabled
+        if (config.replication.reset) {
+            const uniqueSchemas = [...new Set([...tables, ...views].map((spec) => spec.target.schema))];
+            for (const schema of uniqueSchemas) {
+                console.log(chalk.red(`🔥 Dropping schema: ${schema} (RESET enabled)`));
+                await target.dropSchema(pgClient, schema);
+                await target.clearWatermarks(pgClient, config.replication.stateSchema, schema);
+                await target.clearCheckpoints(pgClient, config.replication.stateSchema, schema);
+            }
+        }
 
-    // Drop schemas if RESET is enabled
-    if (config.replication.reset) {
-        const uniqueSchemas = [...new Set([...config.replication.tables, ...config.replication.views].map((entry) => entry.schema))];
+        // Ensure schemas exist
+        const uniqueSchemas = [...new Set([...tables, ...views].map((spec) => spec.target.schema))];
         for (const schema of uniqueSchemas) {
-            console.log(chalk.red(`🔥 Dropping schema: ${schema} (RESET enabled)`));
-            await dropSchema(pgClient, schema);
+            await target.ensureSchemaExists(pgClient, schema);
         }
+
+        // Replicate tables
+        if (tables.length === 0) {
+            console.log(chalk.yellow('⚠️ No tables specified in REPLICATED_TABLES. Skipping table replication.'));
+        } else {
+            console.log(chalk.green(`\n📂 Starting table replication...`));
+
+            // Foreign keys are dropped up front and re-added once all tables are loaded. When only
+            // some tables are replicated, so are the foreign keys of other tables referencing them
+            const foreignKeyTables = config.replication.foreignKeys
+                ? await tablesWithForeignKeysTo(db2, configuredTables, tables)
+                : [];
+            for (const spec of foreignKeyTables) {
+                await target.dropForeignKeys(pgClient, spec.target.schema, spec.target.table);
+            }
+
+            results.tables = await replicateTables(db2, tables, { runId, dryRun, connections, events });
+
+            if (config.replication.foreignKeys) {
+                const referenceable = [...configuredTables, ...tables.filter(spec => !configuredTables.includes(spec))];
+                await replicateForeignKeys(db2, pgClient, foreignKeyTables, referenceable);
+            }
+
+            if (config.verify.afterLoad && !dryRun) {
+                console.log(chalk.green(`\n📂 Verifying replicated tables...`));
+                results.verification = await verifyTables(db2, pgClient, tables);
+            }
+        }
+
+        // Replicate views, after the views they read from
+        if (views.length === 0) {
+            console.log(chalk.yellow('⚠️ No views specified in REPLICATED_VIEWS. Skipping view replication.'));
+        } else {
+            console.log(chalk.green(`\n📂 Starting view replication...`));
+            for (const view of views) {
+                console.log(chalk.blue(`🔍 Processing view: ${specName(view)}`));
+                results.views.push(await replicateView(db2, pgClient, view, { runId, dryRun, events }));
+            }
+        }
+
+    } finally {
+        pgClient.release();
+        db2.close();
     }
+}
 
-    // Ensure schemas exist
-    const uniqueSchemas = [...new Set([...config.replication.tables, ...config.replication.views].map((entry) => entry.schema))];
-    for (const schema of uniqueSchemas) {
-        await ensureSchemaExists(pgClient, schema);
+/**
+ * Drop the given target schemas, or all configured ones, along with the watermarks
+ * of their tables, so the next run starts from scratch. Only configured target
+ * schemas can be reset. Returns the schemas reset.
+ */
+export async function resetSchemas({ schemas = [], dryRun = false, connections = configuredConnections() } = {}) {
+    const configured = configuredTargetSchemas();
+    const unknown = schemas.filter(schema => !configured.includes(schema));
+    if (unknown.length > 0) {
+        throw new ConfigError(unknown.map(schema => `${schema}: not a target schema of the configured tables or views`));
     }
 
-    // Replicate tables
-    if (config.replication.tables.length === 0) {
-        console.log(chalk.yellow('⚠️ No tables specified in REPLICATED_TABLES. Skipping table replication.'));
-    } else {
-        console.log(chalk.green(`\n📂 Starting table replication...`));
-        for (const { schema, table } of config.replication.tables) {
-            console.log(chalk.blue(`🔍 Processing table: ${schema}.${table}`));
-            await replicateTable(db2, pgClient, schema, table);
+    const selected = schemas.length > 0 ? schemas : configured;
+    const pgClient = await connectPostgres(connections, dryRun);
+    try {
+        await target.ensureStateTables(pgClient, config.replication.stateSchema);
+        for (const schema of selected) {
+            console.log(chalk.red(`🔥 Dropping schema: ${schema}`));
+            await target.dropSchema(pgClient, schema);
+            await target.clearWatermarks(pgClient, config.replication.stateSchema, schema);
+            await target.clearCheckpoints(pgClient, config.replication.stateSchema, schema);
         }
+        return selected;
+    } finally {
+        pgClient.release();
     }
+}
 
-    // Replicate views
-    if (config.replication.views.length === 0) {
-        console.log(chalk.yellow('⚠️ No views specified in REPLICATED_VIEWS. Skipping view replication.'));
-    } else {
-        console.log(chalk.green(`\n📂 Starting view replication...`));
-        for (const { schema, table: viewName } of config.replication.views) {
-            console.log(chalk.blue(`🔍 Processing view: ${schema}.${viewName}`));
-            await replicateView(db2, pgClient, schema, viewName);
+/**
+ * Read the dependencies of the replicated views from DB2 and order the views so that
+ * every view comes after the replicated views it reads from. Tables and views a view
+ * depends on that are not replicated are reported; with INCLUDE_VIEW_DEPENDENCIES the
+ * missing tables are added to the replicated tables. Views replicated as tables read
+ * from DB2 only, so their dependencies do not matter.
+ */
+async function resolveViewDependencies(db2, tables, views) {
+    const keyOf = (spec) => sourceKey(spec.source.schema, spec.source.table);
+    const tableKeys = new Set(tables.map(keyOf));
+    const viewsByKey = new Map(views.map(view => [keyOf(view), view]));
+    const includedTables = [];
+    const dependenciesByView = new Map();
+
+    for (const [key, view] of viewsByKey) {
+        if (view.mode === 'table') {
+            dependenciesByView.set(key, []);
+            continue;
+        }
+        const name = specName(view);
+        const dependencies = await source.getViewDependencies(db2, view.source.schema, view.source.table);
+        dependenciesByView.set(key, dependencies
+            .filter(dep => dep.kind === 'view')
+            .map(dep => sourceKey(dep.schema, dep.name))
+            .filter(depKey => viewsByKey.has(depKey)));
+
+        for (const dep of dependencies) {
+            const depKey = sourceKey(dep.schema, dep.name);
+            if (dep.kind === 'view') {
+                if (!viewsByKey.has(depKey)) {
+                    console.log(chalk.yellow(`⚠️ View ${name} reads from view ${dep.schema}.${dep.name}, which is not replicated`));
+                }
+            } else if (!tableKeys.has(depKey)) {
+                tableKeys.add(depKey);
+                if (config.replication.includeViewDependencies) {
+                    console.log(chalk.blue(`➕ Replicating table ${dep.schema}.${dep.name}, read by view ${name}`));
+                    includedTables.push(tableSpec({}, dep.schema, dep.name));
+                } else {
+                    console.log(chalk.yellow(`⚠️ View ${name} reads from table ${dep.schema}.${dep.name}, which is not replicated`));
+                }
+            }
+        }
+    }
+
+    const order = topologicalSort([...viewsByKey.keys()], key => dependenciesByView.get(key));
+    return {
+        tables: [...tables, ...includedTables],
+        views: order.map(key => viewsByKey.get(key)),
+    };
+}
+
+/**
+ * Replicate the tables, up to PARALLELISM of them at once. Every concurrent lane
+ * works over its own DB2 connection and its own PostgreSQL connection.
+ * A failing table is reported and does not stop the others. Every table is
+ * reported by a tableStarted and a tableFinished event, and unless in a dry run
+ * recorded in the run history.
+ */
+async function replicateTables(db2, tables, { runId, dryRun, connections, events }) {
+    const stateSchema = config.replication.stateSchema;
+    const parallelism = Math.min(config.replication.parallelism, tables.length);
+    const lanes = [];
+    for (let lane = 0; lane < parallelism; lane++) {
+        lanes.push({
+            db2: lane === 0 ? db2 : await openDb2(connections),
+            pgClient: await connectPostgres(connections, dryRun),
+        });
+    }
+
+    const results = [];
+    try {
+        await runWithConcurrency(tables, parallelism, async (spec, lane) => {
+            console.log(chalk.blue(`🔍 Processing table: ${specName(spec)}`));
+            const result = startResult('table', spec);
+            const { pgClient } = lanes[lane];
+            events.emit('tableStarted', { name: result.name, source: result.source, target: result.target });
+            if (!dryRun) await target.startRunHistory(pgClient, stateSchema, runId, spec.target.schema, spec.target.table);
+            try {
+                const onChunk = chunkReporter(result, events);
+                const onDelete = (rows) => { result.deleted += rows; };
+                const onReject = (rows) => { result.rejected += rows; };
+                result.action = await replicateTable(lanes[lane].db2, pgClient, spec, {
+                    runId, dryRun, connections, onChunk, onDelete, onReject,
+                });
+            } catch (error) {
+                console.error(chalk.red(`❌ Failed to replicate table ${specName(spec)}: ${error.message}`));
+                Object.assign(result, { status: 'failed', error: error.message });
+                emitError(events, result.name, error);
+            }
+            const finished = finishResult(result);
+            if (!dryRun) await target.finishRunHistory(pgClient, stateSchema, runId, spec.target.schema, spec.target.table, finished);
+            results.push(finished);
+            events.emit('tableFinished', finished);
+        });
+    } finally {
+        for (const [lane, connections] of lanes.entries()) {
+            connections.pgClient.release();
+            if (lane > 0) connections.db2.close();
         }
     }
 
-    console.log(chalk.green(`🎉 Replication process complete!`));
-    db2.close();
+    const failed = results.filter(result => result.status === 'failed').map(result => result.name);
+    if (failed.length > 0) {
+        console.error(chalk.red(`❌ ${failed.length} table(s) failed: ${failed.join(', ')}`));
+    }
+    return results;
 }
 
-async function replicateTable(db2, pgClient, schema, table) {
-    const db2Schema = schema.toUpperCase();
-    const db2Table = table.toUpperCase();
-    console.log(chalk.yellow(`🛠️  Replicating table: ${schema}.${table}`));
+/**
+ * Replicate one table described by a table spec (see tables.js): DB2 calls use the
+ * source names, PostgreSQL calls the target names. With `dryRun` the load is only
+ * described; `pgClient` is then a dry-run client printing the DDL. Every chunk
+ * loaded is reported to `onChunk`, and the rows deleted as gone from DB2 to
+ * `onDelete`, rows set aside as dead letters to `onReject`. Full loads record
+ * checkpoints under `runId` and resume from the checkpoint of an interrupted load.
+ * Large tables are loaded in key ranges by workers connected through `connections`,
+ * see loadRanges. Returns the action taken, see startResult.
+ */
+async function replicateTable(db2, pgClient, spec, {
+    runId = randomUUID(),
+    dryRun = false,
+    connections = null,
+    onChunk = () => {},
+    onDelete = () => {},
+    onReject = () => {},
+} = {}) {
+    const { schema: db2Schema, table: db2Table } = spec.source;
+    const { schema, table } = spec.target;
+    const filter = specFilter(spec);
+    console.log(chalk.yellow(`🛠️  Replicating table: ${specName(spec)}`));
 
     // Fetch column metadata & primary keys
-    const columns = await getColumnMetadata(db2, db2Schema, db2Table);
-    const primaryKeys = await getPrimaryKeys(db2, db2Schema, db2Table);
+    const columns = await getSourceColumns(db2, spec);
+    const primaryKeys = await source.getPrimaryKeys(db2, db2Schema, db2Table);
 
     if (!columns.length) {
         console.log(chalk.red(`⚠️ Skipping ${schema}.${table} (no columns found)`));
-        return;
+        return 'skipped';
+    }
+    assertKeyColumnsReplicated(spec, columns, primaryKeys);
+
+    const created = await target.ensureTableExists(pgClient, schema, table, columns, primaryKeys);
+    const columnsAdded = created ? false : await reconcileSchema(pgClient, schema, table, columns);
+    // Indexes on columns that are not replicated are left out
+    const columnNames = new Set(columns.map(col => col.name));
+    const indexes = (await source.getIndexes(db2, db2Schema, db2Table)).filter(index =>
+        [...index.columns.map(col => col.name), ...index.include].every(name => columnNames.has(name)));
+    await target.ensureIndexes(pgClient, schema, table, indexes);
+
+    if (dryRun) {
+        await planTableLoad(db2, pgClient, spec, primaryKeys, { created, columnsAdded });
+        return 'planned';
     }
 
-    await ensureTableExists(pgClient, schema, table, columns, primaryKeys);
+    const deadLetters = createDeadLetters(pgClient, spec, { runId, primaryKeys, onReject });
+
+    if (spec.mode === 'incremental') {
+        if (primaryKeys.length > 0) {
+            await replicateTableIncremental(db2, pgClient, spec, columns, primaryKeys, { fromStart: columnsAdded, deadLetters, onChunk });
+            if (spec.deletes !== 'none') {
+                onDelete(await propagateDeletes(db2, pgClient, spec, columns, primaryKeys));
+            }
+            return 'upserted';
+        }
+        console.log(chalk.yellow(`⚠️ ${schema}.${table} has no primary key, falling back to a full reload`));
+    }
+
+    const key = await source.getOrderingKey(db2, db2Schema, db2Table);
+    assertKeyColumnsReplicated(spec, columns, key.kind === 'rid' ? [] : key.columns);
+    if (key.kind === 'none') {
+        console.log(chalk.yellow(`⚠️ ${schema}.${table} has no usable ordering key, reading it through a single cursor`));
+    } else {
+        console.log(chalk.blue(`🔍 Paging ${schema}.${table} by ${key.kind} key (${key.columns.join(', ')})`));
+    }
 
-    const db2Count = await getDb2RowCount(db2, db2Schema, db2Table);
+    const db2Count = await source.getRowCount(db2, db2Schema, db2Table, filter);
     if (db2Count > 0) {
         console.log(chalk.blue(`🔍 Total rows for ${schema}.${table}: ${db2Count}`));
     } else {
         console.log(chalk.yellow(`⚠️ Could not determine total rows for ${schema}.${table}`));
     }
 
-    if (!config.replication.reset) {
-        const postgresCount = await getPostgresRowCount(pgClient, schema, table);
-        if (postgresCount === db2Count) {
+    // Loads paged by a key are checkpointed chunk by chunk, and an interrupted one is resumed
+    const stateSchema = config.replication.stateSchema;
+    const pagingKey = { kind: key.kind, columns: key.columns };
+    const resumable = key.kind === 'primary' || key.kind === 'unique';
+    const rangeCheckpoints = resumable && connections && !columnsAdded ? await findRangeCheckpoints(pgClient, spec, pagingKey) : null;
+    const checkpoint = resumable && !columnsAdded && !rangeCheckpoints ? await findCheckpoint(pgClient, spec, pagingKey) : null;
+
+    // Table the rows are loaded into, a shadow table when refreshing by swap
+    let loadTable = table;
+    if (rangeCheckpoints) {
+        loadTable = rangeCheckpoints[0].loadTable;
+        const open = rangeCheckpoints.filter(range => range.status !== 'done').length;
+        console.log(chalk.blue(`🔁 Resuming ${open} of ${rangeCheckpoints.length} key ranges of ${schema}.${loadTable} ` +
+            `(started by run ${rangeCheckpoints[0].runId})`));
+    } else if (checkpoint) {
+        loadTable = checkpoint.loadTable;
+        console.log(chalk.blue(`🔁 Resuming ${schema}.${loadTable} after key ${JSON.stringify(checkpoint.lastKey)} ` +
+            `(${checkpoint.rowsLoaded} rows loaded by run ${checkpoint.runId})`));
+    } else if (!config.replication.reset) {
+        const postgresCount = await target.getRowCount(pgClient, schema, table);
+        if (postgresCount === db2Count && !columnsAdded) {
             console.log(chalk.yellow(`⚠️ Skipping ${schema}.${table} (record counts match)`));
-            return;
+            return 'skipped';
+        } else if (config.replication.refreshStrategy === 'swap') {
+            console.log(chalk.yellow(`⚠️ Record counts differ for ${schema}.${table}. Loading a shadow table.`));
+            loadTable = await target.createShadowTable(pgClient, schema, table);
         } else {
             console.log(chalk.yellow(`⚠️ Record counts differ for ${schema}.${table}. Truncating table.`));
-            await truncateTable(pgClient, schema, table);
+            await target.truncateTable(pgClient, schema, table);
+            await target.clearWatermarks(pgClient, stateSchema, schema, table);
         }
     }
 
+    // Tables large enough are split into key ranges, loaded by several workers
+    const ranged = rangeCheckpoints || (resumable && connections && !checkpoint && spec.ranges > 1 &&
+        db2Count >= config.replication.rangeMinRows);
+    if (ranged) {
+        await loadRanges(db2, pgClient, spec, columns, {
+            key, filter, loadTable, rangeCheckpoints, rowCount: db2Count, runId, connections, deadLetters, onChunk,
+        });
+        if (loadTable !== table) {
+            await target.swapShadowTable(pgClient, schema, table, loadTable, primaryKeys, indexes);
+            await target.clearWatermarks(pgClient, stateSchema, schema, table);
+        }
+        await target.clearCheckpoints(pgClient, stateSchema, schema, table);
+        return 'loaded';
+    }
+
+    let rowsLoaded = checkpoint ? checkpoint.rowsLoaded : 0;
+    const write = resumable
+        ? async (chunk, lastKey, rejects) => {
+            const loadedCount = await target.loadChunkWithCheckpoint(pgClient, stateSchema, schema, table, columns, chunk,
+                spec.loadMethod, { runId, loadTable, pagingKey, lastKey, rowsLoaded: rowsLoaded + chunk.length }, rejects);
+            rowsLoaded += chunk.length;
+            return loadedCount;
+        }
+        : (chunk, lastKey, rejects) => target.loadChunkAtomically(pgClient, schema, loadTable, columns, chunk, spec.loadMethod, rejects);
+
+    try {
+        await copyRows(db2, spec, columns, {
+            key,
+            after: checkpoint ? checkpoint.lastKey : null,
+            filter,
+            total: Math.max(db2Count - rowsLoaded, 0),
+            pgClient,
+            deadLetters,
+            write,
+            onChunk,
+        });
+    } catch (error) {
+        // The table itself is untouched when the shadow load fails; a checkpointed
+        // shadow table is kept for the next run to resume
+        if (loadTable !== table && !resumable) {
+            await target.dropTable(pgClient, schema, loadTable);
+        }
+        throw error;
+    }
+
+    if (loadTable !== table) {
+        await target.swapShadowTable(pgClient, schema, table, loadTable, primaryKeys, indexes);
+        await target.clearWatermarks(pgClient, stateSchema, schema, table);
+    }
+    if (resumable) {
+        await target.clearCheckpoints(pgClient, stateSchema, schema, table);
+    }
+    return 'loaded';
+}
+
+/**
+ * Find the checkpoint of an interrupted load of a table that can be resumed: one paged
+ * by the same key, into a table that still exists. Other checkpoints are discarded.
+ */
+async function findCheckpoint(pgClient, spec, pagingKey) {
+    const { schema, table } = spec.target;
+    const stateSchema = config.replication.stateSchema;
+    const checkpoint = await target.getCheckpoint(pgClient, stateSchema, schema, table);
+    if (!checkpoint) return null;
+    if (JSON.stringify(checkpoint.pagingKey) === JSON.stringify(pagingKey) &&
+        await target.getRelationKind(pgClient, schema, checkpoint.loadTable) === 'table') {
+        return checkpoint;
+    }
+    console.log(chalk.yellow(`⚠️ Discarding the checkpoint of ${specName(spec)}, its load cannot be resumed`));
+    await target.clearCheckpoints(pgClient, stateSchema, schema, table);
+    return null;
+}
+
+/**
+ * Find the range checkpoints of an interrupted load of a table by key ranges that can
+ * be resumed, like findCheckpoint. Returns null when there are none.
+ */
+async function findRangeCheckpoints(pgClient, spec, pagingKey) {
+    const { schema, table } = spec.target;
+    const stateSchema = config.replication.stateSchema;
+    const checkpoints = await target.getRangeCheckpoints(pgClient, stateSchema, schema, table);
+    if (checkpoints.length === 0) return null;
+    if (JSON.stringify(checkpoints[0].pagingKey) === JSON.stringify(pagingKey) &&
+        await target.getRelationKind(pgClient, schema, checkpoints[0].loadTable) === 'table') {
+        return checkpoints;
+    }
+    console.log(chalk.yellow(`⚠️ Discarding the range checkpoints of ${specName(spec)}, their load cannot be resumed`));
+    await target.clearCheckpoints(pgClient, stateSchema, schema, table);
+    return null;
+}
+
+/**
+ * Load a table in key ranges (see ranges.js), each range read and written by one of
+ * the table's workers over connections of its own, and checkpointed chunk by chunk.
+ * The ranges of `rangeCheckpoints` are resumed, those already done skipped; otherwise
+ * the table is split anew. A range that fails is recorded as failed while the others
+ * go on, and the table fails once all ranges ended; the next run loads only the
+ * ranges that did not finish.
+ */
+async function loadRanges(db2, pgClient, spec, columns, {
+    key, filter, loadTable, rangeCheckpoints, rowCount, runId, connections, deadLetters, onChunk,
+}) {
+    const { schema, table } = spec.target;
+    const name = specName(spec);
+    const stateSchema = config.replication.stateSchema;
+    const pagingKey = { kind: key.kind, columns: key.columns };
+
+    let ranges = rangeCheckpoints;
+    if (!ranges) {
+        const planned = await planRanges(db2, spec, columns, key, spec.ranges, rowCount, filter);
+        await target.saveRangeCheckpoints(pgClient, stateSchema, schema, table, { runId, loadTable, pagingKey, ranges: planned });
+        ranges = planned.map((range, index) => ({ index, range, lastKey: null, rowsLoaded: 0, status: 'pending' }));
+    }
+    const pending = ranges.filter(range => range.status !== 'done');
+    const workers = Math.min(spec.ranges, pending.length);
+    console.log(chalk.blue(`🔀 Loading ${name} in ${ranges.length} key ranges with ${workers} worker(s)`));
+
+    // Every worker reads and writes over connections of its own
+    const lanes = [];
+    const failures = [];
+    try {
+        await runWithConcurrency(pending, workers, async (checkpoint, lane) => {
+            const rangeName = `${name} range ${checkpoint.index + 1}/${ranges.length}`;
+            try {
+                if (!lanes[lane]) {
+                    lanes[lane] = { db2: await openDb2(connections), pgClient: await connectPostgres(connections, false) };
+                }
+                const worker = lanes[lane];
+                const selection = combineFilters(rangeFilter(checkpoint.range, key), filter);
+                const rangeCount = await source.getRowCount(worker.db2, spec.source.schema, spec.source.table, selection);
+                console.log(chalk.blue(`🔍 ${rangeName}: ${describeRange(checkpoint.range)}, ${rangeCount} rows`));
+
+                let rowsLoaded = checkpoint.rowsLoaded;
+                await copyRows(worker.db2, spec, columns, {
+                    key,
+                    after: checkpoint.lastKey,
+                    filter: selection,
+                    total: Math.max(rangeCount - rowsLoaded, 0),
+                    name: rangeName,
+                    interactive: false,
+                    pgClient: worker.pgClient,
+                    deadLetters,
+                    write: async (chunk, lastKey, rejects) => {
+                        const loadedCount = await target.loadChunkWithCheckpoint(worker.pgClient, stateSchema, schema, table, columns,
+                            chunk, spec.loadMethod, { runId, loadTable, pagingKey, lastKey, rowsLoaded: rowsLoaded + chunk.length, range: checkpoint.index },
+                            rejects);
+                        rowsLoaded += chunk.length;
+                        return loadedCount;
+                    },
+                    onChunk: (rows, expectedRows, stats) => onChunk(rows, rowCount, stats),
+                });
+                await target.finishRangeCheckpoint(worker.pgClient, stateSchema, schema, table, checkpoint.index, 'done');
+            } catch (error) {
+                console.error(chalk.red(`❌ ${rangeName} failed: ${error.message}`));
+                failures.push({ rangeName, error });
+                await target.finishRangeCheckpoint(pgClient, stateSchema, schema, table, checkpoint.index, 'failed', error.message);
+            }
+        });
+    } finally {
+        for (const worker of lanes.filter(Boolean)) {
+            worker.pgClient.release();
+            worker.db2.close();
+        }
+    }
+
+    if (failures.length > 0) {
+        throw new Error(`${failures.length} of ${ranges.length} key ranges failed and are retried by the next run, ` +
+            `the first with: ${failures[0].error.message}`);
+    }
+}
+
+/**
+ * Describe the rows a run would load into a table, without reading or writing any.
+ */
+async function planTableLoad(db2, pgClient, spec, primaryKeys, { created, columnsAdded }) {
+    const { schema, table } = spec.target;
+    const name = specName(spec);
+    const db2Count = await source.getRowCount(db2, spec.source.schema, spec.source.table, specFilter(spec));
+
+    if (spec.mode === 'incremental' && primaryKeys.length > 0) {
+        const watermark = created || columnsAdded
+            ? null
+            : await target.getWatermark(pgClient, config.replication.stateSchema, schema, table);
+        if (created || columnsAdded) {
+            console.log(chalk.magenta(`📝 ${name}: upsert all ${db2Count} rows`));
+        } else if (spec.changeColumn) {
+            const from = watermark && watermark[spec.changeColumn] !== undefined ? watermark[spec.changeColumn] : '(start)';
+            console.log(chalk.magenta(`📝 ${name}: upsert rows with ${spec.changeColumn} >= ${from}`));
+        } else {
+            const after = watermark ? JSON.stringify(watermark) : 'the highest key in PostgreSQL';
+            console.log(chalk.magenta(`📝 ${name}: load rows after ${after}`));
+        }
+        if (spec.deletes !== 'none') {
+            const how = spec.deletes === 'soft' ? `mark them in ${SOFT_DELETE_COLUMN}` : 'delete them';
+            console.log(chalk.magenta(`📝 ${name}: find rows gone from DB2 and ${how}, up to ${spec.maxDeletePercent}% of the rows`));
+        }
+        return;
+    }
+
+    const checkpoint = created || columnsAdded || config.replication.reset
+        ? null
+        : await target.getCheckpoint(pgClient, config.replication.stateSchema, schema, table);
+    if (checkpoint) {
+        console.log(chalk.magenta(`📝 ${name}: resume the interrupted load into ${checkpoint.loadTable} after key ` +
+            `${JSON.stringify(checkpoint.lastKey)}, ${checkpoint.rowsLoaded} of ${db2Count} rows loaded`));
+        return;
+    }
+    const rangeCheckpoints = created || columnsAdded || config.replication.reset
+        ? []
+        : await target.getRangeCheckpoints(pgClient, config.replication.stateSchema, schema, table);
+    if (rangeCheckpoints.length > 0) {
+        const open = rangeCheckpoints.filter(range => range.status !== 'done');
+        console.log(chalk.magenta(`📝 ${name}: resume the interrupted load into ${rangeCheckpoints[0].loadTable}, ` +
+            `${open.length} of ${rangeCheckpoints.length} key ranges left`));
+        return;
+    }
+
+    const postgresCount = created ? 0 : await target.getRowCount(pgClient, schema, table);
+    if (!config.replication.reset && postgresCount === db2Count && !columnsAdded) {
+        console.log(chalk.magenta(`📝 ${name}: skip, ${db2Count} rows on both sides`));
+        return;
+    }
+    const strategy = created || config.replication.refreshStrategy !== 'swap' ? 'truncate' : 'swap';
+    const ranges = spec.ranges > 1 && db2Count >= config.replication.rangeMinRows
+        ? `, in ${spec.rangeStrategy} key ranges with ${spec.ranges} workers when paged by a key` : '';
+    console.log(chalk.magenta(`📝 ${name}: reload ${db2Count} rows (PostgreSQL has ${Math.max(postgresCount, 0)}) ` +
+        `by ${strategy} via ${spec.loadMethod}${ranges}`));
+}
+
+/**
+ * Diff the DB2 columns against the PostgreSQL table and evolve the table according to
+ * the drift policies. The whole report is printed before anything is changed, and a
+ * change under the "fail" policy aborts the table without altering it.
+ * Returns true when columns were added, so the existing rows need to be reloaded.
+ */
+async function reconcileSchema(pgClient, schema, table, columns) {
+    // The soft delete marker is not a DB2 column
+    const postgresColumns = (await target.getColumns(pgClient, schema, table)).filter(col => col.column_name !== SOFT_DELETE_COLUMN);
+    const changes = diffColumns(columns, postgresColumns);
+    if (changes.length === 0) return false;
+
+    const policies = config.replication.drift;
+    printDriftReport(schema, table, changes, policies);
+
+    const failing = changes.filter(change => policies[change.kind] === 'fail');
+    if (failing.length > 0) {
+        throw new Error(`Schema drift in ${schema}.${table} not allowed: ${failing.map(change => `${change.kind} ${change.column}`).join(', ')}`);
+    }
+
+    let columnsAdded = false;
+    for (const change of changes.filter(change => policies[change.kind] === 'apply')) {
+        if (change.kind === 'add') {
+            await target.addColumn(pgClient, schema, table, change.definition);
+            columnsAdded = true;
+        } else if (change.kind === 'drop') {
+            await target.dropColumn(pgClient, schema, table, change.column);
+        } else {
+            await target.alterColumnType(pgClient, schema, table, change.column, change.to);
+        }
+    }
+    return columnsAdded;
+}
+
+/**
+ * Find the tables whose foreign keys are replicated along with the given tables:
+ * the tables themselves, plus the other configured tables referencing them.
+ */
+async function tablesWithForeignKeysTo(db2, configuredTables, tables) {
+    const selected = new Set(tables.map(({ source }) => sourceKey(source.schema, source.table)));
+    const referencing = [];
+    for (const spec of configuredTables) {
+        if (selected.has(sourceKey(spec.source.schema, spec.source.table))) continue;
+        const foreignKeys = await source.getForeignKeys(db2, spec.source.schema, spec.source.table);
+        if (foreignKeys.some(fk => selected.has(`${fk.refSchema}.${fk.refTable}`))) {
+            referencing.push(spec);
+        }
+    }
+    return [...tables, ...referencing];
+}
+
+/**
+ * Add the foreign keys of the given tables, referenced tables first. References are
+ * resolved among `referenceable`, all replicated tables; foreign keys to tables outside
+ * of it are reported and skipped.
+ */
+async function replicateForeignKeys(db2, pgClient, tables, referenceable = tables) {
+    console.log(chalk.green(`\n📂 Adding foreign keys...`));
+    const targets = new Map(referenceable.map(({ source, target }) => [sourceKey(source.schema, source.table), target]));
+
+    const foreignKeysByTable = new Map();
+    for (const { source: { schema, table } } of tables) {
+        foreignKeysByTable.set(sourceKey(schema, table), await source.getForeignKeys(db2, schema, table));
+    }
+
+    const order = topologicalSort([...foreignKeysByTable.keys()], (key) =>
+        foreignKeysByTable.get(key).map(fk => `${fk.refSchema}.${fk.refTable}`).filter(ref => ref !== key)
+    );
+
+    for (const key of order) {
+        const { schema, table } = targets.get(key);
+        for (const foreignKey of foreignKeysByTable.get(key)) {
+            const referenced = targets.get(`${foreignKey.refSchema}.${foreignKey.refTable}`);
+            if (!referenced) {
+                console.log(chalk.yellow(`⚠️ Skipping foreign key ${schema}.${table}.${foreignKey.name}: ` +
+                    `${foreignKey.refSchema}.${foreignKey.refTable} is not replicated`));
+                continue;
+            }
+            try {
+                await target.addForeignKey(pgClient, schema, table, foreignKey, referenced.schema, referenced.table);
+            } catch (error) {
+                // Already reported, the remaining foreign keys are still added
+            }
+        }
+    }
+}
+
+/**
+ * Replicate only new and changed rows of a table with a primary key.
+ * With a change column configured, rows changed since the stored watermark are
+ * upserted. Otherwise rows after the highest replicated key are loaded.
+ * With `fromStart` all rows are upserted, e.g. to fill columns that were just added.
+ * Rejected rows are set aside in `deadLetters` when given. Every chunk loaded is
+ * reported to `onChunk`.
+ */
+async function replicateTableIncremental(db2, pgClient, spec, columns, primaryKeys, { fromStart = false, deadLetters = null, onChunk } = {}) {
+    const { schema: db2Schema, table: db2Table } = spec.source;
+    const { schema, table } = spec.target;
+    const stateSchema = config.replication.stateSchema;
+    const changeColumn = spec.changeColumn;
+    const filter = specFilter(spec);
+    const watermark = fromStart ? null : await target.getWatermark(pgClient, stateSchema, schema, table);
+
+    if (changeColumn) {
+        if (!columns.some(col => col.name === changeColumn)) {
+            throw new Error(`Change column ${changeColumn} does not exist in ${schema}.${table}`);
+        }
+        assertKeyColumnsReplicated(spec, columns, [changeColumn]);
+
+        // Capture the high watermark before loading, rows changed during the load are picked up next run
+        const nextWatermark = await source.getMaxValue(db2, db2Schema, db2Table, changeColumn);
+        const from = watermark && watermark[changeColumn] !== undefined ? watermark[changeColumn] : null;
+        console.log(chalk.blue(`🔍 Loading ${schema}.${table} rows with ${changeColumn} >= ${from === null ? '(start)' : from}`));
+
+        // The first load pages by primary key, later loads page through the changed rows only
+        const options = { key: { kind: 'primary', columns: primaryKeys }, filter };
+        if (from !== null) {
+            options.key = { kind: 'change', columns: [changeColumn, ...primaryKeys] };
+            options.filter = combineFilters(buildKeyPredicate([changeColumn], [from], true), filter);
+        }
+
+        await copyRows(db2, spec, columns, {
+            ...options,
+            pgClient,
+            deadLetters,
+            write: (chunk, lastKey, rejects) =>
+                target.upsertRows(pgClient, schema, table, columns, primaryKeys, chunk, spec.loadMethod, rejects),
+            onChunk,
+        });
+
+        if (nextWatermark !== null && nextWatermark !== undefined) {
+            await target.saveWatermark(pgClient, stateSchema, schema, table, { [changeColumn]: nextWatermark });
+        }
+        return;
+    }
+
+    // Resume after the stored key, or after the highest key already present in Postgres
+    let lastKey = watermark && primaryKeys.every(pk => pk in watermark) ? watermark : null;
+    if (!lastKey && !fromStart) {
+        lastKey = await target.getLastPrimaryKey(pgClient, schema, table, primaryKeys, columns);
+    }
+    console.log(chalk.blue(`🔍 Loading ${schema}.${table} rows after key ${lastKey ? JSON.stringify(lastKey) : '(start)'}`));
+
+    await copyRows(db2, spec, columns, {
+        key: { kind: 'primary', columns: primaryKeys },
+        after: lastKey ? primaryKeys.map(pk => lastKey[pk]) : null,
+        filter,
+        pgClient,
+        deadLetters,
+        write: async (chunk, lastKey, rejects) => {
+            const insertedCount = await target.upsertRows(pgClient, schema, table, columns, primaryKeys, chunk, spec.loadMethod, rejects);
+            await target.saveWatermark(pgClient, stateSchema, schema, table, Object.fromEntries(primaryKeys.map((pk, i) => [pk, lastKey[i]])));
+            return insertedCount;
+        },
+        onChunk,
+    });
+}
+
+/**
+ * Copy the rows of a DB2 table chunk by chunk, handing every chunk to `write` along
+ * with the key values of its last row. Rows are transformed (see transform.js) before
+ * they are written; the key values are those read from DB2, to page by.
+ * Rows are paged by `key`, starting after the key values in `after`; tables
+ * without a usable key are read through one cursor. With PIPELINE enabled the
+ * next chunk is fetched from DB2 while the current one is written, unless the
+ * table has LOB values streamed over the same connection. `onChunk` is
+ * called with the rows of every chunk written, the expected total and
+ * `{ bytes, durationMs }`: the size of the chunk as read and the time spent
+ * fetching and writing it. Progress is reported under `name`, the table's target
+ * name by default.
+ *
+ * Chunks are bounded by the byte budget of the table as well as its chunk size (see
+ * streaming.js): the rows requested adapt to the size of the rows seen so far, and
+ * large LOB values of tables paged by key are streamed instead of fetched.
+ *
+ * Transient failures are retried with backoff: a chunk paged by key is fetched again,
+ * and a chunk is written again, after reconnecting `db2` or `pgClient` when the
+ * connection was lost. `write` must therefore be atomic. A cursor cannot be resumed,
+ * so tables read through one fail on the first error.
+ *
+ * With `deadLetters` (see deadletter.js), `write` also gets a collector for the rows
+ * to set aside, which are recorded once the chunk is written.
+ */
+async function copyRows(db2, spec, columns, {
+    key,
+    after = null,
+    filter = null,
+    total = 0,
+    name = null,
+    interactive = config.replication.parallelism === 1,
+    pgClient,
+    deadLetters = null,
+    write,
+    onChunk = () => {},
+}) {
+    const { schema: db2Schema, table: db2Table } = spec.source;
+    const { schema, table } = spec.target;
+    const label = name || `${schema}.${table}`;
     let totalFetched = 0;
-    const chunkSize = config.replication.chunkSize;
-    let offset = 0;
-    let hasMoreData = true;
-    const spinner = ora(`📥 Fetching data from ${schema}.${table} in chunks...`).start();
+    let loadMs = 0;
+    const startedAt = Date.now();
+    const chunkSize = spec.chunkSize;
+    const progress = createProgress(`📥 Fetching data from ${label} in chunks...`, { interactive });
+    const transformRow = await createRowTransform(spec, columns);
+    const cursor = key.kind === 'none' ? await source.openCursor(db2, db2Schema, db2Table, columns, filter) : null;
+    const maxBytes = spec.chunkBytes;
+    const fetchOptions = {
+        maxBytes,
+        lobColumns: cursor ? [] : columns.filter(col => streamsLob(spec, col)),
+        lobInlineSize: config.replication.lobInlineSize,
+    };
+    // Streamed values are read from DB2 while the chunk is written, so either connection may be lost
+    const recoverWrite = fetchOptions.lobColumns.length > 0
+        ? async (error) => {
+            await reconnectAfter(pgClient)(error);
+            await reconnectAfter(db2)(error);
+        }
+        : reconnectAfter(pgClient);
+    // ibm_db runs one statement per connection at a time, and streamed values are read while
+    // the chunk is written, so the next chunk is not fetched meanwhile
+    const pipeline = config.replication.pipeline && fetchOptions.lobColumns.length === 0;
+    // Rows requested per chunk, fewer once rows turn out to be too wide for the byte budget
+    let rowLimit = chunkSize;
+
+    const fetchNext = (lastKey) => {
+        const fetchStartedAt = Date.now();
+        const fetching = cursor
+            ? cursor.next(rowLimit, maxBytes)
+            : withRetry(() => source.fetchChunk(db2, db2Schema, db2Table, columns, rowLimit, key, lastKey, filter, fetchOptions), {
+                label: `Fetching a chunk of ${label}`,
+                recover: reconnectAfter(db2),
+            });
+        const pending = fetching.then(rows => ({ rows, fetchMs: Date.now() - fetchStartedAt }));
+        // A prefetch may fail while the previous chunk is still being written
+        pending.catch(() => {});
+        return pending;
+    };
 
-    while (hasMoreData) {
+    let pending = fetchNext(after);
+    while (true) {
         try {
-            const chunk = await fetchChunk(db2, db2Schema, db2Table, columns, chunkSize, offset);
+            const { rows: chunk, fetchMs } = await pending;
 
             if (!chunk.length) {
-                hasMoreData = false;
                 break;
             }
 
             totalFetched += chunk.length;
+            const bytes = chunk.reduce((sum, row) => sum + estimateRowBytes(row), 0);
+            rowLimit = Math.max(1, Math.min(chunkSize, Math.floor(maxBytes / (bytes / chunk.length))));
 
-            const insertedCount = await insertIntoPostgres(pgClient, schema, table, columns, chunk);
+            const lastRow = chunk[chunk.length - 1];
+            const lastKey = key.columns.map(col => lastRow[col]);
+            if (pipeline) {
+                pending = fetchNext(lastKey);
+            }
+            if (transformRow) chunk.forEach(transformRow);
+
+            const loadStartedAt = Date.now();
+            let rejects = null;
+            const insertedCount = await withRetry(async () => {
+                rejects = deadLetters ? deadLetters.collect() : null;
+                try {
+                    return await write(chunk, lastKey, rejects);
+                } catch (error) {
+                    // The rows of a failed write were not set aside, and are rejected again when retried
+                    if (rejects) deadLetters.release(rejects);
+                    throw error;
+                }
+            }, {
+                label: `Writing a chunk of ${label}`,
+                recover: recoverWrite,
+            });
+            if (rejects) await deadLetters.record(rejects);
+            const loadedAt = Date.now();
+            loadMs += loadedAt - loadStartedAt;
+            onChunk(chunk.length - (rejects ? rejects.rows.length : 0), total, {
+                bytes,
+                durationMs: fetchMs + loadedAt - loadStartedAt,
+            });
 
-            offset += chunkSize;
+            if (!pipeline) {
+                pending = fetchNext(lastKey);
+            }
 
-            if (db2Count > 0) {
-                const percent = ((totalFetched / db2Count) * 100).toFixed(2);
-                spinner.text = `📥 Fetched & inserted ${totalFetched}/${db2Count} records (${percent}%)`;
+            const rate = rowsPerSecond(totalFetched, Date.now() - startedAt);
+            if (total > 0) {
+                const percent = ((totalFetched / total) * 100).toFixed(2);
+                progress.update(`📥 ${label}: fetched & inserted ${totalFetched}/${total} records (${percent}%, ${rate} rows/s)`);
             } else {
-                spinner.text = `📥 Fetched & inserted ${totalFetched} records (total unknown)`;
+                progress.update(`📥 ${label}: fetched & inserted ${totalFetched} records (total unknown, ${rate} rows/s)`);
             }
         } catch (error) {
-            spinner.fail(`⚠️ Error processing ${schema}.${table}: ${error.message}`);
-            console.error(error);
-            break;
+            progress.fail(`⚠️ Error processing ${label}: ${error.message}`);
+            if (cursor) cursor.close();
+            throw error;
         }
     }
 
-    spinner.succeed(`✅ Finished replicating ${schema}.${table} (${totalFetched} records)`);
+    if (cursor) cursor.close();
+    const method = spec.loadMethod;
+    progress.succeed(
+        `✅ Finished replicating ${label} (${totalFetched} records, ` +
+        `${rowsPerSecond(totalFetched, Date.now() - startedAt)} rows/s overall, ` +
+        `${rowsPerSecond(totalFetched, loadMs)} rows/s loading via ${method})`
+    );
 }
 
 /**
- * Replicate a view by creating a regular view in PostgreSQL.
+ * Throughput in rows per second, rounded for display.
  */
-async function replicateView(db2, pgClient, schema, viewName) {
-    console.log(chalk.blue(`🔄 Creating view: ${schema}.${viewName}`));
+function rowsPerSecond(rows, elapsedMs) {
+    return elapsedMs > 0 ? Math.round(rows / (elapsedMs / 1000)) : rows;
+}
+
+/**
+ * Replicate a view according to its view mode. A view or materialized view is created
+ * from the translated DB2 definition; views with constructs that cannot be translated
+ * are reported and skipped. In table mode the rows of the DB2 view are loaded like
+ * those of a table. Returns the result of the view (see startResult), reported by a
+ * viewCreated event when it succeeded.
+ */
+async function replicateView(db2, pgClient, spec, { runId, dryRun = false, events }) {
+    const { schema, table: viewName } = spec.target;
+    const name = specName(spec);
+    const result = { ...startResult('view', spec), mode: spec.mode };
+    const failed = (message, error = new Error(message)) => {
+        emitError(events, name, error);
+        return finishResult({ ...result, status: 'failed', error: message });
+    };
     try {
-        const viewDefinition = await getViewDefinition(db2, schema.toUpperCase(), viewName.toUpperCase());
-        await createView(pgClient, schema, viewName, viewDefinition);
-        console.log(chalk.green(`✅ View created: ${schema}.${viewName}`));
+        if (spec.mode === 'table') {
+            console.log(chalk.blue(`🔄 Loading view ${name} into a table`));
+            await replaceRelationOfOtherKind(pgClient, schema, viewName, spec.mode);
+            result.action = await replicateTable(db2, pgClient, spec, { runId, dryRun, onChunk: chunkReporter(result, events) });
+        } else {
+            console.log(chalk.blue(`🔄 Creating ${spec.mode === 'materialized' ? 'materialized view' : 'view'}: ${name}`));
+            const definition = await source.getViewDefinition(db2, spec.source.schema, spec.source.table);
+            if (!definition) {
+                console.error(chalk.red(`❌ View ${name} not found in DB2`));
+                return failed('not found in DB2');
+            }
+
+            const { sql, columns, issues } = translateViewDefinition(definition.text);
+            if (issues.length > 0) {
+                console.error(chalk.red(`❌ View ${name} cannot be translated to PostgreSQL:`));
+                issues.forEach(issue => console.error(chalk.red(`   • ${issue}`)));
+                console.error(chalk.red(`   Set its mode to "table" to replicate its rows instead`));
+                return failed(`cannot be translated: ${issues.join('; ')}`);
+            }
+
+            await replaceRelationOfOtherKind(pgClient, schema, viewName, spec.mode);
+            if (spec.mode === 'materialized') {
+                await target.createMaterializedView(pgClient, schema, viewName, sql, columns, definition.qualifier);
+            } else {
+                await target.createView(pgClient, schema, viewName, sql, columns, definition.qualifier);
+            }
+            result.action = dryRun ? 'planned' : 'created';
+        }
     } catch (error) {
-        console.error(chalk.red(`❌ Failed to create view for ${schema}.${viewName}: ${error.message}`));
+        console.error(chalk.red(`❌ Failed to replicate view ${name}: ${error.message}`));
+        return failed(error.message, error);
     }
-}
\ No newline at end of file
+    const finished = finishResult(result);
+    events.emit('viewCreated', finished);
+    return finished;
+}
+
+/**
+ * Drop the relation a view was replicated as before, when its view mode changed.
+ */
+async function replaceRelationOfOtherKind(pgClient, schema, name, kind) {
+    const existing = await target.getRelationKind(pgClient, schema, name);
+    if (existing && existing !== kind) {
+        await target.dropRelation(pgClient, schema, name, existing);
+    }
+}
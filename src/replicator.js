@@ -0,0 +1,108 @@
+// src/replicator.js
+
+import { EventEmitter } from 'node:events';
+import { createConfig, withConfig, ConfigError } from './config.js';
+import { withAdapters, db2Source, postgresTarget } from './adapters.js';
+import { pgPoolSize } from './postgres.js';
+import { replicateAll, resetSchemas } from './replicate.js';
+import { verifyAll } from './verify.js';
+import { syncAll, teardownCapture } from './sync.js';
+
+export { ConfigError, db2Source, postgresTarget };
+export { createMemorySource } from './memorysource.js';
+
+/**
+ * Replication of DB2 tables and views into PostgreSQL, for embedding in other
+ * applications. The settings are shaped like the configuration file and validated
+ * up front, throwing a ConfigError; the environment is not consulted.
+ *
+ * Connections are opened through the `connectDb2` and `connectPostgres` factories
+ * (see connections.js). Without them, connections to the configured databases are
+ * opened, PostgreSQL ones from a pool that lives for one call.
+ *
+ * The `source` and `target` adapters (see adapters.js) replace DB2 and PostgreSQL,
+ * e.g. with the in-memory source of memorysource.js; connections are then opened
+ * through the adapters' `connect` and `createPool`.
+ *
+ * Events, all carrying plain objects:
+ * - tableStarted  `{ name, source, target }`
+ * - chunkLoaded   `{ name, rows, totalRows, expectedRows, bytes, durationMs }` for tables and
+ *                 views loaded as tables, see copyRows in replicate.js
+ * - tableFinished the table's result, `{ kind, name, source, target, status, action, rows, bytes, deleted, rejected, durationMs, error }`
+ * - viewCreated   the view's result, like a table's with its `mode`
+ * - changesApplied `{ name, upserted, deleted }` per table and batch of captured changes
+ * - error         `{ name, error }` for every table or view that failed, or batch of changes
+ *                 that could not be applied, only when listened to
+ *
+ * Failing tables and views do not reject a run; they are reported in its result.
+ */
+export class Replicator extends EventEmitter {
+    constructor(settings, { connectDb2 = null, connectPostgres = null, source = db2Source, target = postgresTarget } = {}) {
+        super();
+        this.config = createConfig(settings);
+        this.connectDb2 = connectDb2;
+        this.connectPostgres = connectPostgres;
+        this.source = source;
+        this.target = target;
+    }
+
+    /**
+     * Replicate the configured tables and views, or those matching `selectors`.
+     * Resolves to `{ runId, tables, views, verification }` with one result per object.
+     */
+    run({ selectors = [], dryRun = false } = {}) {
+        return this.session(connections => replicateAll({ selectors, dryRun, connections, events: this }));
+    }
+
+    /**
+     * Verify the configured tables, or those matching `selectors`, against DB2.
+     * Resolves to the verification result per table.
+     */
+    verify({ selectors = [] } = {}) {
+        return this.session(connections => verifyAll({ selectors, connections }));
+    }
+
+    /**
+     * Capture changes of the configured tables, or those matching `selectors`, and
+     * apply them until `signal` is aborted; with `once` only the pending changes.
+     * Resolves to the rows applied per table.
+     */
+    sync({ selectors = [], once = false, signal = null } = {}) {
+        return this.session(connections => syncAll({ selectors, once, signal, connections, events: this }));
+    }
+
+    /**
+     * Remove change capture from the tables matching `selectors`, or from all tables.
+     * Resolves to the tables no longer captured.
+     */
+    teardown({ selectors = [] } = {}) {
+        return this.session(connections => teardownCapture({ selectors, connections }));
+    }
+
+    /**
+     * Drop the given target schemas, or all configured ones, with their watermarks.
+     * Resolves to the schemas reset.
+     */
+    reset({ schemas = [], dryRun = false } = {}) {
+        return this.session(connections => resetSchemas({ schemas, dryRun, connections }));
+    }
+
+    // Run `fn` with this replicator's configuration, adapters and connection factories
+    session(fn) {
+        return withConfig(this.config, () => withAdapters({ source: this.source, target: this.target }, async () => {
+            let pool = null;
+            const connections = {
+                connectDb2: this.connectDb2 || (() => this.source.connect(this.config.db2)),
+                connectPostgres: this.connectPostgres || (() => {
+                    pool = pool || this.target.createPool(this.config.postgres, pgPoolSize(this.config.replication));
+                    return pool.connect();
+                }),
+            };
+            try {
+                return await fn(connections);
+            } finally {
+                if (pool) await pool.end();
+            }
+        }));
+    }
+}
@@ -0,0 +1,95 @@
+// src/retry.js
+
+import { setTimeout as sleep } from 'node:timers/promises';
+import chalk from 'chalk';
+import config from './config.js';
+
+// Socket errors of Node.js, raised by pg and by connection attempts
+const SOCKET_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN'];
+// SQLSTATEs of both databases after which the connection is lost: the connection
+// exception class, PostgreSQL shutting down or not accepting connections yet
+const CONNECTION_STATES = [/^08/, /^57P0[123]$/];
+// SQLSTATEs of failures that pass when tried again: deadlocks, serialization failures,
+// lock timeouts and resources that are temporarily unavailable
+const TRANSIENT_STATES = [/^40001$/, /^40003$/, /^40P01$/, /^55P03$/, /^53300$/, /^57011$/, /^57033$/];
+// DB2 messages of lost connections (communication error, client reroute) and of
+// transient ones (deadlock or lock timeout, resource not available)
+const DB2_CONNECTION_MESSAGES = /\bSQL(30081|30108|1224)N\b/;
+const DB2_TRANSIENT_MESSAGES = /\bSQL(0911|0913|0904)N\b/;
+const PG_CONNECTION_MESSAGES = /Connection terminated|connection.*(closed|lost)|Client has encountered a connection error/i;
+
+// SQLSTATE of an error: `code` for pg, `state` for ibm_db
+function sqlState(error) {
+    const state = error.state || (typeof error.code === 'string' && /^[0-9A-Z]{5}$/.test(error.code) ? error.code : null);
+    return state ? String(state).trim() : null;
+}
+
+/**
+ * True when an error means the connection it happened on is lost and has to be
+ * replaced before trying again.
+ */
+export function isConnectionError(error) {
+    if (!error) return false;
+    if (SOCKET_ERROR_CODES.includes(error.code)) return true;
+    const state = sqlState(error);
+    if (state && CONNECTION_STATES.some(pattern => pattern.test(state))) return true;
+    const message = String(error.message || '');
+    return DB2_CONNECTION_MESSAGES.test(message) || PG_CONNECTION_MESSAGES.test(message);
+}
+
+/**
+ * True when an operation that failed with the error may succeed when tried again:
+ * lost connections, deadlocks, lock timeouts and the like. Any other error, such
+ * as a syntax error or a constraint violation, is permanent.
+ */
+export function isTransientError(error) {
+    if (!error) return false;
+    if (isConnectionError(error)) return true;
+    const state = sqlState(error);
+    if (state && TRANSIENT_STATES.some(pattern => pattern.test(state))) return true;
+    return DB2_TRANSIENT_MESSAGES.test(String(error.message || ''));
+}
+
+/**
+ * True when PostgreSQL rejected the values of a row: data exceptions such as invalid
+ * dates, numeric overflow or NUL bytes in text (class 22), and integrity constraint
+ * violations (class 23). Loading the other rows alone succeeds.
+ */
+export function isDataError(error) {
+    const state = error ? sqlState(error) : null;
+    return Boolean(state && /^2[23]/.test(state));
+}
+
+/**
+ * Delay before retry number `attempt` (from 1): exponential from the initial delay up
+ * to the maximum delay, with jitter so that parallel lanes do not retry in lockstep.
+ */
+export function backoffDelay(attempt, { initialDelay, maxDelay } = config.retry) {
+    const delay = Math.min(maxDelay, initialDelay * 2 ** (attempt - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Call `fn` until it succeeds, retrying transient failures up to the configured number
+ * of attempts with backoff in between. `recover` is awaited before every retry with the
+ * error, e.g. to reconnect after a lost connection. Permanent errors, and the last
+ * transient one when the attempts run out, are thrown.
+ */
+export async function withRetry(fn, { label = 'operation', recover = async () => {} } = {}) {
+    const { attempts } = config.retry;
+    let lastError = null;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            // A failing recovery counts as a failed attempt
+            if (lastError) await recover(lastError);
+            return await fn();
+        } catch (error) {
+            if (attempt >= attempts || !isTransientError(error)) throw error;
+            lastError = error;
+            const delay = backoffDelay(attempt);
+            console.error(chalk.yellow(`⚠️ ${label} failed (${error.message}), retrying in ${delay}ms ` +
+                `(attempt ${attempt + 1} of ${attempts})`));
+            await sleep(delay);
+        }
+    }
+}
@@ -0,0 +1,116 @@
+// src/streaming.js
+
+import { toCopyCsvField } from './utils.js';
+
+/*
+ * Memory bounds of a load. Chunks end after CHUNK_SIZE rows or once their values add up
+ * to CHUNK_BYTES, whichever comes first, and at most two chunks are held at a time (the
+ * one being written and, with PIPELINE, the one fetched meanwhile). LOB values larger
+ * than LOB_INLINE_SIZE are not fetched with their row: the row carries a StreamedValue
+ * instead, whose pieces of LOB_INLINE_SIZE characters or bytes are read from DB2 one at
+ * a time while COPY writes them, so memory stays flat however large the values get.
+ */
+
+// Types of values that are streamed when large, XML being serialized to text
+const LOB_TYPES = ['CLOB', 'DBCLOB', 'BLOB', 'XML'];
+
+// Bytes counted per value on top of its data, for the objects holding it
+const VALUE_OVERHEAD = 16;
+
+// Binary pieces come as Buffers, or as strings of bytes depending on the driver
+const toBytes = (piece) => (Buffer.isBuffer(piece) ? piece : Buffer.from(piece, 'latin1'));
+
+/**
+ * A value too large to be held in memory, read in pieces (strings, or Buffers when
+ * `binary`) from `read()`, an async iterable that can be read again, e.g. when a
+ * chunk is loaded a second time.
+ */
+export class StreamedValue {
+    constructor({ column, length, binary = false, read }) {
+        this.column = column;
+        this.length = length;
+        this.binary = binary;
+        this.read = read;
+    }
+
+    /**
+     * The same value with `fn` applied to every piece.
+     */
+    mapPieces(fn) {
+        const read = this.read;
+        return new StreamedValue({
+            ...this,
+            read: async function* () {
+                for await (const piece of read()) yield fn(piece);
+            },
+        });
+    }
+
+    /**
+     * Read the whole value into memory.
+     */
+    async materialize() {
+        const pieces = [];
+        for await (const piece of this.read()) pieces.push(piece);
+        return this.binary ? Buffer.concat(pieces.map(toBytes)) : pieces.join('');
+    }
+
+    // Dead letters and logs show the size instead of the value
+    toJSON() {
+        return `<streamed ${this.column}, ${this.length} ${this.binary ? 'bytes' : 'characters'}>`;
+    }
+}
+
+/**
+ * Whether the values of a column are streamed when larger than LOB_INLINE_SIZE: LOB
+ * and XML columns, unless masked or transformed, which needs the whole value.
+ */
+export function streamsLob(spec, column) {
+    return LOB_TYPES.includes(column.db2Type) && !column.expression && !spec.transforms[column.name];
+}
+
+/**
+ * Estimate the memory a row takes by the size of its values.
+ */
+export function estimateRowBytes(row) {
+    let bytes = 0;
+    for (const value of Object.values(row)) {
+        if (typeof value === 'string' || Buffer.isBuffer(value)) {
+            bytes += value.length;
+        } else if (value !== null && value !== undefined && !(value instanceof StreamedValue)) {
+            bytes += 8;
+        }
+        bytes += VALUE_OVERHEAD;
+    }
+    return bytes;
+}
+
+/**
+ * Encode a row as PostgreSQL's CSV COPY format like toCopyCsvLine, yielding streamed
+ * values piece by piece.
+ */
+export async function* toCopyCsvPieces(row, columns) {
+    let line = '';
+    for (const [index, col] of columns.entries()) {
+        const value = row[col.name];
+        if (index > 0) line += ',';
+        if (!(value instanceof StreamedValue)) {
+            line += toCopyCsvField(value);
+            continue;
+        }
+        yield line + (value.binary ? '\\x' : '"');
+        line = '';
+        for await (const piece of value.read()) {
+            yield value.binary ? toBytes(piece).toString('hex') : piece.replace(/"/g, '""');
+        }
+        if (!value.binary) line = '"';
+    }
+    yield `${line}\n`;
+}
+
+/**
+ * Whether a row holds streamed values.
+ */
+export function hasStreamedValues(row) {
+    return Object.values(row).some(value => value instanceof StreamedValue);
+}
@@ -0,0 +1,227 @@
+// src/sync.js
+
+import { EventEmitter } from 'node:events';
+import { setTimeout as sleep } from 'node:timers/promises';
+import chalk from 'chalk';
+import config from './config.js';
+import { MAX_CAPTURED_KEY_COLUMNS } from './capture.js';
+import { createRowTransform } from './transform.js';
+import { startMetrics } from './metrics.js';
+import { configuredConnections, openDb2, openPostgres, reconnectAfter } from './connections.js';
+import {
+    resolveTables,
+    selectSpecs,
+    getSourceColumns,
+    assertKeyColumnsReplicated,
+    specFilter,
+    specName,
+    sourceKey,
+} from './tables.js';
+import { source, target, supportsCapture } from './adapters.js';
+
+/**
+ * Install the capture triggers on the tables. Returns the captured tables as
+ * `{ spec, columns, primaryKeys, keyColumns, transformRow }`, the transform of their
+ * rows as built by createRowTransform; tables without a primary key, or whose
+ * triggers cannot be installed, are reported and left out.
+ */
+async function captureTables(db2, specs) {
+    const captureSchema = config.cdc.schema;
+    await source.ensureChangeLog(db2, captureSchema);
+
+    const captured = [];
+    for (const spec of specs) {
+        const name = specName(spec);
+        try {
+            const columns = await getSourceColumns(db2, spec);
+            const primaryKeys = await source.getPrimaryKeys(db2, spec.source.schema, spec.source.table);
+            if (!columns.length) {
+                console.log(chalk.red(`⚠️ Skipping ${name} (no columns found)`));
+                continue;
+            }
+            if (primaryKeys.length === 0 || primaryKeys.length > MAX_CAPTURED_KEY_COLUMNS) {
+                const reason = primaryKeys.length === 0 ? 'no primary key' : `more than ${MAX_CAPTURED_KEY_COLUMNS} key columns`;
+                console.log(chalk.yellow(`⚠️ Skipping ${name}: changes of tables with ${reason} cannot be captured`));
+                continue;
+            }
+            assertKeyColumnsReplicated(spec, columns, primaryKeys);
+            const keyColumns = primaryKeys.map(pk => columns.find(col => col.name === pk));
+            await source.installCaptureTriggers(db2, captureSchema, spec.source.schema, spec.source.table, keyColumns);
+            const transformRow = await createRowTransform(spec, columns);
+            captured.push({ spec, columns, primaryKeys, keyColumns, transformRow });
+        } catch (error) {
+            console.error(chalk.red(`❌ Cannot capture changes of ${name}: ${error.message}`));
+        }
+    }
+    return captured;
+}
+
+/**
+ * Apply one batch of change log entries to PostgreSQL, then purge them from the log.
+ * Every logged row is synced to its current state in DB2: upserted when it exists,
+ * deleted otherwise. Entries are applied in log order, consecutive ones of the same
+ * table together, and a row logged several times is synced once, at its first entry.
+ * Adds the rows applied to `totals` and returns the number of entries applied.
+ */
+async function applyChanges(db2, pgClient, captured, totals, events) {
+    const captureSchema = config.cdc.schema;
+    const tablesByKey = new Map(captured.map(entry => [sourceKey(entry.spec.source.schema, entry.spec.source.table), entry]));
+    const entries = await source.readChangeLog(db2, captureSchema, captured.map(({ spec }) => spec.source), config.cdc.batchSize);
+    if (entries.length === 0) return 0;
+
+    const states = new Map();
+    for (const [tableKey, { spec, columns, keyColumns }] of tablesByKey) {
+        const seqs = entries.filter(entry => sourceKey(entry.schema, entry.table) === tableKey).map(entry => entry.seq);
+        if (seqs.length === 0) continue;
+        const rows = await source.fetchChangedRows(db2, captureSchema, spec.source.schema, spec.source.table, columns, keyColumns,
+            Math.min(...seqs), Math.max(...seqs), specFilter(spec));
+        rows.forEach(state => states.set(state.seq, state));
+    }
+
+    const synced = new Set();
+    const runs = [];
+    for (const entry of entries) {
+        const state = states.get(entry.seq);
+        const tableKey = sourceKey(entry.schema, entry.table);
+        const rowKey = `${tableKey} ${JSON.stringify(entry.key)}`;
+        // Entries purged meanwhile, e.g. by a teardown, have no state
+        if (!state || synced.has(rowKey)) continue;
+        synced.add(rowKey);
+
+        const action = state.row ? 'upsert' : 'delete';
+        const last = runs[runs.length - 1];
+        if (last && last.tableKey === tableKey && last.action === action) {
+            last.states.push(state);
+        } else {
+            runs.push({ tableKey, action, states: [state] });
+        }
+    }
+
+    const applied = new Map();
+    for (const { tableKey, action, states: runStates } of runs) {
+        const { spec, columns, primaryKeys, transformRow } = tablesByKey.get(tableKey);
+        const { schema, table } = spec.target;
+        const counts = applied.get(tableKey) || { name: specName(spec), upserted: 0, deleted: 0 };
+        if (action === 'upsert') {
+            const rows = runStates.map(state => (transformRow ? transformRow(state.row) : state.row));
+            await target.upsertRows(pgClient, schema, table, columns, primaryKeys, rows, spec.loadMethod);
+            counts.upserted += runStates.length;
+        } else {
+            await target.deleteRows(pgClient, schema, table, primaryKeys, runStates.map(state => state.key));
+            counts.deleted += runStates.length;
+        }
+        applied.set(tableKey, counts);
+    }
+
+    await source.purgeChangeLog(db2, captureSchema, entries.map(entry => entry.seq));
+
+    for (const counts of applied.values()) {
+        const total = totals.get(counts.name);
+        total.upserted += counts.upserted;
+        total.deleted += counts.deleted;
+        console.log(chalk.green(`🔄 ${counts.name}: ${counts.upserted} upserted, ${counts.deleted} deleted`));
+        events.emit('changesApplied', counts);
+    }
+    return entries.length;
+}
+
+// Capture needs triggers and a change log in the source database
+function assertCaptureSupported() {
+    if (!supportsCapture()) {
+        throw new Error('The source adapter does not support change capture');
+    }
+}
+
+/**
+ * Keep the PostgreSQL tables in sync with DB2 through change capture. Capture triggers
+ * are installed on the configured tables, or those matching `selectors`, then pending
+ * changes are applied every CDC poll interval until `signal` is aborted. With `once`
+ * the pending changes are applied and the sync returns. A batch that fails to apply
+ * stays in the change log and is retried at the next poll, over new connections when
+ * they were lost.
+ *
+ * The tables need to be replicated once, e.g. by a run right after capture was set up;
+ * changes logged meanwhile are applied on top, since applying is idempotent.
+ * Every poll that succeeds keeps all tables current, as exported to the metrics
+ * (see metrics.js). Returns the rows applied per table, `[{ name, upserted, deleted }]`.
+ */
+export async function syncAll({
+    selectors = [],
+    once = false,
+    signal = null,
+    connections = configuredConnections(),
+    events = new EventEmitter(),
+} = {}) {
+    assertCaptureSupported();
+    const db2 = await openDb2(connections);
+    const pgClient = await openPostgres(connections);
+    let metrics = null;
+    try {
+        const { tables } = selectSpecs(selectors, await resolveTables(db2, config.replication.tables));
+        const captured = await captureTables(db2, tables);
+        const totals = new Map(captured.map(({ spec }) => [specName(spec), { name: specName(spec), upserted: 0, deleted: 0 }]));
+        if (captured.length === 0) {
+            console.log(chalk.yellow('⚠️ No tables to sync'));
+            return [];
+        }
+
+        metrics = await startMetrics(events);
+        await metrics.track(pgClient, captured.map(({ spec }) => spec));
+        const { pollInterval, batchSize } = config.cdc;
+        console.log(chalk.blue(`🔄 Syncing ${captured.length} table(s)${once ? '' : `, polling every ${pollInterval}s`}...`));
+        while (!(signal && signal.aborted)) {
+            let applied = 0;
+            try {
+                applied = await applyChanges(db2, pgClient, captured, totals, events);
+                await metrics.refreshed();
+            } catch (error) {
+                if (once) throw error;
+                console.error(chalk.red(`❌ Failed to apply changes, retrying in ${pollInterval}s: ${error.message}`));
+                if (events.listenerCount('error') > 0) {
+                    events.emit('error', { name: 'sync', error });
+                }
+                // Either connection may be the lost one; a failed reconnect is tried again next poll
+                await Promise.allSettled([reconnectAfter(db2)(error), reconnectAfter(pgClient)(error)]);
+            }
+            // A full batch means more changes are waiting
+            if (applied === batchSize) continue;
+            if (once) break;
+            await sleep(pollInterval * 1000, undefined, { signal }).catch(() => {});
+        }
+        console.log(chalk.green('🎉 Sync stopped'));
+        return [...totals.values()];
+    } finally {
+        if (metrics) await metrics.stop();
+        pgClient.release();
+        db2.close();
+    }
+}
+
+/**
+ * Remove the capture triggers from the configured tables matching `selectors`, or,
+ * without selectors, from every captured table along with the change log.
+ * Pending changes of those tables are discarded. Returns the tables no longer captured.
+ */
+export async function teardownCapture({ selectors = [], connections = configuredConnections() } = {}) {
+    assertCaptureSupported();
+    const captureSchema = config.cdc.schema;
+    const db2 = await openDb2(connections);
+    try {
+        let tables = await source.listCapturedTables(db2, captureSchema);
+        if (selectors.length > 0) {
+            const selected = selectSpecs(selectors, await resolveTables(db2, config.replication.tables)).tables;
+            const keys = new Set(selected.map(spec => sourceKey(spec.source.schema, spec.source.table)));
+            tables = tables.filter(({ schema, table }) => keys.has(sourceKey(schema, table)));
+        }
+
+        for (const { schema, table } of tables) {
+            await source.dropCaptureTriggers(db2, captureSchema, schema, table);
+        }
+        if (selectors.length === 0) {
+            await source.dropChangeLog(db2, captureSchema);
+        }
+        return tables.map(({ schema, table }) => `${schema}.${table}`);
+    } finally {
+        db2.close();
+    }
+}
@@ -0,0 +1,192 @@
+// src/tables.js
+
+import config, { ConfigError } from './config.js';
+import chalk from 'chalk';
+import { source } from './adapters.js';
+
+/*
+ * Table specs describe one replicated table or view: its DB2 source, the PostgreSQL
+ * target it is written to and the settings it is replicated with, the per-table
+ * settings of the configuration falling back to the global ones.
+ */
+
+const upperKeys = (map = {}) => Object.fromEntries(Object.entries(map).map(([key, value]) => [key.toUpperCase(), value]));
+
+/**
+ * Key of a DB2 object as used by the per-table settings, "<SCHEMA>.<TABLE>".
+ */
+export function sourceKey(schema, table) {
+    return `${schema.toUpperCase()}.${table.toUpperCase()}`;
+}
+
+/**
+ * Build the spec of one table from its configuration entry. `schema` and `table` are
+ * the names as configured, or as listed by DB2 for tables matched by a wildcard.
+ */
+export function tableSpec(entry, schema, table) {
+    const key = sourceKey(schema, table);
+    const overrides = config.replication.tableSettings[key] || {};
+    const target = entry.target || {};
+    const columns = entry.columns || {};
+    const changeColumn = overrides.changeColumn || entry.changeColumn;
+
+    return {
+        source: { schema: schema.toUpperCase(), table: table.toUpperCase() },
+        target: { schema: target.schema || schema, table: target.table || table },
+        chunkSize: entry.chunkSize || config.replication.chunkSize,
+        chunkBytes: entry.chunkBytes || config.replication.chunkBytes,
+        ranges: entry.ranges || config.replication.ranges,
+        rangeStrategy: entry.rangeStrategy || config.replication.rangeStrategy,
+        mode: entry.mode || config.replication.mode,
+        loadMethod: entry.loadMethod || config.replication.loadMethod,
+        changeColumn: changeColumn ? changeColumn.toUpperCase() : null,
+        deletes: entry.deletes || config.replication.deletes,
+        maxDeletePercent: entry.maxDeletePercent ?? config.replication.maxDeletePercent,
+        maxRejectedRows: entry.maxRejectedRows ?? config.deadLetter.maxRows,
+        freshnessSla: entry.freshnessSla || config.metrics.freshnessSla || null,
+        where: entry.where || null,
+        includeColumns: columns.include ? columns.include.map(col => col.toUpperCase()) : null,
+        excludeColumns: (columns.exclude || []).map(col => col.toUpperCase()),
+        masks: upperKeys(entry.masks),
+        columnTypes: { ...upperKeys(entry.columnTypes), ...overrides.columnTypes },
+        normalize: { ...config.replication.normalize, ...entry.normalize },
+        transforms: upperKeys(entry.transforms),
+    };
+}
+
+// Matches a DB2 name against a pattern where * stands for any characters
+function matchesPattern(pattern, name) {
+    const escaped = pattern.toUpperCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`).test(name.toUpperCase());
+}
+
+/**
+ * Resolve the configured table entries into table specs. Sources like "SALES.*" are
+ * matched against the tables of the schema in SYSCAT.TABLES, minus the `exclude`
+ * patterns. A table matched by several entries takes the settings of the last one,
+ * so specific entries can follow a wildcard to refine it.
+ */
+export async function resolveTables(db2, entries) {
+    const specs = new Map();
+    for (const entry of entries) {
+        const [schema, tablePattern] = entry.source.split('.');
+        let tables = [tablePattern];
+        if (tablePattern.includes('*')) {
+            const exclusions = entry.exclude || [];
+            tables = (await source.listTables(db2, schema.toUpperCase()))
+                .filter(name => matchesPattern(tablePattern, name))
+                .filter(name => !exclusions.some(pattern => matchesPattern(pattern, name)));
+            if (tables.length === 0) {
+                console.log(chalk.yellow(`⚠️ No DB2 tables match ${entry.source}`));
+            }
+        }
+        for (const table of tables) {
+            specs.set(sourceKey(schema, table), tableSpec(entry, schema, table));
+        }
+    }
+    return [...specs.values()];
+}
+
+/**
+ * Resolve the configured view entries into specs, carrying the view mode.
+ */
+export function resolveViews(entries) {
+    return entries.map(entry => {
+        const [schema, view] = entry.source.split('.');
+        const overrides = config.replication.viewSettings[sourceKey(schema, view)] || {};
+        return { ...tableSpec(entry, schema, view), mode: overrides.mode || entry.mode || 'view' };
+    });
+}
+
+// Whether a spec matches a command-line selector: "<schema>.<table>" with * wildcards,
+// compared with the DB2 source and the PostgreSQL target, or a bare table name
+function matchesSelector(spec, selector) {
+    const names = selector.includes('.')
+        ? [`${spec.source.schema}.${spec.source.table}`, `${spec.target.schema}.${spec.target.table}`]
+        : [spec.source.table, spec.target.table];
+    return names.some(name => matchesPattern(selector, name));
+}
+
+/**
+ * Narrow the table and view specs to those matching one of the selectors; without
+ * selectors everything stays selected. Throws a ConfigError for selectors that match
+ * nothing, so a mistyped name does not silently replicate nothing.
+ */
+export function selectSpecs(selectors, tables, views = []) {
+    if (selectors.length === 0) return { tables, views };
+
+    const unmatched = selectors.filter(selector => ![...tables, ...views].some(spec => matchesSelector(spec, selector)));
+    if (unmatched.length > 0) {
+        throw new ConfigError(unmatched.map(selector => `${selector}: matches no configured table or view`));
+    }
+    const selected = (spec) => selectors.some(selector => matchesSelector(spec, selector));
+    return { tables: tables.filter(selected), views: views.filter(selected) };
+}
+
+/**
+ * The PostgreSQL schemas the configured tables and views are written to.
+ */
+export function configuredTargetSchemas() {
+    const entries = [...config.replication.tables, ...config.replication.views];
+    return [...new Set(entries.map(entry => (entry.target && entry.target.schema) || entry.source.split('.')[0]))];
+}
+
+/**
+ * Display name of a spec, the PostgreSQL target along with a differing DB2 source.
+ */
+export function specName(spec) {
+    const target = `${spec.target.schema}.${spec.target.table}`;
+    const source = `${spec.source.schema}.${spec.source.table}`;
+    return target.toUpperCase() === source ? target : `${target} (from ${source})`;
+}
+
+/**
+ * Read the columns replicated for a table: the DB2 columns narrowed to the included
+ * ones, with masked columns carrying their masking expression and configured
+ * PostgreSQL types replacing the mapped ones.
+ */
+export async function getSourceColumns(db2, spec) {
+    const name = specName(spec);
+    let columns = await source.getColumns(db2, spec.source.schema, spec.source.table);
+    if (!columns.length) return columns;
+
+    const known = new Set(columns.map(col => col.name));
+    const unknown = (settingName, names) => names.filter(col => !known.has(col))
+        .forEach(col => console.log(chalk.yellow(`⚠️ ${settingName} of unknown column ${name}.${col} ignored`)));
+
+    if (spec.includeColumns) {
+        unknown('Include', spec.includeColumns);
+        columns = columns.filter(col => spec.includeColumns.includes(col.name));
+    }
+    unknown('Exclude', spec.excludeColumns);
+    columns = columns.filter(col => !spec.excludeColumns.includes(col.name));
+
+    unknown('Mask', Object.keys(spec.masks));
+    unknown('Type override', Object.keys(spec.columnTypes));
+    unknown('Transform', Object.keys(spec.transforms));
+    for (const column of columns) {
+        if (spec.masks[column.name]) column.expression = spec.masks[column.name];
+        if (spec.columnTypes[column.name]) column.type = spec.columnTypes[column.name];
+    }
+    return columns;
+}
+
+/**
+ * The WHERE filter of a spec as `{ where, params }`, or null when all rows are replicated.
+ */
+export function specFilter(spec) {
+    return spec.where ? { where: `(${spec.where})`, params: [] } : null;
+}
+
+/**
+ * Throw when a column the rows are paged or tracked by is excluded, masked or transformed.
+ */
+export function assertKeyColumnsReplicated(spec, columns, keyColumns) {
+    for (const keyColumn of keyColumns) {
+        const column = columns.find(col => col.name === keyColumn);
+        if (!column || column.expression || spec.transforms[keyColumn]) {
+            const reason = !column ? 'excluded' : column.expression ? 'masked' : 'transformed';
+            throw new Error(`Key column ${keyColumn} of ${specName(spec)} cannot be ${reason}`);
+        }
+    }
+}
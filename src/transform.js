@@ -0,0 +1,162 @@
+// src/transform.js
+
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { StreamedValue } from './streaming.js';
+
+/*
+ * Transforms bring the values fetched from DB2 into the form written to PostgreSQL.
+ * The built-in normalisers, switched per table by the `normalize` settings, run first:
+ *
+ * - trimChar: trailing blanks of CHAR and GRAPHIC values are removed
+ * - timestamps: TIMESTAMP values with up to 12 fractional digits are rounded to the
+ *   microseconds PostgreSQL keeps, as "YYYY-MM-DD HH:MM:SS.ffffff"
+ * - nullDates: DATE and TIMESTAMP values on one of these dates, sentinels such as
+ *   0001-01-01, become NULL in nullable columns
+ * - encoding: in text values NUL characters, which PostgreSQL rejects, are removed and
+ *   unpaired UTF-16 surrogates, which have no UTF-8 encoding, replaced by U+FFFD
+ * - binary: binary and FOR BIT DATA values that arrive as hex or byte strings become
+ *   Buffers, written as bytea
+ *
+ * Streamed LOB values (see streaming.js) only get their encoding fixed, piece by piece.
+ *
+ * The `transforms` of a table then apply per column, each a function called with the
+ * value, the row and the column and returning the value to write. In a configuration
+ * file a transform names a built-in one (see COLUMN_TRANSFORMS) or a JavaScript module
+ * as "<file>#<export>", resolved against the working directory, the default export
+ * being used without "#<export>".
+ */
+
+const FIXED_LENGTH_TYPES = ['CHARACTER', 'CHAR', 'GRAPHIC'];
+const CHARACTER_TYPES = ['CHARACTER', 'CHAR', 'VARCHAR', 'LONG VARCHAR'];
+const TEXT_TYPES = [...CHARACTER_TYPES, 'GRAPHIC', 'VARGRAPHIC', 'LONG VARGRAPHIC', 'CLOB', 'DBCLOB'];
+const BINARY_TYPES = ['BINARY', 'VARBINARY', 'BLOB'];
+const DATE_TYPES = ['DATE', 'TIMESTAMP'];
+
+const isBitData = (column) => CHARACTER_TYPES.includes(column.db2Type) && (column.codepage === 0 || column.codepage === '0');
+const isBinary = (column) => BINARY_TYPES.includes(column.db2Type) || isBitData(column);
+const isText = (column) => TEXT_TYPES.includes(column.db2Type) && !isBitData(column);
+
+const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+/**
+ * Round a DB2 timestamp, in ISO or DB2 notation ("YYYY-MM-DD-HH.MM.SS.ffffff"), to
+ * microseconds. Other values are returned unchanged.
+ */
+function roundTimestamp(value) {
+    const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})[ T-](\d{2})[:.](\d{2})[:.](\d{2})(?:\.(\d+))?$/);
+    if (!match) return value;
+    const [, year, month, day, hours, minutes, seconds, fraction] = match;
+    if (fraction === undefined) return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+
+    const digits = fraction.padEnd(7, '0');
+    const micros = parseInt(digits.slice(0, 6), 10) + (+digits[6] >= 5 ? 1 : 0);
+    if (micros < 1000000) {
+        return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}.${pad(micros, 6)}`;
+    }
+    // Rounding up carries into the seconds, and possibly up to the year
+    const date = new Date(0);
+    date.setUTCFullYear(+year, +month - 1, +day);
+    date.setUTCHours(+hours, +minutes, +seconds + 1);
+    return `${pad(date.getUTCFullYear(), 4)}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+        `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}.000000`;
+}
+
+// Binary values come as Buffers, or as hex strings or strings of bytes depending on the driver
+function toBuffer(value) {
+    if (Buffer.isBuffer(value)) return value;
+    const text = String(value);
+    return text.length % 2 === 0 && /^[0-9a-f]*$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'latin1');
+}
+
+// UTF-16 surrogates without their other half, which PostgreSQL cannot store
+const LONE_SURROGATES = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+const fixEncoding = (value) => (typeof value === 'string' ? value.replace(/\u0000/g, '').replace(LONE_SURROGATES, '\uFFFD') : value);
+
+/**
+ * Column transforms that can be named in the configuration file.
+ */
+export const COLUMN_TRANSFORMS = {
+    // Hex SHA-256 digest, e.g. to pseudonymize personal data while keeping it joinable
+    sha256: (value) => (value === null || value === undefined ? value
+        : createHash('sha256').update(Buffer.isBuffer(value) ? value : String(value)).digest('hex')),
+    null: () => null,
+    trim: (value) => (typeof value === 'string' ? value.trim() : value),
+    lower: (value) => (typeof value === 'string' ? value.toLowerCase() : value),
+    upper: (value) => (typeof value === 'string' ? value.toUpperCase() : value),
+};
+
+// The function of a configured transform: a function, a built-in name or a module export
+async function resolveTransform(transform, columnName) {
+    if (typeof transform === 'function') return transform;
+    if (COLUMN_TRANSFORMS[transform]) return COLUMN_TRANSFORMS[transform];
+
+    const [file, exportName = 'default'] = transform.split('#');
+    const module = await import(pathToFileURL(path.resolve(file)).href);
+    if (typeof module[exportName] !== 'function') {
+        throw new Error(`Transform ${transform} of column ${columnName} is not a function`);
+    }
+    return module[exportName];
+}
+
+/**
+ * Whether the values written for a column may differ from its DB2 values beyond
+ * normalisation, by a column transform or a date sentinel turned into NULL, so that
+ * comparing them with DB2 is meaningless.
+ */
+export function changesValues(spec, column) {
+    return Boolean(spec.transforms[column.name]) ||
+        (spec.normalize.nullDates.length > 0 && column.nullable && DATE_TYPES.includes(column.db2Type));
+}
+
+/**
+ * Build the transform of the rows of a table, which rewrites the values of a row in
+ * place and returns it, or null when no value needs to be transformed.
+ */
+export async function createRowTransform(spec, columns) {
+    const { trimChar, timestamps, nullDates, encoding, binary } = spec.normalize;
+    const steps = [];
+
+    for (const column of columns) {
+        const fns = [];
+        if (binary && isBinary(column)) {
+            fns.push(toBuffer);
+        }
+        if (encoding && isText(column)) {
+            fns.push(fixEncoding);
+        }
+        if (trimChar && FIXED_LENGTH_TYPES.includes(column.db2Type) && !isBitData(column)) {
+            fns.push(value => (typeof value === 'string' ? value.replace(/ +$/, '') : value));
+        }
+        if (nullDates.length > 0 && column.nullable && DATE_TYPES.includes(column.db2Type)) {
+            fns.push(value => (nullDates.includes(String(value).trim().slice(0, 10)) ? null : value));
+        }
+        if (timestamps && column.db2Type === 'TIMESTAMP') {
+            fns.push(roundTimestamp);
+        }
+        // Built-in normalisers pass NULL through, column transforms decide themselves
+        const streamedFix = encoding && isText(column) ? (value) => value.mapPieces(fixEncoding) : (value) => value;
+        const normalize = fns.length > 0
+            ? (value) => (value instanceof StreamedValue ? streamedFix(value)
+                : fns.reduce((current, fn) => (current === null || current === undefined ? current : fn(current)), value))
+            : null;
+
+        const transform = spec.transforms[column.name]
+            ? await resolveTransform(spec.transforms[column.name], column.name)
+            : null;
+        if (normalize || transform) {
+            steps.push({ column, normalize, transform });
+        }
+    }
+
+    if (steps.length === 0) return null;
+    return (row) => {
+        for (const { column, normalize, transform } of steps) {
+            if (normalize) row[column.name] = normalize(row[column.name]);
+            if (transform) row[column.name] = transform(row[column.name], row, column);
+        }
+        return row;
+    };
+}
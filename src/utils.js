@@ -1,52 +1,236 @@
+// DB2 stores the fractional seconds precision of TIMESTAMP up to 12, PostgreSQL up to 6
+const MAX_POSTGRES_TIMESTAMP_PRECISION = 6;
+
 /**
  * Convert DB2 types to PostgreSQL types.
+ * `length` and `scale` are the LENGTH and SCALE columns of SYSCAT.COLUMNS, a `codepage`
+ * of 0 marks character data FOR BIT DATA, which is binary.
  */
-export function mapDb2ToPostgresType(db2Type, length) {
-  const typeMapping = {
-      "INTEGER": "INTEGER",
-      "SMALLINT": "SMALLINT",
-      "BIGINT": "BIGINT",
-      "DECIMAL": `DECIMAL(${length},2)`,
-      "DOUBLE": "DOUBLE PRECISION",
-      "REAL": "REAL",
-      "CHAR": "TEXT",
-      "VARCHAR": "TEXT",
-      "CLOB": "TEXT",
-      "DATE": "DATE",
-      "TIMESTAMP": "TIMESTAMP",
+export function mapDb2ToPostgresType(db2Type, length, scale = 0, codepage = null) {
+  const type = (db2Type || '').trim().toUpperCase();
+  const forBitData = codepage === 0 || codepage === '0';
+
+  switch (type) {
+    case 'SMALLINT':
+      return 'SMALLINT';
+    case 'INTEGER':
+    case 'INT':
+      return 'INTEGER';
+    case 'BIGINT':
+      return 'BIGINT';
+    case 'DECIMAL':
+    case 'NUMERIC':
+      return `NUMERIC(${length},${scale || 0})`;
+    case 'DECFLOAT':
+      return 'NUMERIC';
+    case 'REAL':
+      return 'REAL';
+    case 'DOUBLE':
+    case 'FLOAT':
+      return 'DOUBLE PRECISION';
+    case 'CHARACTER':
+    case 'CHAR':
+      return forBitData ? 'BYTEA' : `CHAR(${length})`;
+    case 'VARCHAR':
+      return forBitData ? 'BYTEA' : `VARCHAR(${length})`;
+    case 'LONG VARCHAR':
+      return forBitData ? 'BYTEA' : 'TEXT';
+    case 'GRAPHIC':
+      return `CHAR(${length})`;
+    case 'VARGRAPHIC':
+      return `VARCHAR(${length})`;
+    case 'LONG VARGRAPHIC':
+    case 'CLOB':
+    case 'DBCLOB':
+      return 'TEXT';
+    case 'BINARY':
+    case 'VARBINARY':
+    case 'BLOB':
+      return 'BYTEA';
+    case 'DATE':
+      return 'DATE';
+    case 'TIME':
+      return 'TIME(0)';
+    case 'TIMESTAMP':
+      return `TIMESTAMP(${Math.min(scale === null || scale === undefined ? 6 : scale, MAX_POSTGRES_TIMESTAMP_PRECISION)})`;
+    case 'BOOLEAN':
+      return 'BOOLEAN';
+    case 'XML':
+      return 'XML';
+    default:
+      console.warn(`⚠️ No PostgreSQL mapping for DB2 type ${type}, using TEXT`);
+      return 'TEXT';
+  }
+}
+
+/**
+ * Translate a column default from SYSCAT.COLUMNS.DEFAULT into a PostgreSQL default
+ * expression. Returns null when there is no default or it cannot be translated.
+ */
+export function mapDb2DefaultToPostgres(db2Default) {
+  if (db2Default === null || db2Default === undefined) return null;
+  const value = String(db2Default).trim();
+  const upper = value.toUpperCase().replace(/\s+/g, ' ');
+
+  const specialRegisters = {
+    'NULL': null,
+    'CURRENT TIMESTAMP': 'CURRENT_TIMESTAMP',
+    'CURRENT_TIMESTAMP': 'CURRENT_TIMESTAMP',
+    'CURRENT DATE': 'CURRENT_DATE',
+    'CURRENT_DATE': 'CURRENT_DATE',
+    'CURRENT TIME': 'CURRENT_TIME',
+    'CURRENT_TIME': 'CURRENT_TIME',
+    'USER': 'CURRENT_USER',
+    'SESSION_USER': 'SESSION_USER',
+    'CURRENT USER': 'CURRENT_USER',
+    'TRUE': 'TRUE',
+    'FALSE': 'FALSE',
   };
-  return typeMapping[db2Type] || "TEXT";
+  if (upper in specialRegisters) return specialRegisters[upper];
+
+  // Numeric and string literals are written the same way in both dialects
+  if (/^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/.test(value)) return value;
+  if (/^'([^']|'')*'$/.test(value)) return value;
+  // Binary string literal X'0A0B'
+  if (/^X'([0-9A-F]{2})*'$/i.test(value)) return `'\\x${value.slice(2, -1)}'::bytea`;
+
+  console.warn(`⚠️ Cannot translate DB2 column default ${value}, leaving it out`);
+  return null;
 }
 
 /**
- * Extract the last primary key values from the fetched chunk.
+ * Build a WHERE predicate selecting rows that sort after the given key values.
+ * Composite keys are expanded to (a > ?) OR (a = ? AND b > ?) ... because DB2
+ * does not accept row-value comparisons. With `inclusive` the key itself matches too.
+ * With `before` the rows sorting before the key are selected instead, and `reference`
+ * renders the column references, e.g. to add a COLLATE clause. The predicate also
+ * carries its `keys`, for sources that evaluate key ranges without SQL.
  */
-export function getLastPrimaryKeyFromChunk(chunk, primaryKeys) {
-  if (!chunk.length || primaryKeys.length === 0) return null;
-
-  const lastRow = chunk[chunk.length - 1];
-  
-  return primaryKeys.reduce((acc, key) => {
-    acc[key] = lastRow[key];
-    return acc;
-  }, {});
+export function buildKeyPredicate(keyColumns, keyValues, inclusive = false, { before = false, reference = (column) => `"${column}"` } = {}) {
+  const disjuncts = [];
+  const params = [];
+  const operator = before ? '<' : '>';
+
+  keyColumns.forEach((column, i) => {
+    const isLast = i === keyColumns.length - 1;
+    const terms = [];
+    for (let j = 0; j < i; j++) {
+      terms.push(`${reference(keyColumns[j])} = ?`);
+      params.push(toDb2Param(keyValues[j]));
+    }
+    terms.push(`${reference(column)} ${operator}${isLast && inclusive ? '=' : ''} ?`);
+    params.push(toDb2Param(keyValues[i]));
+    disjuncts.push(`(${terms.join(' AND ')})`);
+  });
+
+  return {
+    where: `(${disjuncts.join(' OR ')})`,
+    params,
+    keys: [{ columns: keyColumns, values: keyValues, inclusive, before }],
+  };
 }
 
 /**
- * Format values properly for SQL insertion (handle NULLs, timestamps, and numbers correctly).
+ * Combine filters `{ where, params }` with AND, skipping empty ones.
+ * Returns null when no filter remains. The `keys` of key predicates are kept
+ * as long as every filter combined is one.
  */
-export function formatValue(value, type) {
-  if (value === null || value === '') return 'NULL';
-  if (type.includes('TEXT') || type.includes('CHAR')) {
-      return `'${String(value).trim().replace(/'/g, "''")}'`;
-  }
-  if (type.includes('TIMESTAMP') || type.includes('DATE')) {
-      return `'${value}'`;
-  }
-  if (type.includes('INTEGER') || type.includes('SMALLINT') || type.includes('BIGINT') || type.includes('DECIMAL') || type.includes('NUMERIC') || type.includes('DOUBLE') || type.includes('REAL')) {
-      return value;
+export function combineFilters(...filters) {
+  const present = filters.filter(filter => filter && filter.where);
+  if (present.length === 0) return null;
+  const combined = {
+    where: present.map(filter => `(${filter.where})`).join(' AND '),
+    params: present.flatMap(filter => filter.params || []),
+  };
+  if (present.every(filter => filter.keys)) {
+    combined.keys = present.flatMap(filter => filter.keys);
   }
-  return `'${value}'`;
+  return combined;
+}
+
+/**
+ * Replace the ? parameter markers of a DB2-style predicate by PostgreSQL's $n markers,
+ * numbering from `offset + 1`.
+ */
+export function toPostgresPlaceholders(sql, offset = 0) {
+  let index = offset;
+  return sql.replace(/\?/g, () => `$${++index}`);
+}
+
+/**
+ * Convert a value read from PostgreSQL or a watermark into a DB2 query parameter.
+ */
+export function toDb2Param(value) {
+  if (value instanceof Date) return formatTimestampForDB2(value);
+  return value;
+}
+
+/**
+ * Encode a value as a field of PostgreSQL's CSV COPY format.
+ * NULL is the empty unquoted field; every string is quoted so that empty strings,
+ * delimiters, quotes and newlines survive. Binary data uses bytea hex notation.
+ */
+export function toCopyCsvField(value) {
+  if (value === null || value === undefined) return '';
+  if (Buffer.isBuffer(value)) return `\\x${value.toString('hex')}`;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number' || typeof value === 'bigint') return String(value);
+  if (typeof value === 'boolean') return value ? 't' : 'f';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Encode a row as one line of PostgreSQL's CSV COPY format.
+ */
+export function toCopyCsvLine(row, columns) {
+  return columns.map(col => toCopyCsvField(row[col.name])).join(',') + '\n';
+}
+
+/**
+ * Order keys so that every key comes after the keys it depends on.
+ * Keys that are part of a dependency cycle are appended in their original order.
+ */
+export function topologicalSort(keys, dependenciesOf) {
+  const sorted = [];
+  const state = new Map(); // key -> 'visiting' | 'done'
+  const cyclic = new Set();
+
+  const visit = (key) => {
+    if (state.get(key) === 'done') return true;
+    if (state.get(key) === 'visiting') return false;
+    state.set(key, 'visiting');
+    let acyclic = true;
+    for (const dependency of dependenciesOf(key)) {
+      if (!keys.includes(dependency)) continue;
+      acyclic = visit(dependency) && acyclic;
+    }
+    state.set(key, 'done');
+    if (acyclic) {
+      sorted.push(key);
+    } else {
+      cyclic.add(key);
+    }
+    return acyclic;
+  };
+
+  keys.forEach(visit);
+  return [...sorted, ...keys.filter(key => cyclic.has(key))];
+}
+
+/**
+ * Run `worker(item, lane)` over all items with at most `concurrency` calls in flight.
+ * `lane` identifies the concurrent slot (0..concurrency-1), e.g. to pick its connections.
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, async (_, lane) => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], lane);
+    }
+  });
+  await Promise.all(lanes);
 }
 
 /**
@@ -61,15 +245,19 @@ export function chunkArray(array, size) {
 }
 
 /**
- * Format a JavaScript Date object into DB2 TIMESTAMP format: "YYYY-MM-DD HH:MM:SS"
+ * Format a JavaScript Date object into DB2 TIMESTAMP format: "YYYY-MM-DD-HH.MM.SS.ffffff".
+ * The fraction is kept, so predicates on the value compare to the microsecond (Dates
+ * carry milliseconds only; read exact keys as text, see getLastPrimaryKey). DATE values
+ * are passed as text, since DB2 does not accept a timestamp for a DATE.
  */
 export function formatTimestampForDB2(date) {
-  const pad = (num) => num.toString().padStart(2, '0');
-  const year = date.getFullYear();
+  const pad = (num, length = 2) => num.toString().padStart(length, '0');
+  const year = pad(date.getFullYear(), 4);
   const month = pad(date.getMonth() + 1);
   const day = pad(date.getDate());
   const hours = pad(date.getHours());
   const minutes = pad(date.getMinutes());
   const seconds = pad(date.getSeconds());
-  return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+  const micros = pad(date.getMilliseconds() * 1000, 6);
+  return `${year}-${month}-${day}-${hours}.${minutes}.${seconds}.${micros}`;
 }
@@ -0,0 +1,364 @@
+// src/verify.js
+
+import chalk from 'chalk';
+import config from './config.js';
+import { SOFT_DELETE_COLUMN } from './postgres.js';
+import { configuredConnections, openDb2, openPostgres } from './connections.js';
+import { resolveTables, selectSpecs, getSourceColumns, specName, specFilter } from './tables.js';
+import { changesValues } from './transform.js';
+import { buildKeyPredicate, combineFilters } from './utils.js';
+import { source, target } from './adapters.js';
+
+const EXACT_NUMERIC_TYPES = ['SMALLINT', 'INTEGER', 'INT', 'BIGINT', 'DECIMAL', 'NUMERIC', 'DECFLOAT'];
+const INTEGER_TYPES = ['SMALLINT', 'INTEGER', 'INT', 'BIGINT'];
+const FLOAT_TYPES = ['REAL', 'DOUBLE', 'FLOAT'];
+const TEMPORAL_TYPES = ['DATE', 'TIME', 'TIMESTAMP'];
+const CHARACTER_TYPES = ['CHARACTER', 'CHAR', 'VARCHAR', 'GRAPHIC', 'VARGRAPHIC'];
+const FIXED_LENGTH_TYPES = ['CHARACTER', 'CHAR', 'GRAPHIC'];
+const BINARY_TYPES = ['BINARY', 'VARBINARY', 'BLOB'];
+
+// Relative tolerance when comparing REAL and DOUBLE values
+const FLOAT_TOLERANCE = 1e-6;
+
+function isBitData(column) {
+    return column.codepage === 0 || column.codepage === '0';
+}
+
+/**
+ * How values of a column are compared: 'number', 'float', 'temporal', 'char',
+ * 'binary', 'boolean', 'skip' (XML, which has no canonical text form) or 'text'.
+ */
+export function comparisonKind(column) {
+    const type = column.db2Type;
+    if (EXACT_NUMERIC_TYPES.includes(type)) return 'number';
+    if (FLOAT_TYPES.includes(type)) return 'float';
+    if (TEMPORAL_TYPES.includes(type)) return 'temporal';
+    if (BINARY_TYPES.includes(type) || (CHARACTER_TYPES.includes(type) && isBitData(column))) return 'binary';
+    if (FIXED_LENGTH_TYPES.includes(type)) return 'char';
+    if (type === 'BOOLEAN') return 'boolean';
+    if (type === 'XML') return 'skip';
+    return 'text';
+}
+
+/**
+ * Canonical text of an exact number: no sign prefix, no trailing fractional zeros.
+ */
+export function normalizeNumber(value) {
+    if (value === null || value === undefined) return null;
+    let text = String(value).trim();
+    if (/e/i.test(text)) text = String(Number(text));
+    text = text.replace(/^\+/, '').replace(/^(-?)0+(?=\d)/, '$1').replace(/^(-?)\./, '$10.');
+    if (text.includes('.')) text = text.replace(/0+$/, '').replace(/\.$/, '');
+    return text === '-0' ? '0' : text;
+}
+
+/**
+ * Canonical form of a DATE, TIME or TIMESTAMP value from either side. Timestamps are
+ * rounded to the microseconds PostgreSQL keeps, DB2 stores up to 12 fractional digits.
+ */
+export function normalizeTemporal(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    const timestamp = text.match(/^(\d{4})-(\d{2})-(\d{2})[ T-](\d{2})[:.](\d{2})[:.](\d{2})(?:\.(\d+))?/);
+    if (timestamp) {
+        const [, year, month, day, hours, minutes, seconds, fraction = ''] = timestamp;
+        const digits = fraction.padEnd(7, '0');
+        let micros = BigInt(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds)) * 1000n +
+            BigInt(digits.slice(0, 6));
+        if (+digits[6] >= 5) micros += 1n;
+        return micros.toString();
+    }
+    const time = text.match(/^(\d{2})[:.](\d{2})[:.](\d{2})/);
+    if (time) return `${time[1]}:${time[2]}:${time[3]}`;
+    return text.slice(0, 10);
+}
+
+function normalizeBinary(value) {
+    if (value === null || value === undefined) return null;
+    if (Buffer.isBuffer(value)) return `\\x${value.toString('hex')}`;
+    const text = String(value).trim().toLowerCase();
+    return text.startsWith('\\x') ? text : `\\x${text}`;
+}
+
+function normalizeBoolean(value) {
+    if (value === null || value === undefined) return null;
+    return ['true', 't', '1'].includes(String(value).trim().toLowerCase()) ? 'true' : 'false';
+}
+
+/**
+ * Normalize a value of a column for comparison between DB2 and PostgreSQL.
+ */
+export function normalizeValue(column, value, kind = comparisonKind(column)) {
+    if (value === null || value === undefined) return null;
+    switch (kind) {
+        case 'number':
+            return normalizeNumber(value);
+        case 'float':
+            return Number(value);
+        case 'temporal':
+            return normalizeTemporal(value);
+        case 'char':
+            return String(value).replace(/ +$/, '');
+        case 'binary':
+            return normalizeBinary(value);
+        case 'boolean':
+            return normalizeBoolean(value);
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Whether two normalized values are equal.
+ */
+function valuesMatch(kind, a, b) {
+    if (a === null || b === null) return a === b;
+    if (kind === 'float') {
+        return a === b || Math.abs(a - b) <= FLOAT_TOLERANCE * Math.max(Math.abs(a), Math.abs(b));
+    }
+    return a === b;
+}
+
+/**
+ * Aggregates computed on both sides: the row count, SUM/MIN/MAX of exact numbers,
+ * MIN/MAX of floating point and temporal columns and the summed length of character
+ * columns. `fingerprint` marks the aggregates also computed per key range.
+ */
+function aggregateSpecs(columns) {
+    const specs = [
+        { alias: 'ROW_COUNT', label: 'row count', kind: 'number', fingerprint: true, db2: 'COUNT_BIG(*)', pg: 'count(*)::text' },
+    ];
+
+    columns.forEach((column, i) => {
+        const name = `"${column.name}"`;
+        const kind = comparisonKind(column);
+        if (kind === 'number') {
+            const sumInput = INTEGER_TYPES.includes(column.db2Type) ? `CAST(${name} AS DECIMAL(31,0))` : name;
+            specs.push({ alias: `SUM_${i}`, label: `SUM(${column.name})`, kind, fingerprint: true, db2: `SUM(${sumInput})`, pg: `sum(${name})::text` });
+        }
+        if (['number', 'float', 'temporal'].includes(kind)) {
+            specs.push({ alias: `MIN_${i}`, label: `MIN(${column.name})`, kind, db2: `MIN(${name})`, pg: `min(${name})::text` });
+            specs.push({ alias: `MAX_${i}`, label: `MAX(${column.name})`, kind, db2: `MAX(${name})`, pg: `max(${name})::text` });
+        }
+        if (['text', 'char'].includes(kind) && CHARACTER_TYPES.includes(column.db2Type)) {
+            specs.push({
+                alias: `LEN_${i}`,
+                label: `total length of ${column.name}`,
+                kind: 'number',
+                fingerprint: true,
+                db2: `SUM(CAST(CHARACTER_LENGTH(RTRIM(${name}), CODEUNITS32) AS BIGINT))`,
+                pg: `sum(char_length(rtrim(${name})))::text`,
+            });
+        }
+    });
+
+    return specs;
+}
+
+/**
+ * Compare the aggregates computed on both sides, returning the mismatching ones.
+ */
+function compareAggregates(specs, source, target) {
+    const mismatches = [];
+    for (const spec of specs) {
+        const sourceValue = normalizeValue(null, source[spec.alias], spec.kind);
+        const targetValue = normalizeValue(null, target[spec.alias], spec.kind);
+        if (!valuesMatch(spec.kind, sourceValue, targetValue)) {
+            mismatches.push({ check: spec.label, source: source[spec.alias], target: target[spec.alias] });
+        }
+    }
+    return mismatches;
+}
+
+// The PostgreSQL rows compared: with soft deletes those not marked deleted
+function targetFilter(table) {
+    return table.deletes === 'soft' ? { where: `"${SOFT_DELETE_COLUMN}" IS NULL`, params: [] } : null;
+}
+
+/**
+ * Compare the tables range by range along the primary key, returning the key ranges
+ * whose row count, sums or character lengths differ.
+ */
+async function compareKeyRanges(db2, pgClient, table, columns, primaryKeys, specs, rowCount) {
+    const { schema: db2Schema, table: db2Table } = table.source;
+    const { schema, table: pgTable } = table.target;
+    const filter = specFilter(table);
+    const fingerprint = specs.filter(spec => spec.fingerprint);
+    const bucketSize = Math.max(1, Math.ceil(rowCount / config.verify.buckets));
+    const boundaries = await source.getKeyBoundaries(db2, db2Schema, db2Table, primaryKeys, bucketSize, filter);
+
+    // Character keys are compared in byte order in PostgreSQL, as DB2 does
+    const textualKeys = new Set(columns.filter(col => ['text', 'char'].includes(comparisonKind(col))).map(col => col.name));
+    const pgReference = (column) => (textualKeys.has(column) ? `"${column}" COLLATE "C"` : `"${column}"`);
+
+    const mismatchedRanges = [];
+    for (let i = 0; i < boundaries.length; i++) {
+        // The first range is open below and the last one open above, so rows outside DB2's key span count too
+        const lower = i > 0 ? boundaries[i] : null;
+        const upper = i + 1 < boundaries.length ? boundaries[i + 1] : null;
+
+        const rangeFilter = (reference) => {
+            const predicates = [];
+            if (lower) predicates.push(buildKeyPredicate(primaryKeys, lower, true, { reference }));
+            if (upper) predicates.push(buildKeyPredicate(primaryKeys, upper, false, { before: true, reference }));
+            return predicates.length === 0 ? null : {
+                where: predicates.map(predicate => predicate.where).join(' AND '),
+                params: predicates.flatMap(predicate => predicate.params),
+            };
+        };
+
+        const sourceAggregates = await source.getAggregates(db2, db2Schema, db2Table,
+            fingerprint.map(spec => ({ alias: spec.alias, sql: spec.db2 })), combineFilters(rangeFilter(undefined), filter));
+        const targetAggregates = await target.getAggregates(pgClient, schema, pgTable,
+            fingerprint.map(spec => ({ alias: spec.alias, sql: spec.pg })), combineFilters(rangeFilter(pgReference), targetFilter(table)));
+
+        const mismatches = compareAggregates(fingerprint, sourceAggregates, targetAggregates);
+        if (mismatches.length > 0) {
+            mismatchedRanges.push({ from: lower, to: upper, mismatches });
+        }
+    }
+    return mismatchedRanges;
+}
+
+/**
+ * Compare a random sample of DB2 rows column by column with the rows of the same
+ * primary key in PostgreSQL.
+ */
+async function compareSample(db2, pgClient, table, columns, primaryKeys) {
+    const { schema, table: pgTable } = table.target;
+    const filter = specFilter(table);
+    const sample = await source.sampleRows(db2, table.source.schema, table.source.table, config.verify.sampleSize, filter);
+    const keyColumns = primaryKeys.map(pk => columns.find(col => col.name === pk));
+    const keyOf = (row) => JSON.stringify(keyColumns.map(col => normalizeValue(col, row[col.name])));
+
+    const targetRows = await target.getRowsByKey(pgClient, schema, pgTable, columns, primaryKeys,
+        sample.map(row => primaryKeys.map(pk => row[pk])));
+    const targetByKey = new Map(targetRows.map(row => [keyOf(row), row]));
+
+    const mismatches = [];
+    for (const sourceRow of sample) {
+        const key = Object.fromEntries(primaryKeys.map(pk => [pk, sourceRow[pk]]));
+        const targetRow = targetByKey.get(keyOf(sourceRow));
+        if (!targetRow) {
+            mismatches.push({ key, column: null, source: 'row present', target: 'row missing' });
+            continue;
+        }
+        for (const column of columns) {
+            const kind = comparisonKind(column);
+            if (kind === 'skip') continue;
+            const sourceValue = normalizeValue(column, sourceRow[column.name], kind);
+            const targetValue = normalizeValue(column, targetRow[column.name], kind);
+            if (!valuesMatch(kind, sourceValue, targetValue)) {
+                mismatches.push({ key, column: column.name, source: sourceRow[column.name], target: targetRow[column.name] });
+            }
+        }
+    }
+    return { sampled: sample.length, mismatches };
+}
+
+/**
+ * Verify one replicated table, given by its table spec, against its DB2 source.
+ * Only the replicated rows and columns are compared; masked columns and columns whose
+ * values are changed by transforms are skipped.
+ */
+export async function verifyTable(db2, pgClient, table) {
+    const { schema: db2Schema, table: db2Table } = table.source;
+    const { schema } = table.target;
+    const filter = specFilter(table);
+    const columns = (await getSourceColumns(db2, table)).filter(col => !col.expression && !changesValues(table, col));
+    const primaryKeys = await source.getPrimaryKeys(db2, db2Schema, db2Table);
+    const result = { schema, table: table.target.table, passed: false, aggregates: [], ranges: [], sample: null };
+
+    if (!columns.length) {
+        result.error = 'no columns found in DB2';
+        return result;
+    }
+
+    const specs = aggregateSpecs(columns);
+    const sourceAggregates = await source.getAggregates(db2, db2Schema, db2Table, specs.map(spec => ({ alias: spec.alias, sql: spec.db2 })), filter);
+    const targetAggregates = await target.getAggregates(pgClient, schema, table.target.table, specs.map(spec => ({ alias: spec.alias, sql: spec.pg })), targetFilter(table));
+    result.rowCount = parseInt(sourceAggregates.ROW_COUNT, 10);
+    result.aggregates = compareAggregates(specs, sourceAggregates, targetAggregates);
+
+    if (primaryKeys.length > 0) {
+        if (result.rowCount > 0) {
+            result.ranges = await compareKeyRanges(db2, pgClient, table, columns, primaryKeys, specs, result.rowCount);
+        }
+        result.sample = await compareSample(db2, pgClient, table, columns, primaryKeys);
+    }
+
+    result.passed = result.aggregates.length === 0 && result.ranges.length === 0 &&
+        (!result.sample || result.sample.mismatches.length === 0);
+    return result;
+}
+
+/**
+ * Verify the given table specs, reporting errors as failed verifications.
+ */
+export async function verifyTables(db2, pgClient, tables) {
+    const results = [];
+    for (const table of tables) {
+        console.log(chalk.blue(`🔍 Verifying table: ${specName(table)}`));
+        try {
+            results.push(await verifyTable(db2, pgClient, table));
+        } catch (error) {
+            const { schema, table: name } = table.target;
+            results.push({ schema, table: name, passed: false, error: error.message, aggregates: [], ranges: [], sample: null });
+        }
+    }
+    printVerificationReport(results);
+    return results;
+}
+
+/**
+ * Verify all configured tables, or those matching `selectors`, on their own,
+ * outside of a replication run, over connections opened through `connections`.
+ */
+export async function verifyAll({ selectors = [], connections = configuredConnections() } = {}) {
+    const db2 = await openDb2(connections);
+    const pgClient = await openPostgres(connections);
+    try {
+        const { tables } = selectSpecs(selectors, await resolveTables(db2, config.replication.tables));
+        return await verifyTables(db2, pgClient, tables);
+    } finally {
+        pgClient.release();
+        db2.close();
+    }
+}
+
+const formatKey = (key) => (key ? JSON.stringify(key) : '…');
+
+/**
+ * Print a pass/fail line per table with the mismatching aggregates, key ranges and sampled rows.
+ */
+export function printVerificationReport(results) {
+    console.log(chalk.green(`\n📋 Verification report`));
+    for (const result of results) {
+        const name = `${result.schema}.${result.table}`;
+        if (result.passed) {
+            const sampled = result.sample ? `, ${result.sample.sampled} sampled rows` : '';
+            console.log(chalk.green(`✅ PASS ${name} (${result.rowCount} rows${sampled})`));
+            continue;
+        }
+
+        console.log(chalk.red(`❌ FAIL ${name}`));
+        if (result.error) {
+            console.log(chalk.red(`   • error: ${result.error}`));
+        }
+        for (const mismatch of result.aggregates) {
+            console.log(chalk.red(`   • ${mismatch.check}: DB2 ${mismatch.source}, PostgreSQL ${mismatch.target}`));
+        }
+        for (const range of result.ranges) {
+            const checks = range.mismatches.map(mismatch => `${mismatch.check} ${mismatch.source} vs ${mismatch.target}`).join(', ');
+            console.log(chalk.red(`   • key range ${formatKey(range.from)} to ${formatKey(range.to)}: ${checks}`));
+        }
+        for (const mismatch of (result.sample ? result.sample.mismatches : [])) {
+            const where = mismatch.column ? `column ${mismatch.column}` : 'row';
+            console.log(chalk.red(`   • key ${JSON.stringify(mismatch.key)} ${where}: DB2 ${mismatch.source}, PostgreSQL ${mismatch.target}`));
+        }
+    }
+
+    const failed = results.filter(result => !result.passed).length;
+    const summary = `${results.length - failed}/${results.length} tables passed verification`;
+    console.log(failed > 0 ? chalk.red(`❌ ${summary}`) : chalk.green(`🎉 ${summary}`));
+}
@@ -0,0 +1,579 @@
+// src/viewsql.js
+
+/**
+ * Translation of DB2 view definitions (SYSCAT.VIEWS.TEXT) into PostgreSQL.
+ * The text is tokenized, the CREATE VIEW header is parsed off and the body is
+ * rewritten token by token: unquoted identifiers are quoted in upper case like the
+ * replicated tables and columns, DB2 dialect constructs are replaced by their
+ * PostgreSQL equivalents and constructs without an equivalent are reported as issues.
+ */
+
+// Words that are never quoted as identifiers
+const KEYWORDS = new Set([
+    'ALL', 'AND', 'ANY', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CROSS', 'CURRENT', 'DESC', 'DISTINCT',
+    'ELSE', 'END', 'ESCAPE', 'EXCEPT', 'EXISTS', 'FALSE', 'FETCH', 'FIRST', 'FOR', 'FROM', 'FULL', 'GROUP',
+    'HAVING', 'IN', 'INNER', 'INTERSECT', 'IS', 'JOIN', 'LATERAL', 'LEFT', 'LIKE', 'LIMIT', 'NATURAL',
+    'NEXT', 'NOT', 'NULL', 'NULLS', 'OFFSET', 'ON', 'ONLY', 'OR', 'ORDER', 'OUTER', 'OVER', 'PARTITION',
+    'RIGHT', 'ROW', 'ROWS', 'SELECT', 'SOME', 'THEN', 'TRUE', 'UNION', 'UNKNOWN', 'USING', 'WHEN',
+    'WHERE', 'WITH', 'RANGE', 'PRECEDING', 'FOLLOWING', 'UNBOUNDED', 'RECURSIVE',
+    'INTERVAL', 'VALUES', 'BOTH', 'LEADING', 'TRAILING',
+    'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'CURRENT_USER', 'CURRENT_SCHEMA', 'LOCALTIMESTAMP',
+    // Data types, as written in CAST specifications
+    'BIGINT', 'BINARY', 'BLOB', 'BOOLEAN', 'CHAR', 'CHARACTER', 'CLOB', 'DATE', 'DBCLOB', 'DEC', 'DECFLOAT',
+    'DECIMAL', 'DOUBLE', 'FLOAT', 'GRAPHIC', 'INT', 'INTEGER', 'NUMERIC', 'PRECISION', 'REAL', 'SMALLINT',
+    'TIME', 'TIMESTAMP', 'VARBINARY', 'VARCHAR', 'VARGRAPHIC', 'VARYING', 'ZONE',
+]);
+
+// DB2 data type names that differ in PostgreSQL, inside CAST specifications
+const TYPE_NAMES = {
+    'CLOB': 'TEXT',
+    'DBCLOB': 'TEXT',
+    'BLOB': 'BYTEA',
+    'VARBINARY': 'BYTEA',
+    'BINARY': 'BYTEA',
+    'GRAPHIC': 'CHAR',
+    'VARGRAPHIC': 'VARCHAR',
+    'DECFLOAT': 'NUMERIC',
+    'DEC': 'DECIMAL',
+};
+
+// Special registers written as two words in DB2
+const SPECIAL_REGISTERS = {
+    'DATE': 'CURRENT_DATE',
+    'TIME': 'CURRENT_TIME',
+    'TIMESTAMP': 'CURRENT_TIMESTAMP',
+    'SCHEMA': 'CURRENT_SCHEMA',
+    'SQLID': 'CURRENT_SCHEMA',
+    'USER': 'CURRENT_USER',
+};
+
+// Labeled durations of DB2 date arithmetic, e.g. CURRENT DATE + 3 DAYS
+const DURATIONS = {
+    'YEAR': 'year', 'YEARS': 'year', 'MONTH': 'month', 'MONTHS': 'month', 'DAY': 'day', 'DAYS': 'day',
+    'HOUR': 'hour', 'HOURS': 'hour', 'MINUTE': 'minute', 'MINUTES': 'minute',
+    'SECOND': 'second', 'SECONDS': 'second', 'MICROSECOND': 'microsecond', 'MICROSECONDS': 'microsecond',
+};
+
+// DB2 functions without a PostgreSQL equivalent
+const UNSUPPORTED_FUNCTIONS = new Set([
+    'DIGITS', 'HEX', 'DAYOFWEEK_ISO', 'WEEK', 'WEEK_ISO', 'JULIAN_DAY', 'MIDNIGHT_SECONDS', 'TIMESTAMPDIFF',
+    'TIMESTAMP_FORMAT', 'TIMESTAMP_ISO', 'RID', 'RID_BIT', 'RRN', 'GENERATE_UNIQUE', 'DECRYPT_CHAR',
+    'DECRYPT_BIN', 'ENCRYPT', 'GETHINT', 'RAISE_ERROR', 'DBPARTITIONNUM', 'NODENUMBER', 'DATAPARTITIONNUM',
+    'XMLSERIALIZE', 'XMLQUERY', 'XMLTABLE', 'XMLEXISTS', 'INSERT', 'OVERLAY', 'MONTHNAME', 'DAYNAME',
+]);
+
+// Schemas of the DB2 catalog and built-in routines, which PostgreSQL does not have
+const CATALOG_SCHEMAS = new Set(['SYSIBM', 'SYSCAT', 'SYSSTAT', 'SYSIBMADM', 'SYSFUN', 'SYSPROC', 'SYSTOOLS']);
+
+// The one-row tables of DB2, selected from where PostgreSQL needs no FROM clause
+const DUMMY_TABLES = new Set(['SYSIBM.SYSDUMMY1', 'SYSIBM.SYSDUMMYA', 'SYSIBM.SYSDUMMYE', 'SYSIBM.SYSDUMMYU']);
+
+// Cast functions and CAST target types whose result is a DATE or a string
+const DATE_OR_STRING_TYPES = new Set(['DATE', 'CHAR', 'CHARACTER', 'VARCHAR', 'CLOB', 'GRAPHIC', 'VARGRAPHIC', 'DBCLOB']);
+
+/**
+ * Split SQL text into tokens `{ type, text }` of type 'space', 'comment', 'string',
+ * 'quoted', 'number', 'word' or 'symbol'.
+ */
+export function tokenize(sql) {
+    const tokens = [];
+    let i = 0;
+    const push = (type, end) => {
+        tokens.push({ type, text: sql.slice(i, end) });
+        i = end;
+    };
+
+    while (i < sql.length) {
+        const rest = sql.slice(i);
+        let match;
+        if ((match = rest.match(/^\s+/))) {
+            push('space', i + match[0].length);
+        } else if (rest.startsWith('--')) {
+            const end = sql.indexOf('\n', i);
+            push('comment', end === -1 ? sql.length : end);
+        } else if (rest.startsWith('/*')) {
+            const end = sql.indexOf('*/', i + 2);
+            push('comment', end === -1 ? sql.length : end + 2);
+        } else if ((match = rest.match(/^[XxGgNn]?'(?:[^']|'')*'/))) {
+            push('string', i + match[0].length);
+        } else if ((match = rest.match(/^"(?:[^"]|"")*"/))) {
+            push('quoted', i + match[0].length);
+        } else if ((match = rest.match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/))) {
+            push('number', i + match[0].length);
+        } else if ((match = rest.match(/^[A-Za-z_$#@][A-Za-z0-9_$#@]*/))) {
+            push('word', i + match[0].length);
+        } else if ((match = rest.match(/^(?:\|\||<>|<=|>=|!=|¬=)/))) {
+            push('symbol', i + match[0].length);
+        } else {
+            push('symbol', i + 1);
+        }
+    }
+    return tokens;
+}
+
+const isSignificant = (token) => token.type !== 'space' && token.type !== 'comment';
+const isWord = (token, ...words) => token && token.type === 'word' && (words.length === 0 || words.includes(token.text.toUpperCase()));
+const isSymbol = (token, symbol) => token && token.type === 'symbol' && token.text === symbol;
+
+/**
+ * Index of the next significant token at or after `from`, or -1.
+ */
+function nextSignificant(tokens, from) {
+    for (let i = from; i < tokens.length; i++) {
+        if (isSignificant(tokens[i])) return i;
+    }
+    return -1;
+}
+
+/**
+ * Index of the parenthesis closing the one opened at `open`.
+ */
+function matchingParen(tokens, open) {
+    let depth = 0;
+    for (let i = open; i < tokens.length; i++) {
+        if (isSymbol(tokens[i], '(')) depth++;
+        if (isSymbol(tokens[i], ')') && --depth === 0) return i;
+    }
+    return -1;
+}
+
+/**
+ * Split the tokens between two parentheses into the comma-separated arguments.
+ */
+function splitArguments(tokens) {
+    const args = [[]];
+    let depth = 0;
+    for (const token of tokens) {
+        if (isSymbol(token, '(')) depth++;
+        if (isSymbol(token, ')')) depth--;
+        if (depth === 0 && isSymbol(token, ',')) {
+            args.push([]);
+        } else {
+            args[args.length - 1].push(token);
+        }
+    }
+    return args.filter(arg => arg.some(isSignificant));
+}
+
+/**
+ * The name an identifier token stands for, upper case unless quoted, or null.
+ */
+function identifierName(token) {
+    if (!token) return null;
+    if (token.type === 'word') return token.text.toUpperCase();
+    if (token.type === 'quoted') return token.text.slice(1, -1).replace(/""/g, '"');
+    return null;
+}
+
+/**
+ * The DB2 catalog object whose qualified name starts at `index`, e.g. SYSIBM.SYSDUMMY1,
+ * as `{ name, end }` with the index of its last token, or null.
+ */
+function catalogObject(tokens, index) {
+    const schema = identifierName(tokens[index]);
+    const dot = nextSignificant(tokens, index + 1);
+    if (!CATALOG_SCHEMAS.has(schema) || !isSymbol(tokens[dot], '.')) return null;
+    const end = nextSignificant(tokens, dot + 1);
+    const name = identifierName(tokens[end]);
+    return name === null ? null : { name: `${schema}.${name}`, end };
+}
+
+/**
+ * Index of the last token of `FROM SYSIBM.SYSDUMMY1 [[AS] alias]` after the FROM at
+ * `index`, or -1 unless the one-row table is all the FROM clause selects from.
+ */
+function dummyTableEnd(tokens, index) {
+    const table = catalogObject(tokens, nextSignificant(tokens, index + 1));
+    if (!table || !DUMMY_TABLES.has(table.name)) return -1;
+    let end = table.end;
+    let after = nextSignificant(tokens, end + 1);
+    if (isWord(tokens[after], 'AS')) {
+        end = nextSignificant(tokens, after + 1);
+        after = nextSignificant(tokens, end + 1);
+    } else if (tokens[after] && (tokens[after].type === 'quoted' || (isWord(tokens[after]) && !KEYWORDS.has(identifierName(tokens[after])) && !isWord(tokens[after], 'OPTIMIZE')))) {
+        end = after;
+        after = nextSignificant(tokens, end + 1);
+    }
+    const joined = isSymbol(tokens[after], ',') || isWord(tokens[after], 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'NATURAL');
+    return end === -1 || joined ? -1 : end;
+}
+
+/**
+ * Whether the tokens of an expression are known to yield a DATE or a string: a string
+ * literal, CURRENT DATE, a DATE literal, or a cast or cast function to such a type.
+ */
+function isDateOrString(tokens) {
+    const significant = tokens.filter(isSignificant);
+    const [first, second] = significant;
+    if (significant.length === 1) {
+        return (first.type === 'string' && !/^[Xx]'/.test(first.text)) || isWord(first, 'CURRENT_DATE');
+    }
+    if (significant.length === 2) {
+        return (isWord(first, 'CURRENT') && isWord(second, 'DATE')) || (isWord(first, 'DATE') && second.type === 'string');
+    }
+    if (!isSymbol(second, '(') || matchingParen(significant, 1) !== significant.length - 1) return false;
+    if (!isWord(first, 'CAST')) return isWord(first, ...DATE_OR_STRING_TYPES);
+
+    // CAST(<expression> AS <type>), the AS outside any inner parentheses
+    let depth = 0;
+    for (let i = 2; i < significant.length - 1; i++) {
+        if (isSymbol(significant[i], '(')) depth++;
+        if (isSymbol(significant[i], ')')) depth--;
+        if (depth === 0 && isWord(significant[i], 'AS')) return isWord(significant[i + 1], ...DATE_OR_STRING_TYPES);
+    }
+    return false;
+}
+
+export function quoteIdentifier(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Parse the CREATE VIEW header off a view definition. Returns the view name, the
+ * optional column list and the tokens of the SELECT statement. A text that is not a
+ * CREATE VIEW statement is taken to be the SELECT statement itself.
+ */
+export function parseViewDefinition(text) {
+    const tokens = tokenize(text);
+    let i = nextSignificant(tokens, 0);
+    if (!isWord(tokens[i], 'CREATE')) {
+        return { name: null, columns: null, body: tokens };
+    }
+
+    i = nextSignificant(tokens, i + 1);
+    if (isWord(tokens[i], 'OR')) {
+        i = nextSignificant(tokens, nextSignificant(tokens, i + 1) + 1); // OR REPLACE
+    }
+    if (!isWord(tokens[i], 'VIEW')) {
+        throw new Error(`Not a CREATE VIEW statement: ${text.slice(0, 80)}`);
+    }
+
+    // View name, possibly qualified
+    const nameParts = [];
+    i = nextSignificant(tokens, i + 1);
+    while (i !== -1 && (tokens[i].type === 'word' || tokens[i].type === 'quoted')) {
+        nameParts.push(tokens[i].type === 'quoted' ? tokens[i].text.slice(1, -1).replace(/""/g, '"') : tokens[i].text.toUpperCase());
+        const next = nextSignificant(tokens, i + 1);
+        if (!isSymbol(tokens[next], '.')) {
+            i = next;
+            break;
+        }
+        i = nextSignificant(tokens, next + 1);
+    }
+
+    let columns = null;
+    if (isSymbol(tokens[i], '(')) {
+        const close = matchingParen(tokens, i);
+        columns = splitArguments(tokens.slice(i + 1, close)).map(arg => {
+            const token = arg.find(isSignificant);
+            return token.type === 'quoted' ? token.text.slice(1, -1).replace(/""/g, '"') : token.text.toUpperCase();
+        });
+        i = nextSignificant(tokens, close + 1);
+    }
+
+    if (!isWord(tokens[i], 'AS')) {
+        throw new Error(`Missing AS in view definition of ${nameParts.join('.')}`);
+    }
+
+    return { name: nameParts.join('.'), columns, body: tokens.slice(i + 1) };
+}
+
+/**
+ * Translate the tokens of a DB2 SELECT statement. Returns the PostgreSQL text;
+ * untranslatable constructs are added to `issues`.
+ */
+function translateTokens(tokens, issues) {
+    let out = '';
+    let i = 0;
+
+    while (i < tokens.length) {
+        const token = tokens[i];
+        const nextIndex = nextSignificant(tokens, i + 1);
+        const next = nextIndex === -1 ? null : tokens[nextIndex];
+
+        // Tables, views and routines of the DB2 catalog
+        const object = catalogObject(tokens, i);
+        if (object) {
+            issues.push(`DB2 catalog object ${object.name} has no PostgreSQL equivalent`);
+            out += tokens.slice(i, object.end + 1).map(t => t.text).join('');
+            i = object.end + 1;
+            continue;
+        }
+
+        if (token.type === 'word') {
+            const word = token.text.toUpperCase();
+
+            // FROM SYSIBM.SYSDUMMY1 is left out, PostgreSQL selects without a FROM clause
+            if (word === 'FROM') {
+                const end = dummyTableEnd(tokens, i);
+                if (end !== -1) {
+                    out = out.trimEnd();
+                    i = end + 1;
+                    continue;
+                }
+            }
+
+            // Function call, type names followed by a length in a CAST specification excepted
+            if (isSymbol(next, '(') && (!KEYWORDS.has(word) || (CAST_FUNCTIONS.has(word) && !isInCast(tokens, i)))) {
+                const close = matchingParen(tokens, nextIndex);
+                if (close === -1) {
+                    issues.push(`Unbalanced parentheses after ${word}`);
+                    out += tokens.slice(i).map(t => t.text).join('');
+                    break;
+                }
+                const inner = tokens.slice(nextIndex + 1, close);
+                if (word === 'EXTRACT') {
+                    // EXTRACT(<field> FROM <expression>), the field is not an identifier
+                    const field = nextSignificant(inner, 0);
+                    out += `EXTRACT(${inner[field].text.toUpperCase()}${translateTokens(inner.slice(field + 1), issues)})`;
+                } else {
+                    const sourceArgs = splitArguments(inner);
+                    const args = sourceArgs.map(arg => translateTokens(arg, issues).trim());
+                    out += translateFunction(word, args, issues, sourceArgs);
+                }
+                i = close + 1;
+                continue;
+            }
+
+            // Two-word special registers: CURRENT DATE, CURRENT TIMESTAMP, ...
+            if (word === 'CURRENT' && isWord(next) && SPECIAL_REGISTERS[next.text.toUpperCase()]) {
+                out += SPECIAL_REGISTERS[next.text.toUpperCase()];
+                i = nextIndex + 1;
+                continue;
+            }
+            if (word === 'CURRENT' && isWord(next) && !isWord(next, 'ROW')) {
+                issues.push(`Special register CURRENT ${next.text.toUpperCase()} has no PostgreSQL equivalent`);
+                out += `CURRENT ${next.text}`;
+                i = nextIndex + 1;
+                continue;
+            }
+            if (['USER', 'SESSION_USER'].includes(word)) {
+                out += 'CURRENT_USER';
+                i++;
+                continue;
+            }
+
+            // FETCH FIRST n ROWS ONLY -> LIMIT n
+            if (word === 'FETCH' && isWord(next, 'FIRST', 'NEXT')) {
+                let j = nextSignificant(tokens, nextIndex + 1);
+                let limit = '1';
+                if (tokens[j] && tokens[j].type === 'number') {
+                    limit = tokens[j].text;
+                    j = nextSignificant(tokens, j + 1);
+                }
+                if (isWord(tokens[j], 'ROW', 'ROWS')) j = nextSignificant(tokens, j + 1);
+                if (isWord(tokens[j], 'ONLY')) {
+                    out += `LIMIT ${limit}`;
+                    i = j + 1;
+                    continue;
+                }
+                issues.push('Unrecognized FETCH FIRST clause');
+            }
+
+            // Isolation and cursor clauses are meaningless in a PostgreSQL view
+            if (word === 'WITH' && isWord(next, 'UR', 'CS', 'RS', 'RR')) {
+                i = nextIndex + 1;
+                continue;
+            }
+            if (word === 'FOR' && isWord(next, 'READ', 'FETCH')) {
+                const only = nextSignificant(tokens, nextIndex + 1);
+                if (isWord(tokens[only], 'ONLY')) {
+                    i = only + 1;
+                    continue;
+                }
+            }
+            if (word === 'OPTIMIZE' && isWord(next, 'FOR')) {
+                const rows = nextSignificant(tokens, nextSignificant(tokens, nextIndex + 1) + 1);
+                i = isWord(tokens[rows], 'ROW', 'ROWS') ? rows + 1 : rows;
+                continue;
+            }
+
+            // Infix CONCAT operator
+            if (word === 'CONCAT') {
+                out += '||';
+                i++;
+                continue;
+            }
+
+            // Labeled durations: n DAYS -> INTERVAL 'n day'
+            if (DURATIONS[word] && isDurationOperand(out)) {
+                out = rewriteDuration(out, DURATIONS[word]);
+                i++;
+                continue;
+            }
+
+            if (KEYWORDS.has(word)) {
+                if (word === 'DOUBLE' && !isWord(next, 'PRECISION')) {
+                    out += 'DOUBLE PRECISION';
+                } else {
+                    out += TYPE_NAMES[word] && isInCast(tokens, i) ? TYPE_NAMES[word] : word;
+                }
+            } else {
+                out += quoteIdentifier(word);
+            }
+            i++;
+            continue;
+        }
+
+        if (token.type === 'string' && /^[Xx]'/.test(token.text)) {
+            out += `'\\x${token.text.slice(2, -1)}'::bytea`;
+        } else if (token.type === 'string' && /^[GgNn]'/.test(token.text)) {
+            out += token.text.slice(1);
+        } else if (token.type === 'symbol' && token.text === '¬=') {
+            out += '<>';
+        } else {
+            out += token.text;
+        }
+        i++;
+    }
+
+    return out;
+}
+
+// Type names that are also DB2 cast functions, e.g. DECIMAL(x, 10, 2)
+const CAST_FUNCTIONS = new Set([
+    'CHAR', 'VARCHAR', 'DECIMAL', 'DEC', 'INTEGER', 'INT', 'BIGINT', 'SMALLINT', 'DOUBLE', 'REAL', 'DATE',
+    'TIME', 'TIMESTAMP', 'CLOB', 'FLOAT', 'DECFLOAT', 'GRAPHIC', 'VARGRAPHIC',
+]);
+
+/**
+ * Whether the word at `index` is the target type of a CAST specification (preceded by AS
+ * inside parentheses), rather than a cast function such as DECIMAL(x, 5, 2).
+ */
+function isInCast(tokens, index) {
+    for (let i = index - 1; i >= 0; i--) {
+        if (!isSignificant(tokens[i])) continue;
+        return isWord(tokens[i], 'AS');
+    }
+    return false;
+}
+
+function isDurationOperand(out) {
+    return /(\d+(\.\d+)?|"[^"]+"|\))\s*$/.test(out);
+}
+
+function rewriteDuration(out, unit) {
+    const number = out.match(/(\d+(?:\.\d+)?)\s*$/);
+    if (number) {
+        return `${out.slice(0, number.index)}INTERVAL '${number[1]} ${unit}'`;
+    }
+    // A column or expression operand is multiplied with a unit interval
+    const operand = out.match(/((?:"[^"]+"\.)*"[^"]+")\s*$/);
+    if (operand) {
+        return `${out.slice(0, operand.index)}(${operand[1]} * INTERVAL '1 ${unit}')`;
+    }
+    return `${out.trimEnd()} * INTERVAL '1 ${unit}'`;
+}
+
+/**
+ * Translate a DB2 function call whose arguments are already translated; `sourceArgs`
+ * holds the tokens of the arguments as written in DB2.
+ */
+function translateFunction(name, args, issues, sourceArgs) {
+    const call = (fn, list = args) => `${fn}(${list.join(', ')})`;
+    const cast = (type) => `CAST(${args[0]} AS ${type})`;
+    const extract = (field) => `CAST(EXTRACT(${field} FROM ${args[0]}) AS INTEGER)`;
+
+    switch (name) {
+        case 'VALUE':
+        case 'NVL':
+        case 'IFNULL':
+            return call('COALESCE');
+        case 'CONCAT':
+            return `(${args.join(' || ')})`;
+        case 'DAYS':
+            return `(CAST(${args[0]} AS DATE) - DATE '0001-01-01' + 1)`;
+        case 'DECIMAL':
+        case 'DEC':
+            if (args.length === 1) return cast('NUMERIC');
+            if (args.length === 2) return cast(`NUMERIC(${args[1]},0)`);
+            if (args.length === 3) return cast(`NUMERIC(${args[1]},${args[2]})`);
+            break;
+        case 'CHAR':
+        case 'VARCHAR':
+        case 'GRAPHIC':
+        case 'VARGRAPHIC':
+            if (/^\d+$/.test(args[1])) return cast(`${['CHAR', 'GRAPHIC'].includes(name) ? 'CHAR' : 'VARCHAR'}(${args[1]})`);
+            if (args.length === 1 || /^"?ISO"?$/i.test(args[1])) {
+                // DB2 writes a TIMESTAMP or TIME as 2024-01-05-10.30.00, PostgreSQL as 2024-01-05 10:30:00
+                if (isDateOrString(sourceArgs[0])) return cast('TEXT');
+                issues.push(`${name}() of ${args[0]} cannot be translated unless it is a DATE or a string, the text of a TIMESTAMP or TIME differs in PostgreSQL`);
+                return call(name);
+            }
+            issues.push(`${name}() with format ${args[1]} cannot be translated`);
+            return call(name);
+        case 'CLOB':
+            return cast('TEXT');
+        case 'INTEGER':
+        case 'INT':
+            return cast('INTEGER');
+        case 'BIGINT':
+        case 'SMALLINT':
+        case 'REAL':
+            return cast(name);
+        case 'DOUBLE':
+        case 'FLOAT':
+            return cast('DOUBLE PRECISION');
+        case 'DECFLOAT':
+            return cast('NUMERIC');
+        case 'DATE':
+        case 'TIME':
+            if (args.length === 1) return cast(name);
+            break;
+        case 'TIMESTAMP':
+            if (args.length === 1) return cast('TIMESTAMP');
+            if (args.length === 2) return `(CAST(${args[0]} AS DATE) + CAST(${args[1]} AS TIME))`;
+            break;
+        case 'YEAR':
+        case 'MONTH':
+        case 'DAY':
+        case 'HOUR':
+        case 'MINUTE':
+            return extract(name);
+        case 'SECOND':
+            return `CAST(FLOOR(EXTRACT(SECOND FROM ${args[0]})) AS INTEGER)`;
+        case 'MICROSECOND':
+            return `CAST(EXTRACT(MICROSECONDS FROM ${args[0]}) AS INTEGER) % 1000000`;
+        case 'DAYOFWEEK':
+            return `(${extract('DOW')} + 1)`;
+        case 'DAYOFYEAR':
+            return extract('DOY');
+        case 'QUARTER':
+            return extract('QUARTER');
+        case 'LCASE':
+            return call('LOWER');
+        case 'UCASE':
+            return call('UPPER');
+        case 'STRIP':
+            if (args.length === 1) return call('TRIM');
+            break;
+        case 'POSSTR':
+            return `POSITION(${args[1]} IN ${args[0]})`;
+        case 'LOCATE':
+            if (args.length === 2) return `POSITION(${args[0]} IN ${args[1]})`;
+            break;
+        case 'RAND':
+            return 'RANDOM()';
+        case 'LISTAGG':
+            return call('STRING_AGG', args.length === 1 ? [args[0], "''"] : args);
+        default:
+            if (UNSUPPORTED_FUNCTIONS.has(name)) {
+                issues.push(`DB2 function ${name}() has no PostgreSQL equivalent`);
+            }
+            return call(name);
+    }
+
+    issues.push(`DB2 function ${name}() with ${args.length} arguments cannot be translated`);
+    return call(name);
+}
+
+/**
+ * Translate a DB2 view definition into a PostgreSQL SELECT statement.
+ * Returns `{ name, columns, sql, issues }`; a view with issues should not be created.
+ */
+export function translateViewDefinition(text) {
+    const { name, columns, body } = parseViewDefinition(text);
+    const issues = [];
+    const sql = translateTokens(body, issues).trim().replace(/;\s*$/, '');
+    return { name, columns, sql, issues };
+}
@@ -0,0 +1,446 @@
+// test/memorytarget.js
+
+import { parsePostgresType } from '../src/drift.js';
+import { isDataError } from '../src/retry.js';
+import { StreamedValue } from '../src/streaming.js';
+
+/*
+ * In-memory stand-in for PostgreSQL as a target adapter (see adapters.js), for tests
+ * driving a Replicator with the in-memory source. Tables keep their columns with the
+ * PostgreSQL types they were created with, reported like information_schema.columns
+ * does, their primary key and their rows; the state tables (watermarks, checkpoints,
+ * run history, dead letters) are kept as plain objects. Rows violating the primary key
+ * or a NOT NULL column are rejected with PostgreSQL's SQLSTATEs, and set aside like
+ * loadSettingAside does. Views are only recorded, and aggregates and dry runs are not
+ * supported.
+ *
+ * Its pool hands out clients up to the size it is created with, as pg's pool does.
+ *
+ * `failNext(method, error)` makes the next call of an adapter method fail, by default
+ * with a lost connection, which also closes the client it was called on.
+ */
+
+const SHADOW_SUFFIX = '__shadow';
+const SOFT_DELETE_COLUMN = '_deleted_at';
+const POOL_CONNECT_TIMEOUT_MS = 100;
+
+const qualified = (schema, name) => `${schema}.${name}`;
+
+// JSONB columns hand back what JSON holds, e.g. dates as strings
+const asJson = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+function connectionLost() {
+    const error = new Error('Connection terminated unexpectedly');
+    error.code = 'ECONNRESET';
+    return error;
+}
+
+function sqlError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function compareValues(a, b) {
+    const aNull = a === null || a === undefined;
+    const bNull = b === null || b === undefined;
+    if (aNull || bNull) return aNull === bNull ? 0 : (aNull ? 1 : -1);
+    if (a instanceof Date || b instanceof Date) return new Date(a).getTime() - new Date(b).getTime();
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a) < String(b) ? -1 : (String(a) > String(b) ? 1 : 0);
+}
+
+function compareKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        const order = compareValues(a[i], b[i]);
+        if (order !== 0) return order;
+    }
+    return 0;
+}
+
+// Test of the rows a filter selects; only key predicates have one
+function matcher(filter) {
+    if (!filter || !filter.where) return () => true;
+    if (!filter.keys) throw new Error(`The in-memory target cannot evaluate the SQL filter ${filter.where}`);
+    return (row) => filter.keys.every(({ columns, values, inclusive, before }) => {
+        const order = compareKeys(columns.map(column => row[column]), values);
+        return (before ? order < 0 : order > 0) || (inclusive && order === 0);
+    });
+}
+
+// A row of information_schema.columns for a column created with a PostgreSQL type
+function informationSchemaColumn(column) {
+    const { base, params } = parsePostgresType(column.type);
+    const length = ['character varying', 'character'].includes(base) ? params[0] ?? null : null;
+    const numeric = base === 'numeric' && params.length > 0;
+    const datetime = ['timestamp without time zone', 'time without time zone'].includes(base) && params.length > 0;
+    return {
+        column_name: column.name,
+        data_type: base,
+        udt_name: base,
+        character_maximum_length: length,
+        numeric_precision: numeric ? params[0] : null,
+        numeric_scale: numeric ? params[1] ?? 0 : null,
+        datetime_precision: datetime ? params[0] : null,
+        is_nullable: column.nullable === false ? 'NO' : 'YES',
+    };
+}
+
+/**
+ * Create an in-memory target. The adapter also offers `table(schema, name)`, the
+ * relation with its `columns`, `primaryKey` and `rows`, `state`, the bookkeeping
+ * (`watermarks`, `checkpoints`, `rangeCheckpoints`, `history`, `deadLetters`), and
+ * `failNext(method, error)`.
+ */
+export function createMemoryTarget() {
+    const relations = new Map();
+    const state = { watermarks: new Map(), checkpoints: new Map(), rangeCheckpoints: new Map(), history: [], deadLetters: [] };
+    const failures = [];
+
+    const lookup = (schema, name) => relations.get(qualified(schema, name)) || null;
+    const tableOf = (schema, name) => {
+        const relation = lookup(schema, name);
+        if (!relation || relation.kind !== 'table') {
+            throw sqlError(`relation "${qualified(schema, name)}" does not exist`, '42P01');
+        }
+        return relation;
+    };
+    const keyOf = (relation, row) => relation.primaryKey.map(pk => row[pk]);
+    const clear = (map, schema, table) => {
+        for (const key of [...map.keys()]) {
+            if (table ? key === qualified(schema, table) : key.startsWith(`${schema}.`)) map.delete(key);
+        }
+    };
+
+    // Insert the rows of a chunk all or nothing; with `rejects` the rows violating a
+    // constraint are set aside instead, up to the limit of rejected rows
+    const insertRows = async (relation, columns, chunk, rejects = null) => {
+        const accepted = [];
+        for (const row of chunk) {
+            const values = {};
+            for (const column of columns) {
+                const value = row[column.name] ?? null;
+                values[column.name] = value instanceof StreamedValue ? await value.materialize() : value;
+            }
+            const missing = relation.columns.find(column => column.nullable === false && values[column.name] === null);
+            const duplicate = relation.primaryKey.length > 0 && [...relation.rows, ...accepted]
+                .some(existing => compareKeys(keyOf(relation, existing), keyOf(relation, values)) === 0);
+            const error = missing
+                ? sqlError(`null value in column "${missing.name}" violates not-null constraint`, '23502')
+                : duplicate ? sqlError('duplicate key value violates unique constraint', '23505') : null;
+            if (!error) {
+                accepted.push(values);
+                continue;
+            }
+            if (!rejects || !isDataError(error)) throw error;
+            if (!rejects.reserve()) throw new Error(`Too many rows rejected by ${relation.name}, the last one with: ${error.message}`);
+            rejects.rows.push({ row, error });
+        }
+        relation.rows.push(...accepted);
+        return accepted.length;
+    };
+
+    const deleteKeys = (relation, keys) => {
+        const before = relation.rows.length;
+        relation.rows = relation.rows.filter(row => !keys.some(key => compareKeys(keyOf(relation, row), key) === 0));
+        return before - relation.rows.length;
+    };
+
+    // Every adapter method fails while its client is closed or a failure is queued
+    const operation = (method, fn) => async (client, ...args) => {
+        if (client && client.closed) throw connectionLost();
+        const index = failures.findIndex(failure => failure.method === method);
+        if (index >= 0) {
+            const [{ error }] = failures.splice(index, 1);
+            if (!error && client) client.closed = true;
+            throw error || connectionLost();
+        }
+        return fn(client, ...args);
+    };
+
+    const createTable = (schema, name, columns, primaryKey) => {
+        const relation = { kind: 'table', schema, name, columns, primaryKey, rows: [], indexes: [], foreignKeys: [] };
+        relations.set(qualified(schema, name), relation);
+        return relation;
+    };
+
+    return {
+        // A client waited for longer than POOL_CONNECT_TIMEOUT_MS is refused, instead of hanging the test
+        createPool(settings, size = Infinity) {
+            let checkedOut = 0;
+            const waiting = [];
+            const client = () => {
+                checkedOut++;
+                let released = false;
+                return {
+                    closed: false,
+                    release(destroy = false) {
+                        if (destroy) this.closed = true;
+                        if (released) return;
+                        released = true;
+                        checkedOut--;
+                        if (waiting.length > 0) waiting.shift()();
+                    },
+                };
+            };
+            return {
+                async connect() {
+                    if (checkedOut < size) return client();
+                    return new Promise((resolve, reject) => {
+                        const grant = () => {
+                            clearTimeout(timer);
+                            resolve(client());
+                        };
+                        const timer = setTimeout(() => {
+                            waiting.splice(waiting.indexOf(grant), 1);
+                            reject(new Error('timeout exceeded when trying to connect'));
+                        }, POOL_CONNECT_TIMEOUT_MS);
+                        waiting.push(grant);
+                    });
+                },
+                async end() {},
+            };
+        },
+
+        dropSchema: operation('dropSchema', (client, schema) => {
+            for (const [key, relation] of relations) {
+                if (relation.schema === schema) relations.delete(key);
+            }
+        }),
+
+        ensureSchemaExists: operation('ensureSchemaExists', () => {}),
+
+        ensureTableExists: operation('ensureTableExists', (client, schema, table, columns, primaryKeys) => {
+            if (lookup(schema, table)) return false;
+            createTable(schema, table, columns.map(({ name, type, nullable }) => ({ name, type, nullable })), [...(primaryKeys || [])]);
+            return true;
+        }),
+
+        getColumns: operation('getColumns', (client, schema, table) => {
+            const relation = lookup(schema, table);
+            return relation && relation.kind === 'table' ? relation.columns.map(informationSchemaColumn) : [];
+        }),
+
+        addColumn: operation('addColumn', (client, schema, table, column) => {
+            tableOf(schema, table).columns.push({ name: column.name, type: column.type, nullable: true });
+        }),
+
+        alterColumnType: operation('alterColumnType', (client, schema, table, columnName, type) => {
+            tableOf(schema, table).columns.find(column => column.name === columnName).type = type;
+        }),
+
+        dropColumn: operation('dropColumn', (client, schema, table, columnName) => {
+            const relation = tableOf(schema, table);
+            relation.columns = relation.columns.filter(column => column.name !== columnName);
+            for (const row of relation.rows) delete row[columnName];
+        }),
+
+        ensureIndexes: operation('ensureIndexes', (client, schema, table, indexes, nameSuffix = '') => {
+            const relation = tableOf(schema, table);
+            for (const index of indexes) {
+                if (!relation.indexes.includes(`${index.name}${nameSuffix}`)) relation.indexes.push(`${index.name}${nameSuffix}`);
+            }
+        }),
+
+        dropForeignKeys: operation('dropForeignKeys', (client, schema, table) => {
+            const relation = lookup(schema, table);
+            if (!relation) return 0;
+            const count = relation.foreignKeys.length;
+            relation.foreignKeys = [];
+            return count;
+        }),
+
+        addForeignKey: operation('addForeignKey', (client, schema, table, foreignKey, refSchema, refTable) => {
+            tableOf(refSchema, refTable);
+            tableOf(schema, table).foreignKeys.push({ ...foreignKey, refSchema, refTable });
+        }),
+
+        getLastPrimaryKey: operation('getLastPrimaryKey', (client, schema, table, primaryKeys) => {
+            const relation = lookup(schema, table);
+            if (primaryKeys.length === 0 || !relation || relation.rows.length === 0) return null;
+            const last = relation.rows.reduce((max, row) =>
+                (compareKeys(primaryKeys.map(pk => row[pk]), primaryKeys.map(pk => max[pk])) > 0 ? row : max));
+            return Object.fromEntries(primaryKeys.map(pk => [pk, last[pk]]));
+        }),
+
+        ensureStateTables: operation('ensureStateTables', () => {}),
+
+        getWatermark: operation('getWatermark', (client, stateSchema, schema, table) =>
+            state.watermarks.get(qualified(schema, table)) ?? null),
+
+        saveWatermark: operation('saveWatermark', (client, stateSchema, schema, table, watermark) => {
+            state.watermarks.set(qualified(schema, table), asJson(watermark));
+        }),
+
+        clearWatermarks: operation('clearWatermarks', (client, stateSchema, schema, table = null) => {
+            clear(state.watermarks, schema, table);
+        }),
+
+        getCheckpoint: operation('getCheckpoint', (client, stateSchema, schema, table) => {
+            const checkpoint = state.checkpoints.get(qualified(schema, table));
+            return checkpoint ? { ...checkpoint } : null;
+        }),
+
+        getRangeCheckpoints: operation('getRangeCheckpoints', (client, stateSchema, schema, table) =>
+            (state.rangeCheckpoints.get(qualified(schema, table)) || []).map(checkpoint => ({ ...checkpoint }))),
+
+        saveRangeCheckpoints: operation('saveRangeCheckpoints', (client, stateSchema, schema, table, { runId, loadTable, pagingKey, ranges }) => {
+            state.rangeCheckpoints.set(qualified(schema, table), ranges.map((range, index) => ({
+                index, runId, loadTable, pagingKey: asJson(pagingKey), range: asJson(range),
+                lastKey: null, rowsLoaded: 0, status: 'pending', error: null,
+            })));
+        }),
+
+        finishRangeCheckpoint: operation('finishRangeCheckpoint', (client, stateSchema, schema, table, index, status, error = null) => {
+            const checkpoint = (state.rangeCheckpoints.get(qualified(schema, table)) || []).find(range => range.index === index);
+            if (checkpoint) Object.assign(checkpoint, { status, error });
+        }),
+
+        loadChunkWithCheckpoint: operation('loadChunkWithCheckpoint',
+            async (client, stateSchema, schema, table, columns, chunk, method, checkpoint, rejects = null) => {
+                const loadedCount = await insertRows(tableOf(schema, checkpoint.loadTable), columns, chunk, rejects);
+                const { runId, loadTable, pagingKey, lastKey, rowsLoaded } = checkpoint;
+                if (checkpoint.range !== undefined) {
+                    const range = state.rangeCheckpoints.get(qualified(schema, table)).find(({ index }) => index === checkpoint.range);
+                    Object.assign(range, { runId, lastKey: asJson(lastKey), rowsLoaded, status: 'running', error: null });
+                } else {
+                    state.checkpoints.set(qualified(schema, table), {
+                        runId, loadTable, pagingKey: asJson(pagingKey), lastKey: asJson(lastKey), rowsLoaded,
+                    });
+                }
+                return loadedCount;
+            }),
+
+        clearCheckpoints: operation('clearCheckpoints', (client, stateSchema, schema, table = null) => {
+            clear(state.checkpoints, schema, table);
+            clear(state.rangeCheckpoints, schema, table);
+        }),
+
+        startRunHistory: operation('startRunHistory', (client, stateSchema, runId, schema, table) => {
+            state.history.push({ runId, schema, table, startedAt: new Date(), finishedAt: null, status: 'running' });
+        }),
+
+        finishRunHistory: operation('finishRunHistory', (client, stateSchema, runId, schema, table, { status, action, rows, deleted, error }) => {
+            const entry = state.history.find(run => run.runId === runId && run.schema === schema && run.table === table);
+            if (entry) Object.assign(entry, { finishedAt: new Date(), status, action, rows, deleted, error });
+        }),
+
+        getLastRefreshes: operation('getLastRefreshes', () => {
+            const lastRefreshes = new Map();
+            for (const { schema, table, status, finishedAt } of state.history) {
+                const key = qualified(schema, table);
+                if (status === 'succeeded' && !(lastRefreshes.get(key)?.lastSuccessAt > finishedAt)) {
+                    lastRefreshes.set(key, { schema, table, lastSuccessAt: finishedAt });
+                }
+            }
+            return [...lastRefreshes.values()];
+        }),
+
+        saveDeadLetters: operation('saveDeadLetters', (client, stateSchema, runId, schema, table, entries) => {
+            state.deadLetters.push(...entries.map(entry => ({ runId, schema, table, ...entry })));
+        }),
+
+        loadChunkAtomically: operation('loadChunkAtomically', (client, schema, table, columns, chunk, method, rejects = null) =>
+            insertRows(tableOf(schema, table), columns, chunk, rejects)),
+
+        upsertRows: operation('upsertRows', async (client, schema, table, columns, primaryKeys, chunk, method, rejects = null) => {
+            const relation = tableOf(schema, table);
+            const previous = relation.rows;
+            deleteKeys(relation, chunk.map(row => primaryKeys.map(pk => row[pk])));
+            const removed = previous.filter(row => !relation.rows.includes(row));
+            const insertedCount = await insertRows(relation, columns, chunk, rejects);
+            // Rejected rows keep their previous version
+            for (const { row } of rejects ? rejects.rows : []) {
+                const kept = removed.find(old => compareKeys(keyOf(relation, old), keyOf(relation, row)) === 0);
+                if (kept) relation.rows.push(kept);
+            }
+            return insertedCount;
+        }),
+
+        deleteRows: operation('deleteRows', (client, schema, table, primaryKeys, keys) => deleteKeys(tableOf(schema, table), keys)),
+
+        softDeleteRows: operation('softDeleteRows', (client, schema, table, primaryKeys, keys) => {
+            const marked = tableOf(schema, table).rows.filter(row => row[SOFT_DELETE_COLUMN] == null &&
+                keys.some(key => compareKeys(primaryKeys.map(pk => row[pk]), key) === 0));
+            for (const row of marked) row[SOFT_DELETE_COLUMN] = new Date();
+            return marked.length;
+        }),
+
+        ensureSoftDeleteColumn: operation('ensureSoftDeleteColumn', (client, schema, table) => {
+            const relation = tableOf(schema, table);
+            if (!relation.columns.some(column => column.name === SOFT_DELETE_COLUMN)) {
+                relation.columns.push({ name: SOFT_DELETE_COLUMN, type: 'TIMESTAMPTZ', nullable: true });
+            }
+        }),
+
+        fetchKeys: operation('fetchKeys', (client, schema, table, primaryKeys, limit, filter = null) => {
+            const matches = matcher(filter);
+            return tableOf(schema, table).rows
+                .filter(matches)
+                .map(row => primaryKeys.map(pk => row[pk]))
+                .sort(compareKeys)
+                .slice(0, limit);
+        }),
+
+        createView: operation('createView', (client, schema, viewName, selectStatement, columns = null) => {
+            relations.set(qualified(schema, viewName), { kind: 'view', schema, name: viewName, text: selectStatement, columns });
+        }),
+
+        createMaterializedView: operation('createMaterializedView', (client, schema, viewName, selectStatement, columns = null) => {
+            relations.set(qualified(schema, viewName), { kind: 'materialized', schema, name: viewName, text: selectStatement, columns });
+        }),
+
+        getRelationKind: operation('getRelationKind', (client, schema, name) => {
+            const relation = lookup(schema, name);
+            return relation ? relation.kind : null;
+        }),
+
+        dropRelation: operation('dropRelation', (client, schema, name) => {
+            relations.delete(qualified(schema, name));
+        }),
+
+        getRowCount: operation('getRowCount', (client, schema, table, filter = null) => {
+            const relation = lookup(schema, table);
+            return relation && relation.kind === 'table' ? relation.rows.filter(matcher(filter)).length : -1;
+        }),
+
+        createShadowTable: operation('createShadowTable', (client, schema, table) => {
+            const shadow = `${table}${SHADOW_SUFFIX}`;
+            createTable(schema, shadow, tableOf(schema, table).columns.map(column => ({ ...column })), []);
+            return shadow;
+        }),
+
+        swapShadowTable: operation('swapShadowTable', (client, schema, table, shadow, primaryKeys, indexes) => {
+            const relation = tableOf(schema, shadow);
+            relations.delete(qualified(schema, shadow));
+            Object.assign(relation, { name: table, primaryKey: [...primaryKeys], indexes: indexes.map(index => index.name) });
+            relations.set(qualified(schema, table), relation);
+        }),
+
+        dropTable: operation('dropTable', (client, schema, table) => {
+            relations.delete(qualified(schema, table));
+        }),
+
+        truncateTable: operation('truncateTable', (client, schema, table) => {
+            tableOf(schema, table).rows = [];
+        }),
+
+        getAggregates: operation('getAggregates', (client, schema, table) => {
+            throw new Error(`The in-memory target cannot compute the SQL aggregates of ${qualified(schema, table)}`);
+        }),
+
+        getRowsByKey: operation('getRowsByKey', (client, schema, table, columns, primaryKeys, keys) => tableOf(schema, table).rows
+            .filter(row => keys.some(key => compareKeys(primaryKeys.map(pk => row[pk]), key) === 0))
+            .map(row => Object.fromEntries(columns.map(column => [column.name, row[column.name] === null ? null : String(row[column.name])])))),
+
+        table(schema, name) {
+            return lookup(schema, name);
+        },
+
+        state,
+
+        failNext(method, error = null) {
+            failures.push({ method, error });
+        },
+    };
+}
@@ -0,0 +1,106 @@
+// test/postgres.test.js
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLastPrimaryKey, getPostgresRowCount, swapShadowTable, SOFT_DELETE_COLUMN } from '../src/postgres.js';
+
+/*
+ * Statements of the PostgreSQL target, run against a client that records them.
+ */
+
+before(() => {
+    for (const method of ['log', 'error', 'warn']) mock.method(console, method, () => {});
+});
+after(() => mock.restoreAll());
+
+// A client answering every query with the rows `respond` returns for it, or throws,
+// keeping the statements it got
+function recordingClient(respond = () => []) {
+    const statements = [];
+    return {
+        statements,
+        async query(text, params = []) {
+            statements.push({ text, params });
+            const rows = respond(text, params);
+            return { rows, rowCount: rows.length };
+        },
+    };
+}
+
+// The statements of a client with their whitespace collapsed, as written in the tests
+const statementsOf = (client) => client.statements.map(({ text }) => text.replace(/\s+/g, ' ').trim());
+
+describe('getLastPrimaryKey', () => {
+    it('reads TIMESTAMP and DATE keys as text in DB2 notation', async () => {
+        const client = recordingClient(() => [{ DAY: '2024-01-05', AT: '2024-01-05-10.30.00.123456', ID: 7 }]);
+        const columns = [{ name: 'DAY', db2Type: 'DATE' }, { name: 'AT', db2Type: 'TIMESTAMP' }, { name: 'ID', db2Type: 'INTEGER' }];
+
+        const key = await getLastPrimaryKey(client, 'S', 'T', ['DAY', 'AT', 'ID'], columns);
+
+        assert.deepEqual(key, { DAY: '2024-01-05', AT: '2024-01-05-10.30.00.123456', ID: 7 });
+        assert.match(client.statements[0].text, /^SELECT to_char\("DAY", 'YYYY-MM-DD'\) AS "DAY", to_char\("AT", 'YYYY-MM-DD-HH24\.MI\.SS\.US'\) AS "AT", "ID" FROM "S"\."T"/);
+    });
+});
+
+describe('getPostgresRowCount', () => {
+    it('counts the rows a filter selects, such as those not marked deleted', async () => {
+        const client = recordingClient(() => [{ count: '7' }]);
+
+        const count = await getPostgresRowCount(client, 'S', 'T', { where: `"${SOFT_DELETE_COLUMN}" IS NULL AND "ID" > ?`, params: [3] });
+
+        assert.equal(count, 7);
+        assert.deepEqual(client.statements, [{ text: `SELECT COUNT(*) FROM "S"."T" WHERE "${SOFT_DELETE_COLUMN}" IS NULL AND "ID" > $1`, params: [3] }]);
+    });
+});
+
+describe('swapShadowTable', () => {
+    const dependents = (text) => {
+        if (text.includes('pg_rewrite')) {
+            return [
+                { schema: 'S', name: 'V', relkind: 'v', definition: ' SELECT t.id\n   FROM "S"."T" t;', indexes: [] },
+                { schema: 'R', name: 'M', relkind: 'm', definition: ' SELECT v.id\n   FROM "S"."V" v;', indexes: ['CREATE INDEX m_id ON "R"."M" USING btree (id)'] },
+            ];
+        }
+        if (text.includes('pg_constraint')) {
+            return [{ schema: 'S', table: 'CHILD', name: 'CHILD_T', definition: 'FOREIGN KEY ("T_ID") REFERENCES "S"."T"("ID")' }];
+        }
+        return [];
+    };
+
+    it('recreates the views and foreign keys depending on the table in the swap transaction', async () => {
+        const client = recordingClient(dependents);
+
+        await swapShadowTable(client, 'S', 'T', 'T__shadow', ['ID'], []);
+
+        const statements = statementsOf(client);
+        const swap = statements.slice(statements.indexOf('BEGIN'));
+        assert.deepEqual(swap.filter(text => !text.startsWith('WITH RECURSIVE') && !text.includes('pg_constraint')), [
+            'BEGIN',
+            'DROP TABLE "S"."T" CASCADE',
+            'ALTER TABLE "S"."T__shadow" RENAME TO "T"',
+            'ALTER TABLE "S"."T" RENAME CONSTRAINT "T__shadow_pkey" TO "T_pkey"',
+            'CREATE VIEW "S"."V" AS SELECT t.id FROM "S"."T" t',
+            'CREATE MATERIALIZED VIEW "R"."M" AS SELECT v.id FROM "S"."V" v',
+            'CREATE INDEX m_id ON "R"."M" USING btree (id)',
+            'ALTER TABLE "S"."CHILD" ADD CONSTRAINT "CHILD_T" FOREIGN KEY ("T_ID") REFERENCES "S"."T"("ID")',
+            'COMMIT',
+        ]);
+        // The dependents are read within the transaction, before the table is dropped
+        assert.ok(swap.findIndex(text => text.includes('pg_rewrite')) < swap.indexOf('DROP TABLE "S"."T" CASCADE'));
+    });
+
+    it('rolls the swap back when a dependent cannot be recreated', async () => {
+        const client = recordingClient((text) => {
+            if (text.includes('ADD CONSTRAINT "CHILD_T"')) {
+                throw Object.assign(new Error('insert or update on table "CHILD" violates foreign key constraint'), { code: '23503' });
+            }
+            return dependents(text);
+        });
+
+        await assert.rejects(swapShadowTable(client, 'S', 'T', 'T__shadow', ['ID'], []), /violates foreign key constraint/);
+
+        const statements = statementsOf(client);
+        assert.equal(statements[statements.length - 1], 'ROLLBACK');
+        assert.ok(!statements.includes('COMMIT'));
+    });
+});
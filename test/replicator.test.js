@@ -0,0 +1,322 @@
+// test/replicator.test.js
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Replicator, createMemorySource } from '../src/replicator.js';
+import { createMemoryTarget } from './memorytarget.js';
+
+/*
+ * Replication runs driven through a Replicator, from the in-memory source into the
+ * in-memory stand-in for PostgreSQL: full refreshes, incremental loads, schema drift
+ * and failures, with connections lost through failNext.
+ */
+
+// The runs report their progress on the console
+before(() => {
+    for (const method of ['log', 'error', 'warn']) mock.method(console, method, () => {});
+});
+after(() => mock.restoreAll());
+
+function ordersTable(count = 10) {
+    return {
+        schema: 'SALES', name: 'ORDERS', primaryKey: ['ID'],
+        columns: [
+            { name: 'ID', type: 'INTEGER', nullable: false },
+            { name: 'STATUS', type: 'VARCHAR', length: 10 },
+            { name: 'VERSION', type: 'INTEGER', nullable: false },
+        ],
+        rows: Array.from({ length: count }, (_, i) => ({ ID: i + 1, STATUS: 'OPEN', VERSION: i + 1 })),
+    };
+}
+
+function customersTable() {
+    return {
+        schema: 'SALES', name: 'CUSTOMERS', primaryKey: ['ID'],
+        columns: [{ name: 'ID', type: 'INTEGER', nullable: false }, { name: 'NAME', type: 'VARCHAR', length: 20 }],
+        rows: [{ ID: 1, NAME: 'Ada' }, { ID: 2, NAME: 'Grace' }],
+    };
+}
+
+// A replicator over fresh in-memory databases, chunks of three rows and retries without delay
+function setup({ tables = [ordersTable()], entries = [{ source: 'SALES.ORDERS' }], replication = {}, settings = {} } = {}) {
+    const source = createMemorySource({ tables });
+    const target = createMemoryTarget();
+    const replicator = new Replicator({
+        replication: { tables: entries, chunkSize: 3, foreignKeys: false, ...replication },
+        retry: { attempts: 3, initialDelay: 1, maxDelay: 1 },
+        ...settings,
+    }, { source, target });
+    return { source, target, replicator };
+}
+
+async function runTable(replicator, name = 'SALES.ORDERS') {
+    const { tables } = await replicator.run();
+    return tables.find(result => result.name === name);
+}
+
+// Rows of a table in key order, as the source holds them or the target was loaded
+const sorted = (rows) => [...rows].sort((a, b) => a.ID - b.ID);
+const rowsOf = (database, name = 'ORDERS') => sorted(database.table('SALES', name).rows);
+
+describe('full refresh', () => {
+    it('loads every row in chunks and records the run', async () => {
+        const { source, target, replicator } = setup();
+        const chunks = [];
+        replicator.on('chunkLoaded', chunk => chunks.push(chunk));
+
+        const result = await runTable(replicator);
+
+        assert.equal(result.status, 'succeeded');
+        assert.equal(result.action, 'loaded');
+        assert.equal(result.rows, 10);
+        assert.deepEqual(chunks.map(chunk => chunk.rows), [3, 3, 3, 1]);
+        assert.equal(chunks[chunks.length - 1].totalRows, 10);
+        assert.deepEqual(rowsOf(target), rowsOf(source));
+        assert.deepEqual(target.state.history.map(({ table, status, rows }) => ({ table, status, rows })),
+            [{ table: 'ORDERS', status: 'succeeded', rows: 10 }]);
+        assert.equal(target.state.checkpoints.size, 0);
+    });
+
+    it('skips a table whose row counts match and reloads one whose counts differ', async () => {
+        const { source, target, replicator } = setup();
+        await runTable(replicator);
+
+        assert.equal((await runTable(replicator)).action, 'skipped');
+
+        source.table('SALES', 'ORDERS').rows.splice(4, 1);
+        const result = await runTable(replicator);
+        assert.equal(result.action, 'loaded');
+        assert.equal(result.rows, 9);
+        assert.deepEqual(rowsOf(target), rowsOf(source));
+    });
+
+    it('loads a table in key ranges over connections of a pool sized for the range workers', async () => {
+        const { source, target, replicator } = setup({
+            tables: [ordersTable(30), customersTable()],
+            entries: [{ source: 'SALES.ORDERS', ranges: 4 }, { source: 'SALES.CUSTOMERS' }],
+            replication: { parallelism: 2, rangeMinRows: 1 },
+        });
+
+        const { tables } = await replicator.run();
+
+        assert.deepEqual(tables.map(({ name, status, rows }) => ({ name, status, rows })).sort((a, b) => a.name.localeCompare(b.name)), [
+            { name: 'SALES.CUSTOMERS', status: 'succeeded', rows: 2 },
+            { name: 'SALES.ORDERS', status: 'succeeded', rows: 30 },
+        ]);
+        assert.deepEqual(rowsOf(target), rowsOf(source));
+    });
+
+    it('loads a shadow table and swaps it in with the swap strategy', async () => {
+        const { source, target, replicator } = setup({ replication: { refreshStrategy: 'swap' } });
+        await runTable(replicator);
+
+        const orders = source.table('SALES', 'ORDERS');
+        orders.rows.pop();
+        orders.rows[0].STATUS = 'SHIPPED';
+        const result = await runTable(replicator);
+
+        assert.equal(result.action, 'loaded');
+        assert.deepEqual(rowsOf(target), rowsOf(source));
+        assert.deepEqual(target.table('SALES', 'ORDERS').primaryKey, ['ID']);
+        assert.equal(target.table('SALES', 'ORDERS__shadow'), null);
+    });
+});
+
+describe('incremental', () => {
+    it('upserts the rows changed since the watermark of the change column', async () => {
+        const { source, target, replicator } = setup({
+            entries: [{ source: 'SALES.ORDERS', mode: 'incremental', changeColumn: 'VERSION' }],
+        });
+        assert.equal((await runTable(replicator)).rows, 10);
+        assert.deepEqual(target.state.watermarks.get('SALES.ORDERS'), { VERSION: 10 });
+
+        const orders = source.table('SALES', 'ORDERS');
+        Object.assign(orders.rows[2], { STATUS: 'SHIPPED', VERSION: 11 });
+        orders.rows.push({ ID: 11, STATUS: 'OPEN', VERSION: 12 });
+        const result = await runTable(replicator);
+
+        assert.equal(result.action, 'upserted');
+        // The rows at the watermark are read again, since more rows may share its value
+        assert.equal(result.rows, 3);
+        assert.deepEqual(rowsOf(target), rowsOf(source));
+        assert.deepEqual(target.state.watermarks.get('SALES.ORDERS'), { VERSION: 12 });
+    });
+
+    it('loads the rows after the highest key without a change column', async () => {
+        const { source, target, replicator } = setup({ entries: [{ source: 'SALES.ORDERS', mode: 'incremental' }] });
+        await runTable(replicator);
+
+        source.table('SALES', 'ORDERS').rows.push({ ID: 11, STATUS: 'OPEN', VERSION: 11 }, { ID: 12, STATUS: 'OPEN', VERSION: 12 });
+        const result = await runTable(replicator);
+
+        assert.equal(result.rows, 2);
+        assert.deepEqual(rowsOf(target), rowsOf(source));
+    });
+
+    it('deletes the rows gone from DB2, up to the share allowed', async () => {
+        const { source, target, replicator } = setup({
+            entries: [{ source: 'SALES.ORDERS', mode: 'incremental', deletes: 'delete', maxDeletePercent: 20 }],
+        });
+        await runTable(replicator);
+
+        const orders = source.table('SALES', 'ORDERS');
+        orders.rows.splice(1, 1);
+        const result = await runTable(replicator);
+        assert.equal(result.deleted, 1);
+        assert.deepEqual(rowsOf(target), rowsOf(source));
+
+        orders.rows.splice(0, 5);
+        const refused = await runTable(replicator);
+        assert.equal(refused.status, 'failed');
+        assert.match(refused.error, /Refusing to delete at least 3 of 9 rows/);
+        assert.equal(target.table('SALES', 'ORDERS').rows.length, 9);
+    });
+
+    it('stops reconciling the keys at the first rows gone from DB2 over the share allowed', async () => {
+        const { source, target, replicator } = setup({
+            tables: [ordersTable(30)],
+            entries: [{ source: 'SALES.ORDERS', mode: 'incremental', deletes: 'delete', maxDeletePercent: 20 }],
+        });
+        await runTable(replicator);
+
+        source.table('SALES', 'ORDERS').rows.splice(0, 29);
+        const fetchKeys = mock.method(target, 'fetchKeys');
+        const refused = await runTable(replicator);
+
+        assert.equal(refused.status, 'failed');
+        assert.match(refused.error, /Refusing to delete at least 9 of 30 rows of SALES\.ORDERS \(30\.0%, more than the 20% allowed\)/);
+        // Three pages of keys, of the ten up to the last key in DB2
+        assert.equal(fetchKeys.mock.callCount(), 3);
+        assert.equal(target.table('SALES', 'ORDERS').rows.length, 30);
+    });
+});
+
+describe('schema drift', () => {
+    it('adds a new column and reloads the rows to fill it', async () => {
+        const { source, target, replicator } = setup();
+        await runTable(replicator);
+
+        const orders = source.table('SALES', 'ORDERS');
+        orders.columns.push({ name: 'NOTE', type: 'VARCHAR', length: 20 });
+        orders.rows.forEach(row => { row.NOTE = `note ${row.ID}`; });
+        const result = await runTable(replicator);
+
+        assert.equal(result.action, 'loaded');
+        assert.deepEqual(target.table('SALES', 'ORDERS').columns.map(column => column.name), ['ID', 'STATUS', 'VERSION', 'NOTE']);
+        assert.deepEqual(rowsOf(target), rowsOf(source));
+    });
+
+    it('widens a column that grew in DB2', async () => {
+        const { source, target, replicator } = setup();
+        await runTable(replicator);
+
+        source.table('SALES', 'ORDERS').columns[1].length = 30;
+        assert.equal((await runTable(replicator)).status, 'succeeded');
+
+        assert.equal(target.table('SALES', 'ORDERS').columns[1].type, 'VARCHAR(30)');
+    });
+
+    it('fails the table without altering it when its drift policy is fail', async () => {
+        const { source, target, replicator } = setup({ replication: { drift: { drop: 'fail' } } });
+        await runTable(replicator);
+
+        const orders = source.table('SALES', 'ORDERS');
+        orders.columns.splice(1, 1);
+        orders.rows.forEach(row => { delete row.STATUS; });
+        const result = await runTable(replicator);
+
+        assert.equal(result.status, 'failed');
+        assert.match(result.error, /Schema drift in SALES\.ORDERS not allowed: drop STATUS/);
+        assert.deepEqual(target.table('SALES', 'ORDERS').columns.map(column => column.name), ['ID', 'STATUS', 'VERSION']);
+    });
+});
+
+describe('failures', () => {
+    it('fetches a chunk again once the lost DB2 connection is replaced', async () => {
+        const { source, target, replicator } = setup();
+        source.failNext('fetchChunk');
+
+        const result = await runTable(replicator);
+
+        assert.equal(result.status, 'succeeded');
+        assert.deepEqual(rowsOf(target), rowsOf(source));
+    });
+
+    it('writes a chunk again once the lost PostgreSQL connection is replaced', async () => {
+        const { source, target, replicator } = setup();
+        target.failNext('loadChunkWithCheckpoint');
+
+        const result = await runTable(replicator);
+
+        assert.equal(result.status, 'succeeded');
+        assert.equal(result.rows, 10);
+        assert.deepEqual(rowsOf(target), rowsOf(source));
+    });
+
+    it('fails a table on a permanent error, goes on with the others and resumes it from its checkpoint', async () => {
+        const { source, target, replicator } = setup({
+            tables: [ordersTable(), customersTable()],
+            entries: [{ source: 'SALES.ORDERS' }, { source: 'SALES.CUSTOMERS' }],
+        });
+        const permanent = new Error('[IBM][CLI Driver][DB2/LINUXX8664] SQL0551N The user does not have the privilege. SQLSTATE=42501');
+        const errors = [];
+        replicator.on('error', ({ name, error }) => errors.push([name, error]));
+        replicator.once('chunkLoaded', () => source.failNext('fetchChunk', permanent));
+
+        const { tables } = await replicator.run();
+
+        assert.deepEqual(tables.map(({ name, status, rows }) => ({ name, status, rows })), [
+            { name: 'SALES.ORDERS', status: 'failed', rows: 3 },
+            { name: 'SALES.CUSTOMERS', status: 'succeeded', rows: 2 },
+        ]);
+        assert.deepEqual(errors, [['SALES.ORDERS', permanent]]);
+        assert.equal(target.state.checkpoints.get('SALES.ORDERS').rowsLoaded, 3);
+
+        const resumed = await runTable(replicator);
+        assert.equal(resumed.status, 'succeeded');
+        assert.equal(resumed.rows, 7);
+        assert.deepEqual(rowsOf(target), rowsOf(source));
+        assert.equal(target.state.checkpoints.size, 0);
+    });
+
+    it('sets rows PostgreSQL rejects aside in the dead-letter table', async () => {
+        const table = ordersTable();
+        table.columns[1].nullable = false;
+        table.rows[4].STATUS = null;
+        const { target, replicator } = setup({
+            tables: [table],
+            entries: [{ source: 'SALES.ORDERS', maxRejectedRows: 1 }],
+            settings: { deadLetter: { target: 'table' } },
+        });
+
+        const result = await runTable(replicator);
+
+        assert.equal(result.status, 'succeeded');
+        assert.equal(result.rows, 9);
+        assert.equal(result.rejected, 1);
+        assert.deepEqual(target.state.deadLetters.map(({ key, sqlstate }) => ({ key, sqlstate })), [{ key: '{"ID":5}', sqlstate: '23502' }]);
+        assert.equal(target.table('SALES', 'ORDERS').rows.length, 9);
+    });
+});
+
+describe('in-memory source', () => {
+    it('rejects tables with a where clause instead of loading every row', async () => {
+        const { target, replicator } = setup({ entries: [{ source: 'SALES.ORDERS', where: "STATUS = 'OPEN'" }] });
+
+        const result = await runTable(replicator);
+
+        assert.equal(result.status, 'failed');
+        assert.match(result.error, /in-memory source cannot evaluate the SQL filter .*tables with a where clause need DB2/);
+        assert.equal(target.table('SALES', 'ORDERS').rows.length, 0);
+    });
+
+    it('rejects verification', async () => {
+        const { replicator } = setup();
+        await runTable(replicator);
+
+        const [result] = await replicator.verify();
+
+        assert.equal(result.passed, false);
+        assert.match(result.error, /in-memory source cannot compute the SQL aggregates of SALES\.ORDERS: verification needs DB2/);
+    });
+});
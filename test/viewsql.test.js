@@ -0,0 +1,45 @@
+// test/viewsql.test.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { translateViewDefinition } from '../src/viewsql.js';
+
+/*
+ * Translation of DB2 view definitions into PostgreSQL, and the constructs reported as issues.
+ */
+
+const translate = (select) => translateViewDefinition(`CREATE VIEW S.V AS ${select}`);
+
+describe('DB2 catalog', () => {
+    it('selects without a FROM clause from the one-row table SYSIBM.SYSDUMMY1', () => {
+        const { sql, issues } = translate('SELECT CURRENT DATE AS D FROM SYSIBM.SYSDUMMY1 X UNION SELECT 1 FROM "SYSIBM"."SYSDUMMY1"');
+
+        assert.equal(sql, 'SELECT CURRENT_DATE AS "D" UNION SELECT 1');
+        assert.deepEqual(issues, []);
+    });
+
+    it('reports catalog tables, and SYSIBM.SYSDUMMY1 joined with other tables', () => {
+        assert.deepEqual(translate('SELECT TABNAME FROM SYSCAT.TABLES').issues,
+            ['DB2 catalog object SYSCAT.TABLES has no PostgreSQL equivalent']);
+        assert.deepEqual(translate('SELECT * FROM SYSIBM.SYSDUMMY1, T').issues,
+            ['DB2 catalog object SYSIBM.SYSDUMMY1 has no PostgreSQL equivalent']);
+    });
+});
+
+describe('CHAR()', () => {
+    it('casts DATE values and strings to text', () => {
+        const { sql, issues } = translate("SELECT CHAR(CURRENT DATE), CHAR(DATE(TS)), VARCHAR('x'), CHAR(CAST(A AS VARCHAR(10)), ISO), CHAR(A, 10) FROM T");
+
+        assert.equal(sql, 'SELECT CAST(CURRENT_DATE AS TEXT), CAST(CAST("TS" AS DATE) AS TEXT), CAST(\'x\' AS TEXT), '
+            + 'CAST(CAST("A" AS VARCHAR(10)) AS TEXT), CAST("A" AS CHAR(10)) FROM "T"');
+        assert.deepEqual(issues, []);
+    });
+
+    it('reports values that may be a TIMESTAMP or TIME, whose text differs in PostgreSQL', () => {
+        const { issues } = translate('SELECT CHAR(TS), VARCHAR(CURRENT TIME, ISO) FROM T');
+
+        assert.equal(issues.length, 2);
+        assert.match(issues[0], /^CHAR\(\) of "TS" cannot be translated unless it is a DATE or a string/);
+        assert.match(issues[1], /^VARCHAR\(\) of CURRENT_TIME cannot be translated/);
+    });
+});